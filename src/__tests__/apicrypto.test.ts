@@ -1,4 +1,9 @@
-import { remootioApiConstructEncrypedFrame, remootioApiDecryptEncrypedFrame } from '../apicrypto';
+import {
+  remootioApiConstructEncrypedFrame,
+  remootioApiDecryptEncrypedFrame,
+  remootioApiTryDecryptEncryptedFrame
+} from '../apicrypto';
+import { EncryptedFrame } from '../frames';
 
 const testApiSecretKey = 'EFD0E4BF75D49BDD4F5CD5492D55C92FE96040E9CD74BED9F19ACA2658EA0FA9';
 const testApiAuthKey = '7B456E7AE95E55F714E2270983C33360514DAD96C93AE1990AFE35FD5BF00A72';
@@ -72,3 +77,83 @@ test('Apicrypto decryption test', () => {
     }
   }
 });
+
+const testFrame: EncryptedFrame = {
+  type: 'ENCRYPTED',
+  data: {
+    iv: 'S7Mt0PR3MCADhHOPqhJPLA==',
+    payload:
+      'pSw+jH9iR3/nOO2+78EpQct3w+vJGKku+8ynSaYra6WsU4dHQJfMg1KNJkooVb1/WYhT28NyGznEHEKt97SYTMG15KjWcQUuqRSlpGD3JzWi/5LG+JPvIg3ptivsFrRZR3wzHAtZI6CekFujm8dhjeK/o6w+daK4FdvVh78pVigX6tBuNHEjoRQfUL9TRS9W'
+  },
+  mac: 'cD4IpRARmeWoUjkL4Kh40uhOMbs7P9prP497qZUapwQ='
+};
+
+test('Apicrypto encrypted frames can be decrypted', () => {
+  const payload = { action: { type: 'TRIGGER', id: 808411245, duration: 5 } };
+  const frame = remootioApiConstructEncrypedFrame(
+    JSON.stringify(payload),
+    testApiSecretKey,
+    testApiAuthKey,
+    testApiSessionKey
+  );
+
+  expect(frame).not.toBeUndefined();
+  if (frame != undefined) {
+    const result = remootioApiDecryptEncrypedFrame(frame, testApiSecretKey, testApiAuthKey, testApiSessionKey);
+    expect(result).toEqual(payload);
+  }
+});
+
+test('Apicrypto decryption reports a bad MAC without logging it', () => {
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+
+  const tamperedMac = remootioApiTryDecryptEncryptedFrame(
+    { ...testFrame, mac: 'AD4IpRARmeWoUjkL4Kh40uhOMbs7P9prP497qZUapwQ=' },
+    testApiSecretKey,
+    testApiAuthKey,
+    testApiSessionKey
+  );
+  const truncatedMac = remootioApiTryDecryptEncryptedFrame(
+    { ...testFrame, mac: 'cD4IpRARmeWoUjkL' },
+    testApiSecretKey,
+    testApiAuthKey,
+    testApiSessionKey
+  );
+  const tamperedPayload = remootioApiDecryptEncrypedFrame(
+    { ...testFrame, data: { ...testFrame.data, iv: 'T7Mt0PR3MCADhHOPqhJPLA==' } },
+    testApiSecretKey,
+    testApiAuthKey,
+    testApiSessionKey
+  );
+
+  expect(tamperedMac).toEqual({ success: false, reason: 'bad mac' });
+  expect(truncatedMac).toEqual({ success: false, reason: 'bad mac' });
+  expect(tamperedPayload).toBeUndefined();
+  expect(warn).not.toHaveBeenCalled();
+  warn.mockRestore();
+});
+
+test('Apicrypto decryption reports the reason of the failure', () => {
+  //The MAC is valid but the payload was encrypted with another key, so the padding is invalid
+  expect(remootioApiTryDecryptEncryptedFrame(testFrame, testApiSecretKey, testApiAuthKey, undefined)).toEqual({
+    success: false,
+    reason: 'bad padding'
+  });
+
+  const notJson = remootioApiConstructEncrypedFrame('not json', testApiSecretKey, testApiAuthKey, testApiSessionKey);
+  if (notJson != undefined) {
+    expect(remootioApiTryDecryptEncryptedFrame(notJson, testApiSecretKey, testApiAuthKey, testApiSessionKey)).toEqual({
+      success: false,
+      reason: 'invalid json'
+    });
+  }
+
+  expect(
+    remootioApiTryDecryptEncryptedFrame(
+      { type: 'ENCRYPTED', data: { iv: '', payload: '' }, mac: '' },
+      testApiSecretKey,
+      testApiAuthKey,
+      testApiSessionKey
+    )
+  ).toEqual({ success: false, reason: 'invalid frame' });
+});
@@ -0,0 +1,161 @@
+import { mkdtempSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import RemootioDevice = require('../index');
+import { AccessRecord, AuditStore, createAuditReport, MemoryAuditStore, RemootioAuditTrail } from '../audit';
+import { RemootioDeviceSimulator } from '../simulator';
+import { createAuthenticatedDevice } from './helpers';
+
+describe('RemootioAuditTrail', () => {
+  let simulator: RemootioDeviceSimulator;
+  let device: RemootioDevice;
+
+  beforeEach(async () => {
+    ({ simulator, device } = await createAuthenticatedDevice());
+  });
+
+  afterEach(() => {
+    device.disconnect();
+  });
+
+  test('Key events are recorded to a JSON-lines file', async () => {
+    const path = join(mkdtempSync(join(tmpdir(), 'remootio-audit-')), 'audit.jsonl');
+    const auditTrail = new RemootioAuditTrail({ device: device, path: path, deviceName: 'garage' });
+    const keyChangedCallback = jest.fn();
+    auditTrail.on('keyChanged', keyChangedCallback);
+    auditTrail.start();
+
+    simulator.sendEvent('RelayTrigger', { keyNr: 3, keyType: 'guest key', via: 'bluetooth' });
+    simulator.sendEvent('KeyManagement', {
+      keyNr: 4,
+      keyType: 'unique key',
+      bluetooth: true,
+      wifi: false,
+      internet: true,
+      notification: false,
+      isRemoved: false
+    });
+    simulator.sendEvent('Connected', { keyNr: 0, keyType: 'master key', via: 'internet' });
+    await new Promise((resolve) => device.on('keyConnected', resolve));
+    //The events arriving after the stop() call are not recorded
+    await auditTrail.stop();
+    simulator.sendEvent('RelayTrigger', { keyNr: 3, keyType: 'guest key', via: 'wifi' });
+
+    const lines = readFileSync(path, 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(3);
+    expect(JSON.parse(lines[0])).toMatchObject({
+      device: 'garage',
+      kind: 'access',
+      eventType: 'RelayTrigger',
+      keyNr: 3,
+      keyType: 'guest key',
+      via: 'bluetooth',
+      state: 'closed'
+    });
+    expect(keyChangedCallback).toHaveBeenCalledTimes(1);
+    expect(keyChangedCallback.mock.calls[0][0]).toMatchObject({
+      kind: 'keyAdded',
+      keyNr: 4,
+      permissions: { bluetooth: true, wifi: false, internet: true, notification: false }
+    });
+
+    const accessRecords = await auditTrail.query({ kind: 'access' });
+    expect(accessRecords.map((record) => record.keyNr)).toEqual([3, 0]);
+    expect(await auditTrail.query({ via: ['internet', 'wifi'] })).toHaveLength(1);
+  });
+
+  test('Key removals are flagged', async () => {
+    const store = new MemoryAuditStore();
+    const auditTrail = new RemootioAuditTrail({ device: device, store: store });
+    auditTrail.start();
+
+    simulator.sendEvent('KeyManagement', {
+      keyNr: 4,
+      keyType: 'unique key',
+      bluetooth: false,
+      wifi: false,
+      internet: false,
+      notification: false,
+      isRemoved: true
+    });
+    const record = await new Promise<AccessRecord>((resolve) => auditTrail.on('keyChanged', resolve));
+    await auditTrail.stop();
+
+    expect(record).toMatchObject({ kind: 'keyRemoved', eventType: 'KeyManagement', keyNr: 4 });
+    expect(record.device).toBeUndefined();
+    expect(await store.query({ kind: 'keyRemoved' })).toEqual([record]);
+  });
+
+  test('Records that could not be stored do not crash the audit trail without an error listener', async () => {
+    const unhandledRejections: unknown[] = [];
+    const onUnhandledRejection = (reason: unknown) => unhandledRejections.push(reason);
+    process.on('unhandledRejection', onUnhandledRejection);
+    const failingStore: AuditStore = {
+      append: () => Promise.reject(new Error('The disk is full')),
+      query: () => Promise.resolve([])
+    };
+    const silentAuditTrail = new RemootioAuditTrail({ device: device, store: failingStore });
+    const auditTrail = new RemootioAuditTrail({ device: device, store: failingStore });
+    const errors: Error[] = [];
+    auditTrail.on('error', (error) => errors.push(error));
+    silentAuditTrail.start();
+    auditTrail.start();
+
+    simulator.sendEvent('RelayTrigger', { keyNr: 3, keyType: 'guest key', via: 'bluetooth' });
+    await new Promise((resolve) => device.on('relayTrigger', resolve));
+    await silentAuditTrail.stop();
+    await auditTrail.stop();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    process.removeListener('unhandledRejection', onUnhandledRejection);
+
+    expect(errors.map((error) => error.message)).toEqual(['The disk is full']);
+    expect(unhandledRejections).toEqual([]);
+  });
+});
+
+describe('Queries and reports', () => {
+  const records: AccessRecord[] = [
+    ['2020-01-01T03:02:00.000Z', 3, 'guest key', 'bluetooth'],
+    ['2020-01-01T08:15:00.000Z', 1, 'unique key', 'wifi'],
+    ['2020-01-01T17:40:00.000Z', 3, 'guest key', 'bluetooth'],
+    ['2020-01-02T08:10:00.000Z', 1, 'unique key', 'internet']
+  ].map(([time, keyNr, keyType, via], index) => ({
+    time: time,
+    kind: 'access',
+    eventType: 'RelayTrigger',
+    cnt: index,
+    state: 'closed',
+    keyNr: keyNr,
+    keyType: keyType,
+    via: via
+  })) as AccessRecord[];
+
+  test('Records are filtered by key, key type, channel and time range', async () => {
+    const store = new MemoryAuditStore();
+    for (const record of records) {
+      await store.append(record);
+    }
+
+    //Who opened the gate at 3am?
+    const nightRecords = await store.query({
+      from: new Date('2020-01-01T02:00:00.000Z'),
+      to: new Date('2020-01-01T04:00:00.000Z')
+    });
+    expect(nightRecords).toEqual([records[0]]);
+    expect(await store.query({ keyNr: 1 })).toEqual([records[1], records[3]]);
+    expect(await store.query({ keyType: 'guest key', via: 'bluetooth' })).toHaveLength(2);
+    expect(await store.query({ keyType: ['master key', 'api key'] })).toHaveLength(0);
+  });
+
+  test('Records are grouped into reports', () => {
+    expect(createAuditReport(records, 'via')).toEqual([
+      { group: 'bluetooth', count: 2, firstTime: '2020-01-01T03:02:00.000Z', lastTime: '2020-01-01T17:40:00.000Z' },
+      { group: 'wifi', count: 1, firstTime: '2020-01-01T08:15:00.000Z', lastTime: '2020-01-01T08:15:00.000Z' },
+      { group: 'internet', count: 1, firstTime: '2020-01-02T08:10:00.000Z', lastTime: '2020-01-02T08:10:00.000Z' }
+    ]);
+    expect(createAuditReport(records, 'keyNr').map((row) => [row.group, row.count])).toEqual([
+      ['3', 2],
+      ['1', 2]
+    ]);
+  });
+});
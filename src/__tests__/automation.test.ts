@@ -0,0 +1,251 @@
+import RemootioDevice = require('../index');
+import { AutomationRule, getNextScheduledTime, RemootioAutomation, ScheduleRule } from '../automation';
+import { InvalidConfigError } from '../errors';
+import { RemootioDeviceSimulator } from '../simulator';
+import { connectAndAuthenticate, createSimulatedDevice } from './helpers';
+
+describe('RemootioAutomation', () => {
+  let simulator: RemootioDeviceSimulator;
+  let device: RemootioDevice;
+  let automation: RemootioAutomation | undefined;
+  let actions: string[];
+
+  //Runs the fake timers (the in-memory socket of the simulator uses them too) and the pending promise callbacks.
+  //The timers set while the fake timers run are delayed by 1 ms, so the messages are delivered 1 ms at a time
+  const advanceMinutes = async (minutes: number) => {
+    jest.advanceTimersByTime(minutes * 60000);
+    for (let i = 0; i < 10; i++) {
+      jest.advanceTimersByTime(1);
+      await Promise.resolve();
+    }
+  };
+
+  const startAutomation = (rules: AutomationRule[]) => {
+    automation = new RemootioAutomation({ device: device, rules: rules });
+    automation.start();
+    return automation;
+  };
+
+  beforeEach(async () => {
+    ({ simulator, device } = createSimulatedDevice({}, { travelTimeMs: 1000 }));
+    actions = [];
+    device.on('outgoingmessage', (frame, unencryptedPayload) => {
+      if (frame?.type == 'ENCRYPTED' && unencryptedPayload != undefined && 'action' in unencryptedPayload) {
+        actions.push(unencryptedPayload.action.type);
+      }
+    });
+    await connectAndAuthenticate(device);
+    actions = [];
+    //The session is authenticated with real timers, the rules are tested with fake ones from Monday 2026-10-19 21:00 local time
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(new Date(2026, 9, 19, 21, 0));
+  });
+
+  afterEach(() => {
+    automation?.stop();
+    automation = undefined;
+    device.disconnect();
+    jest.useRealTimers();
+  });
+
+  test('The gate is closed if it has been left open', async () => {
+    const automation = startAutomation([{ name: 'auto-close', type: 'autoClose', afterMins: 10 }]);
+    const firedCallback = jest.fn();
+    automation.on('fired', firedCallback);
+
+    simulator.setState('open');
+    await advanceMinutes(0);
+    expect(device.doorState).toEqual('open');
+    await advanceMinutes(9);
+    expect(actions).toEqual([]);
+
+    await advanceMinutes(1);
+    expect(actions).toEqual(['CLOSE']);
+    expect(firedCallback).toHaveBeenCalledTimes(1);
+    expect(firedCallback.mock.calls[0][0].name).toEqual('auto-close');
+    await advanceMinutes(0.1);
+    expect(device.doorState).toEqual('closed');
+
+    //The timer restarts when the gate is opened again, and it's cleared when the gate is closed before it expires
+    simulator.setState('open');
+    await advanceMinutes(5);
+    simulator.setState('closed');
+    await advanceMinutes(10);
+    expect(actions).toEqual(['CLOSE']);
+  });
+
+  test('The LeftOpen event fires the rule if the gate was already open', async () => {
+    simulator.setState('open');
+    await advanceMinutes(0);
+    startAutomation([{ name: 'auto-close', type: 'autoClose', afterMins: 10 }]);
+
+    //The device tells that the gate has been open for 15 minutes
+    simulator.sendEvent('LeftOpen', { timeOpen100ms: 9000 });
+    await advanceMinutes(0);
+    expect(actions).toEqual(['CLOSE']);
+    //The rule fires only once for every opening
+    simulator.sendEvent('LeftOpen', { timeOpen100ms: 9000 });
+    await advanceMinutes(0);
+    expect(actions).toEqual(['CLOSE']);
+  });
+
+  test('The rules wait longer than the longest delay of setTimeout', async () => {
+    //30 days is longer than 2^31-1 ms (about 24.8 days)
+    startAutomation([{ name: 'auto-close', type: 'autoClose', afterMins: 30 * 24 * 60 }]);
+
+    simulator.setState('open');
+    await advanceMinutes(0);
+    await advanceMinutes(25 * 24 * 60);
+    expect(actions).toEqual([]);
+    await advanceMinutes(5 * 24 * 60);
+    expect(actions).toEqual(['CLOSE']);
+  });
+
+  test('Failed actions do not crash the automation without an error listener', async () => {
+    const unhandledRejections: unknown[] = [];
+    const onUnhandledRejection = (reason: unknown) => unhandledRejections.push(reason);
+    process.on('unhandledRejection', onUnhandledRejection);
+    const messages: string[] = [];
+    const logger = {
+      debug: () => {},
+      info: () => {},
+      warn: () => {},
+      error: (message: string) => messages.push(message)
+    };
+    automation = new RemootioAutomation({
+      device: device,
+      rules: [{ name: 'close-at-night', type: 'schedule', at: '22:00', action: 'close' }],
+      logger: logger
+    });
+    automation.start();
+    device.disconnect();
+
+    await advanceMinutes(60);
+    jest.useRealTimers();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    process.removeListener('unhandledRejection', onUnhandledRejection);
+
+    expect(messages).toEqual([expect.stringContaining('Automation rule close-at-night failed')]);
+    expect(unhandledRejections).toEqual([]);
+  });
+
+  test('Scheduled rules fire at the given time if the gate is in the given state', async () => {
+    const automation = startAutomation([
+      { name: 'close-at-night', type: 'schedule', at: '22:00', action: 'close', onlyIfState: 'open' },
+      {
+        name: 'open-for-deliveries',
+        type: 'schedule',
+        at: '07:30',
+        days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+        action: 'open',
+        durationMins: 30
+      }
+    ]);
+    const skippedCallback = jest.fn();
+    automation.on('skipped', skippedCallback);
+
+    simulator.setState('open');
+    await advanceMinutes(60);
+    expect(actions).toEqual(['CLOSE']);
+    await advanceMinutes(0.1);
+    expect(device.doorState).toEqual('closed');
+
+    await advanceMinutes(9 * 60 + 30);
+    expect(actions).toEqual(['CLOSE', 'OPEN']);
+
+    //The gate is closed on the next evening, so the rule is skipped
+    simulator.setState('closed');
+    await advanceMinutes(14 * 60 + 30);
+    expect(skippedCallback).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'close-at-night' }),
+      'the door is closed, not open'
+    );
+    expect(actions).toEqual(['CLOSE', 'OPEN']);
+  });
+
+  test('Suppressed rules are skipped', async () => {
+    const messages: string[] = [];
+    const logger = {
+      debug: (message: string) => messages.push('debug ' + message),
+      info: (message: string) => messages.push('info ' + message),
+      warn: (message: string) => messages.push('warn ' + message),
+      error: (message: string) => messages.push('error ' + message)
+    };
+    automation = new RemootioAutomation({
+      device: device,
+      rules: [{ name: 'auto-close', type: 'autoClose', afterMins: 10 }],
+      logger: logger
+    });
+    automation.start();
+    automation.suppress('auto-close', new Date(2026, 9, 19, 23, 0));
+    expect(automation.isSuppressed('auto-close')).toEqual(true);
+
+    simulator.setState('open');
+    await advanceMinutes(10);
+    expect(actions).toEqual([]);
+
+    //The rule fires again after the given time
+    simulator.setState('closed');
+    await advanceMinutes(2 * 60);
+    expect(automation.isSuppressed('auto-close')).toEqual(false);
+    simulator.setState('open');
+    await advanceMinutes(10);
+    expect(actions).toEqual(['CLOSE']);
+    expect(messages).toEqual([
+      'info Automation rule auto-close skipped: the rule is suppressed',
+      'info Automation rule auto-close fired (the door has been open for 10 minutes): sending CLOSE'
+    ]);
+  });
+});
+
+describe('Rules', () => {
+  test('Unknown rules can not be suppressed or resumed', () => {
+    const { device } = createSimulatedDevice();
+    const automation = new RemootioAutomation({
+      device: device,
+      rules: [{ name: 'auto-close', type: 'autoClose', afterMins: 10 }]
+    });
+
+    expect(() => automation.suppress('night')).toThrow(InvalidConfigError);
+    expect(() => automation.resume('night')).toThrow(
+      expect.objectContaining({ code: 'INVALID_CONFIG', field: 'rules.night', message: 'Unknown rule night' })
+    );
+    expect(automation.isSuppressed('night')).toEqual(false);
+  });
+
+  test('Invalid rules are rejected', () => {
+    const { device } = createSimulatedDevice();
+    const getField = (rules: unknown[]) => {
+      try {
+        new RemootioAutomation({ device: device, rules: rules as AutomationRule[] });
+      } catch (e: any) {
+        expect(e).toBeInstanceOf(InvalidConfigError);
+        return e.field;
+      }
+    };
+
+    expect(getField([{ name: 'night', type: 'schedule', at: '24:00', action: 'close' }])).toEqual('rules.night.at');
+    expect(getField([{ name: 'night', type: 'schedule', at: '22:00', action: 'lock' }])).toEqual('rules.night.action');
+    expect(getField([{ name: 'night', type: 'schedule', at: '22:00', days: [], action: 'close' }])).toEqual(
+      'rules.night.days'
+    );
+    expect(getField([{ name: 'close', type: 'autoClose', afterMins: 0 }])).toEqual('rules.close.afterMins');
+    expect(
+      getField([
+        { name: 'close', type: 'autoClose', afterMins: 10 },
+        { name: 'close', type: 'autoClose', afterMins: 20 }
+      ])
+    ).toEqual('rules.close');
+    expect(getField([{ name: 'close', type: 'autoClose', afterMins: 10 }])).toBeUndefined();
+  });
+
+  test('The next time of a scheduled rule is calculated in local time', () => {
+    const rule: ScheduleRule = { name: 'weekend', type: 'schedule', at: '9:15', days: ['sat', 'sun'], action: 'open' };
+    //2026-10-19 is a Monday
+    expect(getNextScheduledTime(rule, new Date(2026, 9, 19, 12, 0))).toEqual(new Date(2026, 9, 24, 9, 15));
+    expect(getNextScheduledTime(rule, new Date(2026, 9, 24, 9, 15))).toEqual(new Date(2026, 9, 25, 9, 15));
+    expect(getNextScheduledTime({ ...rule, days: undefined }, new Date(2026, 9, 19, 8, 0))).toEqual(
+      new Date(2026, 9, 19, 9, 15)
+    );
+  });
+});
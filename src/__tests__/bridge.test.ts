@@ -0,0 +1,196 @@
+import { request } from 'http';
+import { connect, Socket } from 'net';
+import RemootioDevice = require('../index');
+import { RemootioHttpBridge } from '../bridge';
+import { RemootioDeviceSimulator } from '../simulator';
+import { createAuthenticatedDevice } from './helpers';
+
+const testToken = 'test-token';
+
+interface TestResponse {
+  statusCode: number;
+  headers: Record<string, string | string[] | undefined>;
+  body: any;
+}
+
+describe('RemootioHttpBridge', () => {
+  let simulator: RemootioDeviceSimulator;
+  let device: RemootioDevice;
+  let bridge: RemootioHttpBridge;
+
+  const send = (method: string, path: string, body?: string, token: string | null = testToken) =>
+    new Promise<TestResponse>((resolve, reject) => {
+      const req = request(
+        {
+          host: '127.0.0.1',
+          port: bridge.port,
+          method: method,
+          path: path,
+          headers: token != null ? { Authorization: 'Bearer ' + token } : {}
+        },
+        (res) => {
+          let data = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => (data += chunk));
+          res.on('end', () =>
+            resolve({
+              statusCode: res.statusCode ?? 0,
+              headers: res.headers,
+              body: res.headers['content-type'] == 'application/json' ? JSON.parse(data) : data
+            })
+          );
+        }
+      );
+      req.on('error', reject);
+      req.end(body);
+    });
+
+  beforeEach(async () => {
+    ({ simulator, device } = await createAuthenticatedDevice({}, { travelTimeMs: 50 }));
+    bridge = new RemootioHttpBridge({ device: device, token: testToken });
+    await bridge.start();
+  });
+
+  afterEach(async () => {
+    await bridge.stop();
+    device.disconnect();
+  });
+
+  test('Requests need the bearer token', async () => {
+    const missing = await send('GET', '/state', undefined, null);
+    expect(missing.statusCode).toEqual(401);
+    expect(missing.headers['www-authenticate']).toEqual('Bearer');
+
+    const wrong = await send('GET', '/state', undefined, 'wrong-token');
+    expect(wrong.statusCode).toEqual(401);
+    expect(wrong.body.error.code).toEqual('UNAUTHORIZED');
+  });
+
+  test('Malformed request targets are rejected', async () => {
+    //The request is written by hand, as the http client normalizes the request target
+    const response = await new Promise<string>((resolve, reject) => {
+      const socket: Socket = connect(bridge.port, '127.0.0.1', () =>
+        socket.write('GET //[ HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n')
+      );
+      let data = '';
+      socket.setEncoding('utf8');
+      socket.on('data', (chunk: string) => (data += chunk));
+      socket.on('end', () => resolve(data));
+      socket.on('error', reject);
+    });
+
+    expect(response.startsWith('HTTP/1.1 400 ')).toBe(true);
+    expect(response).toContain('"code":"BAD_REQUEST"');
+    expect((await send('GET', '/state')).statusCode).toEqual(200);
+  });
+
+  test('The state of the device can be queried', async () => {
+    const response = await send('GET', '/state');
+
+    expect(response.statusCode).toEqual(200);
+    expect(response.body).toEqual({ connected: true, authenticated: true, doorState: 'closed', pendingActionCount: 0 });
+  });
+
+  test('Actions are sent to the device', async () => {
+    const actions: unknown[] = [];
+    simulator.on('action', (action) => actions.push(action));
+
+    const response = await send('POST', '/actions/trigger', JSON.stringify({ durationMins: 5 }));
+
+    expect(response.statusCode).toEqual(200);
+    expect(response.body).toMatchObject({ type: 'TRIGGER', success: true, relayTriggered: true });
+    expect(actions).toEqual([expect.objectContaining({ type: 'TRIGGER', duration: 5 })]);
+  });
+
+  test('Invalid requests and failed actions are rejected', async () => {
+    expect((await send('GET', '/actions/open')).statusCode).toEqual(405);
+    expect((await send('POST', '/actions/unknown')).statusCode).toEqual(404);
+    expect((await send('POST', '/actions/open', '{"durationMins": -1}')).body.error.code).toEqual('BAD_REQUEST');
+    expect((await send('POST', '/actions/restart', '{"durationMins": 1}')).statusCode).toEqual(400);
+
+    simulator.failActions = true;
+    const failed = await send('POST', '/actions/open');
+    expect(failed.statusCode).toEqual(502);
+    expect(failed.body.error.code).toEqual('ACTION_FAILED');
+  });
+
+  test('The errors of the device are not reported as errors of the bridge', async () => {
+    device.on('error', () => {});
+    simulator.respondToActions = false;
+    simulator.on('action', () => simulator.sendErrorFrame('input error'));
+    const errorFrame = await send('POST', '/actions/open');
+    expect(errorFrame.statusCode).toEqual(502);
+    expect(errorFrame.body.error.code).toEqual('DEVICE_ERROR');
+  });
+
+  test('Actions the device does not support are answered with 501', async () => {
+    await bridge.stop();
+    device.disconnect();
+    ({ device } = await createAuthenticatedDevice({ helloOnConnect: true }, { remootioVersion: 'remootio-1' }));
+    bridge = new RemootioHttpBridge({ device: device, token: testToken });
+    await bridge.start();
+
+    const unsupported = await send('POST', '/actions/trigger-secondary');
+    expect(unsupported.statusCode).toEqual(501);
+    expect(unsupported.body.error.code).toEqual('UNSUPPORTED_ACTION');
+  });
+
+  test('Too large request bodies are answered with 413', async () => {
+    const response = await send(
+      'POST',
+      '/actions/open',
+      JSON.stringify({ durationMins: 5, padding: 'x'.repeat(64 * 1024) })
+    );
+
+    expect(response.statusCode).toEqual(413);
+    expect(response.body.error.code).toEqual('PAYLOAD_TOO_LARGE');
+    expect((await send('GET', '/state')).statusCode).toEqual(200);
+  });
+
+  test('The metrics of the device are exposed for Prometheus', async () => {
+    await send('POST', '/actions/open');
+    const response = await send('GET', '/metrics');
+
+    expect(response.statusCode).toEqual(200);
+    expect(response.headers['content-type']).toEqual('text/plain; version=0.0.4');
+    expect(response.body).toContain('remootio_connected 1\n');
+    expect(response.body).toContain('remootio_action_latency_seconds_count 1\n');
+  });
+
+  test('Events are streamed as Server-Sent Events', async () => {
+    const received = await new Promise<string>((resolve, reject) => {
+      const req = request(
+        {
+          host: '127.0.0.1',
+          port: bridge.port,
+          path: '/events',
+          headers: { Authorization: 'Bearer ' + testToken }
+        },
+        (res) => {
+          expect(res.headers['content-type']).toEqual('text/event-stream');
+          let data = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            data += chunk;
+            if (data.includes('LeftOpen')) {
+              req.destroy();
+              resolve(data);
+            } else if (data == ': connected\n\n') {
+              simulator.sendEvent('LeftOpen', { timeOpen100ms: 3000 });
+            }
+          });
+        }
+      );
+      req.on('error', reject);
+      req.end();
+    });
+
+    const message = received.split('\n\n').find((block) => block.includes('LeftOpen')) as string;
+    expect(message.startsWith('id: 1\ndata: ')).toBe(true);
+    expect(JSON.parse(message.slice(message.indexOf('data: ') + 6))).toMatchObject({
+      type: 'LeftOpen',
+      cnt: 1,
+      timeOpen100ms: 3000
+    });
+  });
+});
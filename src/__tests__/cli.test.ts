@@ -0,0 +1,214 @@
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { formatEvent, parseCliArgs, runCli } from '../cli';
+import { RemootioDeviceSimulator } from '../simulator';
+
+const testApiSecretKey = 'C85B1CF44398C3BA36B35D63CD779C0A265F9592FF9C5D85EFA16E3C4121B4F6';
+const testApiAuthKey = 'F01AEB37D9E79FB213ACA2CFB48BECF6C1513F1C5623534799B3BEFE8EF681A0';
+const otherApiAuthKey = '7B456E7AE95E55F714E2270983C33360514DAD96C93AE1990AFE35FD5BF00A72';
+
+const createIo = (signal?: AbortSignal) => {
+  const output = { stdout: '', stderr: '' };
+  return {
+    output: output,
+    io: {
+      stdout: { write: (text: string) => (output.stdout += text) },
+      stderr: { write: (text: string) => (output.stderr += text) },
+      signal: signal
+    }
+  };
+};
+
+describe('Argument parsing', () => {
+  test('Credentials are read from the flags, the environment and the config file in this order', () => {
+    const configFile = join(mkdtempSync(join(tmpdir(), 'remootio-cli-')), 'config.json');
+    writeFileSync(
+      configFile,
+      JSON.stringify({ host: '10.0.0.1', port: 8081, apiSecretKey: testApiSecretKey, apiAuthKey: testApiAuthKey })
+    );
+
+    const { command, config } = parseCliArgs(['--config', configFile, '--host=10.0.0.3', 'query'], {
+      REMOOTIO_HOST: '10.0.0.2',
+      REMOOTIO_API_AUTH_KEY: otherApiAuthKey,
+      REMOOTIO_LOG_LEVEL: 'debug'
+    });
+
+    expect(command).toEqual({ name: 'query' });
+    expect(config).toEqual({
+      device: {
+        host: '10.0.0.3',
+        port: 8081,
+        apiSecretKey: testApiSecretKey,
+        apiAuthKey: otherApiAuthKey,
+        logLevel: 'debug',
+        actionTimeoutMs: 10000
+      },
+      timeoutMs: 10000,
+      ndjson: false
+    });
+  });
+
+  test('The config file can be a YAML file', () => {
+    const configFile = join(mkdtempSync(join(tmpdir(), 'remootio-cli-')), 'config.yaml');
+    writeFileSync(
+      configFile,
+      `host: 10.0.0.1\nport: 8081\napiSecretKey: ${testApiSecretKey}\napiAuthKey: ${testApiAuthKey}\nactionTimeoutMs: 5000\n`
+    );
+
+    expect(parseCliArgs(['--config', configFile, 'query'], {}).config).toEqual({
+      device: {
+        host: '10.0.0.1',
+        port: 8081,
+        apiSecretKey: testApiSecretKey,
+        apiAuthKey: testApiAuthKey,
+        actionTimeoutMs: 5000
+      },
+      timeoutMs: 5000,
+      ndjson: false
+    });
+  });
+
+  test('Invalid config files are rejected like by the library', () => {
+    const directory = mkdtempSync(join(tmpdir(), 'remootio-cli-'));
+    const unknownFieldFile = join(directory, 'unknown.json');
+    writeFileSync(unknownFieldFile, JSON.stringify({ host: '10.0.0.1', colour: 'red' }));
+    const invalidKeyFile = join(directory, 'invalid.json');
+    writeFileSync(
+      invalidKeyFile,
+      JSON.stringify({ host: '10.0.0.1', apiSecretKey: 'secret', apiAuthKey: testApiAuthKey })
+    );
+
+    expect(() => parseCliArgs(['--config', unknownFieldFile, 'query'], {})).toThrow(
+      expect.objectContaining({ code: 'INVALID_CONFIG', field: 'colour' })
+    );
+    expect(() => parseCliArgs(['--config', invalidKeyFile, 'query'], {})).toThrow(
+      expect.objectContaining({ code: 'INVALID_CONFIG', field: 'apiSecretKey' })
+    );
+    expect(() =>
+      parseCliArgs(['--config', invalidKeyFile, '--secret-key', testApiSecretKey, 'query'], {})
+    ).not.toThrow();
+  });
+
+  test('The hold command takes an output and a duration', () => {
+    const env = {
+      REMOOTIO_HOST: '10.0.0.1',
+      REMOOTIO_API_SECRET_KEY: testApiSecretKey,
+      REMOOTIO_API_AUTH_KEY: testApiAuthKey
+    };
+
+    expect(parseCliArgs(['hold', 'open', '30'], env).command).toEqual({
+      name: 'hold',
+      output: 'open',
+      durationMins: 30
+    });
+    expect(() => parseCliArgs(['hold', 'sideways', '30'], env)).toThrow('The output of the hold command');
+    expect(() => parseCliArgs(['hold', 'open', 'soon'], env)).toThrow('The minutes of the hold command');
+  });
+
+  test('Invalid arguments are rejected', () => {
+    const env = {
+      REMOOTIO_HOST: '10.0.0.1',
+      REMOOTIO_API_SECRET_KEY: testApiSecretKey,
+      REMOOTIO_API_AUTH_KEY: testApiAuthKey
+    };
+
+    expect(() => parseCliArgs(['fly'], env)).toThrow('Unknown command fly');
+    expect(() => parseCliArgs(['--colour', 'red', 'query'], env)).toThrow('Unknown option --colour');
+    expect(() => parseCliArgs(['--port', 'x', 'query'], env)).toThrow('Invalid port');
+    expect(() => parseCliArgs(['--timeout', '0', 'query'], env)).toThrow('actionTimeoutMs must be a positive number');
+    expect(() => parseCliArgs(['query'], {})).toThrow('The host of the device is missing');
+    expect(parseCliArgs([], {}).command).toEqual({ name: 'help' });
+  });
+});
+
+test('Invalid API keys are reported before connecting', async () => {
+  const { io, output } = createIo();
+  const env = { REMOOTIO_HOST: '10.0.0.1', REMOOTIO_API_SECRET_KEY: 'secret', REMOOTIO_API_AUTH_KEY: testApiAuthKey };
+
+  expect(await runCli(['query'], env, io)).toEqual(2);
+  expect(output.stderr).toContain('apiSecretKey must be a hexstring');
+});
+
+test('Events are formatted as human readable lines or JSON lines', () => {
+  const event = {
+    type: 'RelayTrigger' as const,
+    cnt: 3,
+    state: 'closed' as const,
+    t100ms: 100,
+    keyNr: 2,
+    keyType: 'guest key' as const,
+    via: 'bluetooth' as const
+  };
+  const date = new Date('2020-01-01T12:00:00.000Z');
+
+  expect(formatEvent(event, false, date)).toEqual(
+    '2020-01-01T12:00:00.000Z RelayTrigger cnt=3 state=closed t100ms=100 keyNr=2 keyType="guest key" via=bluetooth'
+  );
+  expect(JSON.parse(formatEvent(event, true, date))).toEqual({ time: '2020-01-01T12:00:00.000Z', ...event });
+});
+
+describe('With a simulated Remootio device', () => {
+  let simulator: RemootioDeviceSimulator;
+  let env: Record<string, string>;
+
+  beforeEach(async () => {
+    simulator = new RemootioDeviceSimulator({ apiSecretKey: testApiSecretKey, apiAuthKey: testApiAuthKey });
+    await simulator.start();
+    env = {
+      REMOOTIO_HOST: '127.0.0.1',
+      REMOOTIO_PORT: String(simulator.port),
+      REMOOTIO_API_SECRET_KEY: testApiSecretKey,
+      REMOOTIO_API_AUTH_KEY: testApiAuthKey
+    };
+  });
+
+  afterEach(async () => {
+    await simulator.stop();
+  });
+
+  test('The query command prints the state of the gate', async () => {
+    const { io, output } = createIo();
+
+    expect(await runCli(['query'], env, io)).toEqual(0);
+    expect(output.stdout).toEqual('QUERY succeeded: state=closed relayTriggered=false\n');
+  });
+
+  test('The hold command holds the output active', async () => {
+    const actionCallback = jest.fn();
+    simulator.on('action', actionCallback);
+    const { io, output } = createIo();
+
+    expect(await runCli(['--ndjson', 'hold', 'open', '30'], env, io)).toEqual(0);
+    expect(JSON.parse(output.stdout)).toMatchObject({ type: 'OPEN', success: true, relayTriggered: true });
+    expect(actionCallback).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'OPEN', duration: 30 }));
+  });
+
+  test('Failures are reported on stderr with a non-zero exit code', async () => {
+    simulator.failActions = true;
+    const { io, output } = createIo();
+
+    expect(await runCli(['trigger'], env, io)).toEqual(1);
+    expect(output.stderr).toContain('TRIGGER action was not successful');
+  });
+
+  test('The watch command streams the events until it is stopped', async () => {
+    const controller = new AbortController();
+    const { io, output } = createIo(controller.signal);
+
+    const exitCode = runCli(['--ndjson', 'watch'], env, io);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    simulator.sendEvent('DoorbellPushed');
+    simulator.sendEvent('LeftOpen', { timeOpen100ms: 3000 });
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    controller.abort();
+
+    expect(await exitCode).toEqual(0);
+    const events = output.stdout
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    expect(events.map((event) => event.type)).toEqual(['DoorbellPushed', 'LeftOpen']);
+    expect(events[1].timeOpen100ms).toEqual(3000);
+  });
+});
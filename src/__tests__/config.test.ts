@@ -0,0 +1,205 @@
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import RemootioDevice = require('../index');
+import { loadDeviceOptionsFromEnv, loadDeviceOptionsFromFile, loadDevicesFromFile } from '../config';
+import { InvalidConfigError } from '../errors';
+import { RemootioDeviceSimulator } from '../simulator';
+import { testApiAuthKey, testApiSecretKey } from './helpers';
+
+const writeConfigFile = (name: string, content: string) => {
+  const path = join(mkdtempSync(join(tmpdir(), 'remootio-config-')), name);
+  writeFileSync(path, content);
+  return path;
+};
+
+const getConfigError = (callback: () => unknown): InvalidConfigError => {
+  try {
+    callback();
+  } catch (e: any) {
+    return e;
+  }
+  throw new Error('No error was thrown');
+};
+
+describe('Validation', () => {
+  test('The API keys must be 64 character hexstrings', () => {
+    const error = getConfigError(
+      () => new RemootioDevice({ host: '127.0.0.1', apiSecretKey: 'secret', apiAuthKey: testApiAuthKey })
+    );
+    expect(error).toBeInstanceOf(InvalidConfigError);
+    expect(error.code).toEqual('INVALID_CONFIG');
+    expect(error.field).toEqual('apiSecretKey');
+
+    //A string only containing a valid key is not valid either
+    expect(getConfigError(() => new RemootioDevice('127.0.0.1', testApiSecretKey, testApiAuthKey + '0')).field).toEqual(
+      'apiAuthKey'
+    );
+    expect(getConfigError(() => new RemootioDevice('127.0.0.1', ' ' + testApiSecretKey, testApiAuthKey)).field).toEqual(
+      'apiSecretKey'
+    );
+  });
+
+  test('Invalid options are rejected', () => {
+    const options = { host: '127.0.0.1', apiSecretKey: testApiSecretKey, apiAuthKey: testApiAuthKey };
+
+    expect(getConfigError(() => new RemootioDevice({ ...options, host: '' })).field).toEqual('host');
+    expect(getConfigError(() => new RemootioDevice({ ...options, port: 70000 })).field).toEqual('port');
+    expect(getConfigError(() => new RemootioDevice({ ...options, pingIntervalMs: -1 })).field).toEqual(
+      'pingIntervalMs'
+    );
+    expect(getConfigError(() => new RemootioDevice({ ...options, autoReconnect: { jitter: 2 } })).field).toEqual(
+      'autoReconnect.jitter'
+    );
+    expect(getConfigError(() => new RemootioDevice({ ...options, logLevel: 'verbose' as 'debug' })).field).toEqual(
+      'logLevel'
+    );
+    expect(new RemootioDevice({ ...options, port: 8081, autoReconnect: { maxAttempts: 3 } })).toBeInstanceOf(
+      RemootioDevice
+    );
+  });
+});
+
+describe('Loading the options', () => {
+  test('The options are loaded from environment variables', () => {
+    const options = loadDeviceOptionsFromEnv(
+      {
+        REMOOTIO_GARAGE_HOST: '192.168.1.155',
+        REMOOTIO_GARAGE_PORT: '8081',
+        REMOOTIO_GARAGE_API_SECRET_KEY: testApiSecretKey,
+        REMOOTIO_GARAGE_API_AUTH_KEY: testApiAuthKey,
+        REMOOTIO_GARAGE_AUTO_RECONNECT: 'true',
+        REMOOTIO_GARAGE_PING_INTERVAL_MS: '20000'
+      },
+      'REMOOTIO_GARAGE_'
+    );
+
+    expect(options).toEqual({
+      host: '192.168.1.155',
+      port: 8081,
+      apiSecretKey: testApiSecretKey,
+      apiAuthKey: testApiAuthKey,
+      autoReconnect: true,
+      pingIntervalMs: 20000
+    });
+    expect(
+      getConfigError(() =>
+        loadDeviceOptionsFromEnv({
+          REMOOTIO_HOST: '192.168.1.155',
+          REMOOTIO_PORT: 'http',
+          REMOOTIO_API_SECRET_KEY: testApiSecretKey,
+          REMOOTIO_API_AUTH_KEY: testApiAuthKey
+        })
+      ).field
+    ).toEqual('port');
+  });
+
+  test('The options are loaded from JSON and YAML files', () => {
+    const jsonFile = writeConfigFile(
+      'garage.json',
+      JSON.stringify({ host: '192.168.1.155', apiSecretKey: testApiSecretKey, apiAuthKey: testApiAuthKey })
+    );
+    const yamlFile = writeConfigFile(
+      'garage.yml',
+      [
+        'host: 192.168.1.155',
+        'apiSecretKey: ' + testApiSecretKey,
+        'apiAuthKey: ' + testApiAuthKey,
+        'autoReconnect:',
+        '  maxAttempts: 5'
+      ].join('\n')
+    );
+
+    expect(loadDeviceOptionsFromFile(jsonFile)).toEqual({
+      host: '192.168.1.155',
+      apiSecretKey: testApiSecretKey,
+      apiAuthKey: testApiAuthKey
+    });
+    expect(loadDeviceOptionsFromFile(yamlFile)).toEqual({
+      host: '192.168.1.155',
+      apiSecretKey: testApiSecretKey,
+      apiAuthKey: testApiAuthKey,
+      autoReconnect: { maxAttempts: 5 }
+    });
+    const typoFile = writeConfigFile('typo.json', JSON.stringify({ hots: '192.168.1.155' }));
+    expect(getConfigError(() => loadDeviceOptionsFromFile(typoFile)).message).toEqual('Unknown option hots');
+  });
+
+  test('The files that can not be read are reported with their path', () => {
+    const missingFile = join(tmpdir(), 'remootio-missing-' + process.pid + '.json');
+    const missingFileError = getConfigError(() => loadDeviceOptionsFromFile(missingFile));
+    expect(missingFileError).toBeInstanceOf(InvalidConfigError);
+    expect(missingFileError.field).toEqual('file');
+    expect(missingFileError.message).toContain('Failed to read the config file ' + missingFile);
+    expect(missingFileError.message).toContain('ENOENT');
+
+    const directory = mkdtempSync(join(tmpdir(), 'remootio-config-'));
+    expect(getConfigError(() => loadDevicesFromFile(directory)).message).toContain(
+      'Failed to read the config file ' + directory
+    );
+  });
+
+  test('The options of more devices are loaded from a file', () => {
+    const file = writeConfigFile(
+      'devices.yaml',
+      [
+        'devices:',
+        '  garage:',
+        '    host: 192.168.1.155',
+        '    apiSecretKey: ' + testApiSecretKey,
+        '    apiAuthKey: ' + testApiAuthKey,
+        '  gate:',
+        '    host: 192.168.1.156',
+        '    apiSecretKey: ' + testApiSecretKey,
+        '    apiAuthKey: not-a-key'
+      ].join('\n')
+    );
+
+    const error = getConfigError(() => loadDevicesFromFile(file));
+    expect(error.field).toEqual('devices.gate.apiAuthKey');
+    expect(error.message).toContain('(devices.gate)');
+
+    const jsonFile = writeConfigFile(
+      'devices.json',
+      JSON.stringify({
+        devices: {
+          garage: { host: '192.168.1.155', apiSecretKey: testApiSecretKey, apiAuthKey: testApiAuthKey },
+          gate: { host: '192.168.1.156', port: 8081, apiSecretKey: testApiSecretKey, apiAuthKey: testApiAuthKey }
+        }
+      })
+    );
+    expect(loadDevicesFromFile(jsonFile)).toMatchObject({ garage: { host: '192.168.1.155' }, gate: { port: 8081 } });
+  });
+});
+
+test('The device connects using the options passed to the constructor', async () => {
+  const simulator = new RemootioDeviceSimulator({ apiSecretKey: testApiSecretKey, apiAuthKey: testApiAuthKey });
+  const messages: string[] = [];
+  const logger = {
+    debug: (message: string) => messages.push('debug ' + message),
+    info: (message: string) => messages.push('info ' + message),
+    warn: (message: string) => messages.push('warn ' + message),
+    error: (message: string) => messages.push('error ' + message)
+  };
+  const device = new RemootioDevice({
+    url: 'ws://garage.local/',
+    apiSecretKey: testApiSecretKey,
+    apiAuthKey: testApiAuthKey,
+    createSocket: simulator.createSocket,
+    logger: logger
+  });
+  device.on('connected', () => device.authenticate());
+
+  await new Promise((resolve) => {
+    device.once('authenticated', resolve);
+    device.connect();
+  });
+  device.disconnect();
+  await new Promise((resolve) => device.once('disconnect', resolve));
+
+  expect(messages).toEqual([
+    'debug Connecting to ws://garage.local/',
+    'info Connected to ws://garage.local/',
+    'info Disconnected from ws://garage.local/'
+  ]);
+});
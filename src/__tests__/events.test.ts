@@ -0,0 +1,54 @@
+import { emittedEventNames, normalizeEvent } from '../events';
+
+test('Events without data are normalized', () => {
+  const result = normalizeEvent({
+    event: { cnt: 3, type: 'DoorbellPushed', state: 'closed', t100ms: 1200 }
+  });
+
+  expect(result).toEqual({ type: 'DoorbellPushed', cnt: 3, state: 'closed', t100ms: 1200 });
+});
+
+test('The data of the events is merged into the normalized event', () => {
+  const leftOpen = normalizeEvent({
+    event: { cnt: 4, type: 'LeftOpen', state: 'open', t100ms: 53012, data: { timeOpen100ms: 3000 } }
+  });
+  expect(leftOpen).toEqual({ type: 'LeftOpen', cnt: 4, state: 'open', t100ms: 53012, timeOpen100ms: 3000 });
+
+  const relayTrigger = normalizeEvent({
+    event: {
+      cnt: 5,
+      type: 'RelayTrigger',
+      state: 'closed',
+      t100ms: 53020,
+      data: { keyNr: 2, keyType: 'guest key', via: 'bluetooth' }
+    }
+  });
+  expect(relayTrigger).toEqual({
+    type: 'RelayTrigger',
+    cnt: 5,
+    state: 'closed',
+    t100ms: 53020,
+    keyNr: 2,
+    keyType: 'guest key',
+    via: 'bluetooth'
+  });
+});
+
+test('Every event type has a dedicated event name', () => {
+  expect(emittedEventNames.LeftOpen).toEqual('leftOpen');
+  expect(emittedEventNames.DoorbellPushed).toEqual('doorbell');
+  expect(emittedEventNames.Connected).toEqual('keyConnected');
+  expect(new Set(Object.values(emittedEventNames)).size).toEqual(Object.keys(emittedEventNames).length);
+});
+
+test('The wall-clock time of the event is calculated if the boot time of the device is known', () => {
+  const bootTimeMs = new Date('2020-01-01T12:00:00.000Z').getTime();
+
+  const leftOpen = normalizeEvent(
+    { event: { cnt: 4, type: 'LeftOpen', state: 'open', t100ms: 6000, data: { timeOpen100ms: 3000 } } },
+    bootTimeMs
+  );
+
+  expect(leftOpen.time).toEqual(new Date('2020-01-01T12:10:00.000Z'));
+  expect(leftOpen).toMatchObject({ openSince: new Date('2020-01-01T12:05:00.000Z') });
+});
@@ -0,0 +1,134 @@
+import RemootioDevice = require('../index');
+import { InvalidConfigError } from '../errors';
+import { RemootioFleet } from '../fleet';
+import { RemootioDeviceSimulator } from '../simulator';
+import { testApiAuthKey, testApiSecretKey } from './helpers';
+
+let simulators: RemootioDeviceSimulator[];
+let fleet: RemootioFleet;
+
+beforeEach(async () => {
+  simulators = [
+    new RemootioDeviceSimulator({ apiSecretKey: testApiSecretKey, apiAuthKey: testApiAuthKey, state: 'open' }),
+    new RemootioDeviceSimulator({ apiSecretKey: testApiSecretKey, apiAuthKey: testApiAuthKey, state: 'open' }),
+    new RemootioDeviceSimulator({
+      apiSecretKey: testApiSecretKey,
+      apiAuthKey: testApiAuthKey,
+      state: 'open',
+      serialNumber: '2104000123'
+    })
+  ];
+  await Promise.all(simulators.map((simulator) => simulator.start()));
+
+  fleet = new RemootioFleet();
+  fleet.addDevice('site-a-main', new RemootioDevice('127.0.0.1', testApiSecretKey, testApiAuthKey), {
+    groups: ['site-a'],
+    port: simulators[0].port
+  });
+  fleet.addDevice('site-a-garage', new RemootioDevice('127.0.0.1', testApiSecretKey, testApiAuthKey), {
+    groups: ['site-a'],
+    port: simulators[1].port
+  });
+  fleet.addDevice(
+    'site-b-main',
+    new RemootioDevice({
+      host: '127.0.0.1',
+      apiSecretKey: testApiSecretKey,
+      apiAuthKey: testApiAuthKey,
+      helloOnConnect: true
+    }),
+    { groups: ['site-b'], port: simulators[2].port }
+  );
+});
+
+afterEach(async () => {
+  fleet.disconnectAll();
+  await Promise.all(simulators.map((simulator) => simulator.stop()));
+});
+
+test('Fleet connects and authenticates the devices together', async () => {
+  const authenticatedCallback = jest.fn((_name: string) => {});
+  fleet.on('authenticated', authenticatedCallback);
+
+  const results = await fleet.connectAll(false);
+
+  expect(results.map((result) => result.success)).toEqual([true, true, true]);
+  expect(authenticatedCallback.mock.calls.map((call) => call[0]).sort()).toEqual([
+    'site-a-garage',
+    'site-a-main',
+    'site-b-main'
+  ]);
+  expect(fleet.getStatus()).toMatchObject({ total: 3, connected: 3, authenticated: 3 });
+  expect(fleet.getStatus('site-b').devices).toEqual([
+    { name: 'site-b-main', groups: ['site-b'], connected: true, authenticated: true, doorState: 'open' }
+  ]);
+});
+
+test('Fleet sends actions to the devices of a group', async () => {
+  await fleet.connectAll(false);
+
+  const results = await fleet.closeAll('site-a');
+
+  expect(results.map((result) => [result.name, result.success])).toEqual([
+    ['site-a-main', true],
+    ['site-a-garage', true]
+  ]);
+  expect(fleet.getDevice('site-a-main')?.doorState).toEqual('closing');
+  expect(fleet.getDevice('site-b-main')?.doorState).toEqual('open');
+});
+
+test('Fleet re-emits the events of the devices tagged with the name of the device', async () => {
+  const leftOpenCallback = jest.fn((_name: string, _event: unknown) => {});
+  fleet.on('leftOpen', leftOpenCallback);
+  await fleet.connectAll(false);
+
+  simulators[2].sendEvent('LeftOpen', { timeOpen100ms: 6000 });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  expect(leftOpenCallback).toHaveBeenCalledTimes(1);
+  expect(leftOpenCallback).toHaveBeenCalledWith('site-b-main', expect.objectContaining({ timeOpen100ms: 6000 }));
+});
+
+test('Fleet finds the devices by serial number once they answered the HELLO frame', async () => {
+  const helloCallback = jest.fn((_name: string, _deviceInfo: RemootioDevice.DeviceInfo) => {});
+  fleet.on('hello', helloCallback);
+  expect(fleet.getDevice('2104000123')).toBeUndefined();
+
+  await fleet.connectAll(false);
+
+  expect(helloCallback).toHaveBeenCalledWith('site-b-main', expect.objectContaining({ serialNumber: '2104000123' }));
+  expect(fleet.getDevice('2104000123')).toBe(fleet.getDevice('site-b-main'));
+  expect(fleet.getDevice('0000000000')).toBeUndefined();
+});
+
+test('Fleet reports the failures of the devices', async () => {
+  await simulators[1].stop();
+  const device = fleet.getDevice('site-a-garage') as RemootioDevice;
+  const listenerCounts = () =>
+    ['authenticated', 'reconnectFailed', 'disconnect', 'error'].map((name) => device.listenerCount(name));
+  const initialListenerCounts = listenerCounts();
+
+  //Without autoReconnect the closed connection is reported at once instead of waiting for the timeout
+  const startTime = Date.now();
+  const results = await fleet.connectAll(false, 'site-a', 60000);
+
+  expect(Date.now() - startTime).toBeLessThan(5000);
+  expect(results.map((result) => [result.name, result.success])).toEqual([
+    ['site-a-main', true],
+    ['site-a-garage', false]
+  ]);
+  expect(results[1].error).toMatchObject({ code: 'CONNECTION_CLOSED' });
+  expect(fleet.getStatus('site-a')).toMatchObject({ total: 2, connected: 1, authenticated: 1 });
+  expect(listenerCounts()).toEqual(initialListenerCounts);
+});
+
+test('Removed devices are no longer managed by the fleet', () => {
+  const device = fleet.getDevice('site-b-main') as RemootioDevice;
+  expect(device.listenerCount('connected')).toEqual(2);
+
+  expect(fleet.removeDevice('site-b-main')).toBe(true);
+  expect(fleet.removeDevice('site-b-main')).toBe(false);
+  expect(device.listenerCount('connected')).toEqual(0);
+  expect(fleet.getNames()).toEqual(['site-a-main', 'site-a-garage']);
+  expect(() => fleet.addDevice('site-a-main', device)).toThrow(InvalidConfigError);
+});
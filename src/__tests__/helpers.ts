@@ -0,0 +1,61 @@
+/**
+ * The fixture shared by the tests: a simulated Remootio device and a RemootioDevice talking to it over an in-memory socket
+ */
+
+import RemootioDevice = require('../index');
+import { RemootioDeviceSimulator, RemootioDeviceSimulatorOptions } from '../simulator';
+
+export const testApiSecretKey = 'C85B1CF44398C3BA36B35D63CD779C0A265F9592FF9C5D85EFA16E3C4121B4F6';
+export const testApiAuthKey = 'F01AEB37D9E79FB213ACA2CFB48BECF6C1513F1C5623534799B3BEFE8EF681A0';
+
+export interface SimulatedDevice {
+  simulator: RemootioDeviceSimulator;
+  device: RemootioDevice;
+}
+
+/**
+ * Creates a simulator and a device connecting to it over an in-memory socket (the simulator doesn't need to listen on a port)
+ * @param {Object} [deviceOptions] - overrides the options of the RemootioDevice
+ * @param {Object} [simulatorOptions] - overrides the options of the RemootioDeviceSimulator
+ */
+export function createSimulatedDevice(
+  deviceOptions: Partial<RemootioDevice.Options> = {},
+  simulatorOptions: Partial<RemootioDeviceSimulatorOptions> = {}
+): SimulatedDevice {
+  const simulator = new RemootioDeviceSimulator({
+    apiSecretKey: testApiSecretKey,
+    apiAuthKey: testApiAuthKey,
+    ...simulatorOptions
+  });
+  const device = new RemootioDevice({
+    url: 'ws://garage.local/',
+    apiSecretKey: testApiSecretKey,
+    apiAuthKey: testApiAuthKey,
+    createSocket: simulator.createSocket,
+    ...deviceOptions
+  });
+  return { simulator: simulator, device: device };
+}
+
+/**
+ * Connects the device (using the default options of connect()) and resolves once the session is authenticated
+ */
+export function connectAndAuthenticate(device: RemootioDevice): Promise<void> {
+  device.on('connected', () => device.authenticate());
+  return new Promise((resolve) => {
+    device.once('authenticated', () => resolve());
+    device.connect();
+  });
+}
+
+/**
+ * Creates a simulator and a device, and resolves once the device is authenticated
+ */
+export async function createAuthenticatedDevice(
+  deviceOptions?: Partial<RemootioDevice.Options>,
+  simulatorOptions?: Partial<RemootioDeviceSimulatorOptions>
+): Promise<SimulatedDevice> {
+  const simulatedDevice = createSimulatedDevice(deviceOptions, simulatorOptions);
+  await connectAndAuthenticate(simulatedDevice.device);
+  return simulatedDevice;
+}
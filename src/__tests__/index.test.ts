@@ -1,5 +1,18 @@
 /* eslint-disable @typescript-eslint/no-empty-function */
 import RemootioDevice = require('../index');
+import { RemootioDeviceSimulator } from '../simulator';
+import { RemootioEvent, RemootioEventOfType } from '../events';
+import { createSocketPair } from '../transport';
+import {
+  ActionExpiredError,
+  ActionFailedError,
+  ActionTimeoutError,
+  ConnectionClosedError,
+  DeviceErrorFrame,
+  NotConnectedError,
+  StateNotReachedError,
+  UnsupportedActionError
+} from '../errors';
 
 const testIp = '192.168.0.15';
 const testApiSecretKey = 'C85B1CF44398C3BA36B35D63CD779C0A265F9592FF9C5D85EFA16E3C4121B4F6';
@@ -58,3 +71,582 @@ test('Client can emit events', async () => {
   expect(connectedCallback).not.toHaveBeenCalled();
   expect(disconnectCallback).not.toHaveBeenCalled();
 });
+
+test('Listeners are subscribed by event name and removed together', () => {
+  const instance = new RemootioDevice(testIp, testApiSecretKey, testApiAuthKey);
+  const stateChangedCallback = jest.fn();
+  const unsubscribe = instance.subscribe({ stateChanged: stateChangedCallback, leftOpen: () => {} });
+
+  instance.emit('stateChanged', 'closed', 'opening', 'TRIGGER');
+  expect(stateChangedCallback).toHaveBeenCalledWith('closed', 'opening', 'TRIGGER');
+  unsubscribe();
+  expect(instance.listenerCount('stateChanged') + instance.listenerCount('leftOpen')).toEqual(0);
+});
+
+test('Promise based actions are rejected if the client is not connected', async () => {
+  const instance = new RemootioDevice(testIp, testApiSecretKey, testApiAuthKey);
+
+  await expect(instance.query()).rejects.toThrow(NotConnectedError);
+  await expect(instance.open({ durationMins: 5 })).rejects.toMatchObject({ code: 'NOT_CONNECTED' });
+});
+
+test('Sending frames throws if the client is not connected', () => {
+  const instance = new RemootioDevice(testIp, testApiSecretKey, testApiAuthKey);
+
+  expect(() => instance.sendPing()).toThrow(NotConnectedError);
+  expect(() => instance.sendQuery()).toThrow(NotConnectedError);
+  expect(() => instance.sendEncryptedFrame({ action: { type: 'QUERY', id: 1 } })).toThrow(NotConnectedError);
+});
+
+describe('With a simulated Remootio device', () => {
+  let simulator: RemootioDeviceSimulator;
+  let instance: RemootioDevice;
+
+  const connectAndAuthenticate = () =>
+    new Promise<void>((resolve) => {
+      instance.on('connected', () => instance.authenticate());
+      instance.on('authenticated', () => resolve());
+      instance.connect(false, simulator.port);
+    });
+
+  beforeEach(async () => {
+    simulator = new RemootioDeviceSimulator({
+      apiSecretKey: testApiSecretKey,
+      apiAuthKey: testApiAuthKey,
+      travelTimeMs: 50
+    });
+    await simulator.start();
+    instance = new RemootioDevice('127.0.0.1', testApiSecretKey, testApiAuthKey);
+  });
+
+  afterEach(async () => {
+    instance.disconnect();
+    await simulator.stop();
+  });
+
+  test('Client authenticates with the device', async () => {
+    await connectAndAuthenticate();
+
+    expect(instance.isConnected).toBe(true);
+    expect(instance.isAuthenticated).toBe(true);
+    expect(instance.theLastActionId).not.toBeUndefined();
+  });
+
+  test('Promise based actions resolve with the matching response', async () => {
+    await connectAndAuthenticate();
+
+    const queryResult = await instance.query();
+    expect(queryResult.response.type).toEqual('QUERY');
+    expect(queryResult.response.id).toEqual(instance.theLastActionId);
+    expect(queryResult.response.state).toEqual('closed');
+
+    const openResult = await instance.open();
+    expect(openResult.response.type).toEqual('OPEN');
+    expect(openResult.response.relayTriggered).toBe(true);
+  });
+
+  test('Promise based actions are rejected if the action was not successful', async () => {
+    await connectAndAuthenticate();
+    simulator.failActions = true;
+
+    const error = await instance.trigger().catch((e) => e);
+    expect(error).toBeInstanceOf(ActionFailedError);
+    expect(error.message).toEqual('TRIGGER action was not successful (error)');
+    expect(error.response.errorCode).toEqual('error');
+  });
+
+  test('Promise based actions are rejected if no response arrives in time', async () => {
+    await connectAndAuthenticate();
+    simulator.respondToActions = false;
+
+    await expect(instance.close({ timeoutMs: 100 })).rejects.toThrow(ActionTimeoutError);
+  });
+
+  test('The next action succeeds after an action timed out', async () => {
+    await connectAndAuthenticate();
+    simulator.respondToActions = false;
+    await expect(instance.query({ timeoutMs: 50 })).rejects.toThrow(ActionTimeoutError);
+
+    simulator.respondToActions = true;
+    const queryResult = await instance.query({ timeoutMs: 1000 });
+    expect(queryResult.response.type).toEqual('QUERY');
+    expect(queryResult.response.id).toEqual(instance.theLastActionId);
+  });
+
+  test('The action in flight is rejected if the device answers it with an ERROR frame', async () => {
+    instance.on('error', () => {});
+    await connectAndAuthenticate();
+    simulator.respondToActions = false;
+
+    const result = instance.trigger({ timeoutMs: 5000 });
+    await delay(20);
+    simulator.sendErrorFrame('input error');
+
+    await expect(result).rejects.toMatchObject({ code: 'DEVICE_ERROR', errorMessage: 'input error' });
+    expect(instance.pendingActionCount).toEqual(0);
+  });
+
+  test('The queue is drained if an action can not be sent', async () => {
+    const sendEncryptedFrame = instance.sendEncryptedFrame.bind(instance);
+    jest.spyOn(instance, 'sendEncryptedFrame').mockImplementation((unencryptedPayload) => {
+      if (unencryptedPayload.action.type == 'TRIGGER') {
+        throw new Error('The frame could not be sent');
+      }
+      sendEncryptedFrame(unencryptedPayload);
+    });
+    const authenticated = connectAndAuthenticate();
+    //Both actions are queued until the session is authenticated
+    const trigger = instance.trigger();
+    const query = instance.query();
+    await authenticated;
+
+    await expect(trigger).rejects.toThrow('The frame could not be sent');
+    expect((await query).response.type).toEqual('QUERY');
+  });
+
+  test('The action in flight is rejected at once when the client is disconnected', async () => {
+    await connectAndAuthenticate();
+    simulator.respondToActions = false;
+
+    const result = instance.open();
+    const rejection = jest.fn();
+    result.catch(rejection);
+    instance.disconnect();
+    await Promise.resolve();
+
+    expect(rejection).toHaveBeenCalledWith(expect.any(ConnectionClosedError));
+    expect(instance.pendingActionCount).toEqual(0);
+  });
+
+  test('Promise based actions are rejected if the connection is lost', async () => {
+    await connectAndAuthenticate();
+    simulator.respondToActions = false;
+
+    const result = instance.restart();
+    simulator.disconnectClients();
+
+    await expect(result).rejects.toThrow(ConnectionClosedError);
+  });
+
+  test('Actions are queued until the session is authenticated', async () => {
+    instance.on('connected', () => instance.authenticate());
+    instance.connect(false, simulator.port);
+
+    const result = instance.open();
+    instance.sendQuery();
+    expect(instance.pendingActionCount).toEqual(2);
+
+    const openResult = await result;
+    expect(openResult.response.type).toEqual('OPEN');
+    await expect(instance.query()).resolves.toMatchObject({ response: { type: 'QUERY' } });
+    expect(instance.pendingActionCount).toEqual(0);
+  });
+
+  test('Queued actions are sent one by one with sequential ids', async () => {
+    await connectAndAuthenticate();
+    const sentIds: number[] = [];
+    simulator.on('action', (action) => sentIds.push(action.id));
+    const lastActionId = instance.theLastActionId as number;
+
+    const results = await Promise.all([instance.query(), instance.trigger(), instance.query()]);
+
+    expect(sentIds).toEqual([lastActionId + 1, lastActionId + 2, lastActionId + 3]);
+    expect(results.map((result) => result.response.id)).toEqual(sentIds);
+  });
+
+  test('Queued actions expire if they cannot be sent in time', async () => {
+    await new Promise((resolve) => {
+      instance.on('connected', resolve);
+      instance.connect(false, simulator.port);
+    });
+
+    const error = await instance.trigger({ expireAfterMs: 50 }).catch((e) => e);
+    expect(error).toBeInstanceOf(ActionExpiredError);
+    expect(error.code).toEqual('ACTION_EXPIRED');
+    expect(instance.pendingActionCount).toEqual(0);
+  });
+
+  test('Queued actions survive reconnects and the action in flight can be replayed', async () => {
+    await new Promise<void>((resolve) => {
+      instance.on('connected', () => instance.authenticate());
+      instance.once('authenticated', () => resolve());
+      instance.connect({ initialDelayMs: 10, jitter: 0 }, simulator.port);
+    });
+    simulator.respondToActions = false;
+
+    const replayed = instance.open({ replayOnReconnect: true });
+    const queued = instance.query();
+    await delay(20);
+    simulator.respondToActions = true;
+    simulator.disconnectClients();
+
+    await expect(replayed).resolves.toMatchObject({ response: { type: 'OPEN', success: true } });
+    await expect(queued).resolves.toMatchObject({ response: { type: 'QUERY' } });
+  });
+
+  test('Missed events are detected from the event counter and the gate status is queried again', async () => {
+    await new Promise<void>((resolve) => {
+      instance.on('connected', () => instance.authenticate());
+      instance.once('authenticated', () => resolve());
+      instance.connect({ initialDelayMs: 10, jitter: 0 }, simulator.port);
+    });
+    const eventsMissedCallback = jest.fn();
+    instance.on('eventsMissed', eventsMissedCallback);
+    const actions: string[] = [];
+    simulator.on('action', (action) => actions.push(action.type));
+
+    simulator.sendEvent('DoorbellPushed');
+    await new Promise((resolve) => instance.once('doorbell', resolve));
+    //The events sent while the connection is down are lost
+    simulator.disconnectClients();
+    await new Promise((resolve) => instance.once('disconnect', resolve));
+    simulator.sendEvent('DoorbellPushed');
+    simulator.setState('open');
+    await new Promise((resolve) => instance.once('authenticated', resolve));
+    actions.length = 0;
+    simulator.sendEvent('LeftOpen', { timeOpen100ms: 3000 });
+    await new Promise((resolve) => instance.once('leftOpen', resolve));
+    await delay(20);
+
+    expect(eventsMissedCallback).toHaveBeenCalledTimes(1);
+    expect(eventsMissedCallback).toHaveBeenCalledWith(2, 1, 4);
+    expect(actions).toEqual(['QUERY']);
+    expect(instance.doorState).toEqual('open');
+  });
+
+  test('Responses and events get wall-clock timestamps and device restarts are detected', async () => {
+    await new Promise<void>((resolve) => {
+      instance.on('connected', () => instance.authenticate());
+      instance.once('authenticated', () => resolve());
+      instance.connect({ initialDelayMs: 10, jitter: 0 }, simulator.port);
+    });
+    const deviceRestartedCallback = jest.fn();
+    instance.on('deviceRestarted', deviceRestartedCallback);
+    const bootTime = instance.deviceBootTime as Date;
+
+    const result = await instance.query();
+    simulator.sendEvent('LeftOpen', { timeOpen100ms: 3000 });
+    const event = await new Promise<RemootioEventOfType<'LeftOpen'>>((resolve) => instance.once('leftOpen', resolve));
+
+    expect(Math.abs(Date.now() - bootTime.getTime())).toBeLessThan(5000);
+    expect(Math.abs(Date.now() - (result.time as Date).getTime())).toBeLessThan(1000);
+    expect(Math.abs(Date.now() - (event.time as Date).getTime())).toBeLessThan(1000);
+    expect((event.time as Date).getTime() - (event.openSince as Date).getTime()).toEqual(300000);
+    expect(deviceRestartedCallback).not.toHaveBeenCalled();
+
+    //The uptime of the device starts from zero again after the restart
+    await delay(200);
+    await instance.restart();
+    await new Promise((resolve) => instance.once('authenticated', resolve));
+
+    //The Restart event sent after the restart doesn't report it again
+    simulator.sendEvent('Restart');
+    await new Promise((resolve) => instance.once('restart', resolve));
+
+    expect(deviceRestartedCallback).toHaveBeenCalledTimes(1);
+    expect(deviceRestartedCallback.mock.calls[0][1]).toEqual('uptime');
+    expect((instance.deviceBootTime as Date).getTime()).toBeGreaterThan(bootTime.getTime() + 100);
+  });
+
+  test('Queued actions are rejected when the client is disconnected', async () => {
+    instance.connect(false, simulator.port);
+
+    const result = instance.query();
+    instance.disconnect();
+
+    await expect(result).rejects.toThrow(ConnectionClosedError);
+  });
+
+  test('ERROR frames and decryption failures are emitted as errors', async () => {
+    const errors: Error[] = [];
+    instance.on('error', (error) => errors.push(error));
+    await connectAndAuthenticate();
+
+    simulator.sendErrorFrame('connection timeout');
+    await delay(50);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toBeInstanceOf(DeviceErrorFrame);
+    expect(errors[0]).toMatchObject({ code: 'DEVICE_ERROR', errorMessage: 'connection timeout' });
+
+    const wrongKeyInstance = new RemootioDevice('127.0.0.1', testApiSecretKey, testApiSecretKey);
+    const decryptionError = new Promise<Error>((resolve) => wrongKeyInstance.on('error', resolve));
+    wrongKeyInstance.on('connected', () => wrongKeyInstance.authenticate());
+    wrongKeyInstance.connect(false, simulator.port);
+
+    expect(await decryptionError).toMatchObject({ code: 'DECRYPTION_ERROR', reason: 'bad mac' });
+    wrongKeyInstance.disconnect();
+  });
+
+  test('Door state is tracked and opening/closing states are inferred after the output is triggered', async () => {
+    const stateChangedCallback = jest.fn((_previous: string, _current: string, _cause: string) => {});
+    instance.on('stateChanged', stateChangedCallback);
+    expect(instance.doorState).toEqual('unknown');
+
+    await connectAndAuthenticate();
+    expect(instance.doorState).toEqual('closed');
+
+    await instance.trigger();
+    expect(instance.doorState).toEqual('opening');
+    await delay(100);
+    expect(instance.doorState).toEqual('open');
+
+    await instance.close();
+    expect(instance.doorState).toEqual('closing');
+    await instance.query(); //The sensor still reports open while the gate is closing
+    expect(instance.doorState).toEqual('closing');
+    await delay(100);
+    expect(instance.doorState).toEqual('closed');
+
+    expect(stateChangedCallback.mock.calls).toEqual([
+      ['unknown', 'closed', 'QUERY'],
+      ['closed', 'opening', 'TRIGGER'],
+      ['opening', 'open', 'StateChange'],
+      ['open', 'closing', 'CLOSE'],
+      ['closing', 'closed', 'StateChange']
+    ]);
+  });
+
+  test('Verified open/close operations skip the action if the gate is in the target state and wait for the sensor', async () => {
+    const actionCallback = jest.fn();
+    simulator.on('action', (action) => actionCallback(action.type));
+    await connectAndAuthenticate();
+
+    const alreadyClosed = await instance.ensureClosed();
+    expect(alreadyClosed).toMatchObject({ state: 'closed', actionSent: false, verified: true });
+
+    const opened = await instance.ensureOpen();
+    expect(opened).toMatchObject({ state: 'open', actionSent: true, verified: true });
+    expect(opened.actionResponse.response.type).toEqual('OPEN');
+    expect(instance.doorState).toEqual('open');
+
+    await instance.ensureOpen();
+    expect(actionCallback.mock.calls).toEqual([['QUERY'], ['QUERY'], ['QUERY'], ['OPEN'], ['QUERY']]);
+  });
+
+  test('Verified open/close operations fail if the gate does not reach the target state or there is no sensor', async () => {
+    await connectAndAuthenticate();
+    simulator.setState('open');
+
+    //The gate needs 50 ms to close
+    const notClosed = await instance.ensureClosed({ travelTimeMs: 10 }).catch((e) => e);
+    expect(notClosed).toBeInstanceOf(StateNotReachedError);
+    expect(notClosed.code).toEqual('STATE_NOT_REACHED');
+    expect(notClosed.targetState).toEqual('closed');
+    expect(notClosed.state).toEqual('open');
+
+    await delay(100);
+    simulator.setState('no sensor');
+    const noSensor = await instance.ensureOpen().catch((e) => e);
+    expect(noSensor).toBeInstanceOf(StateNotReachedError);
+    expect(noSensor.state).toEqual('no sensor');
+
+    const triggered = await instance.ensureOpen({ triggerIfNoSensor: true });
+    expect(triggered).toMatchObject({ state: 'no sensor', actionSent: true, verified: false });
+    expect(triggered.actionResponse.response.type).toEqual('TRIGGER');
+  });
+
+  test('Events are emitted with a normalized payload under their dedicated name', async () => {
+    const leftOpenCallback = jest.fn((_event: RemootioEventOfType<'LeftOpen'>) => {});
+    const relayTriggerCallback = jest.fn((_event: RemootioEventOfType<'RelayTrigger'>) => {});
+    const doorbellCallback = jest.fn((_event: RemootioEventOfType<'DoorbellPushed'>) => {});
+    const eventCallback = jest.fn((_event: RemootioEvent) => {});
+    instance.on('leftOpen', leftOpenCallback);
+    instance.on('relayTrigger', relayTriggerCallback);
+    instance.on('doorbell', doorbellCallback);
+    instance.on('event', eventCallback);
+    await connectAndAuthenticate();
+
+    await instance.trigger();
+    simulator.sendEvent('LeftOpen', { timeOpen100ms: 3000 });
+    simulator.sendEvent('DoorbellPushed');
+    await delay(100);
+
+    expect(relayTriggerCallback).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'RelayTrigger', keyNr: 0, keyType: 'api key', via: 'wifi' })
+    );
+    expect(leftOpenCallback).toHaveBeenCalledWith(expect.objectContaining({ type: 'LeftOpen', timeOpen100ms: 3000 }));
+    expect(doorbellCallback).toHaveBeenCalledWith(expect.objectContaining({ type: 'DoorbellPushed' }));
+    expect(eventCallback.mock.calls.map((call) => call[0].type)).toEqual([
+      'RelayTrigger',
+      'LeftOpen',
+      'DoorbellPushed',
+      'StateChange'
+    ]);
+  });
+});
+
+describe('Reconnect policy', () => {
+  let closedPort: number;
+
+  beforeAll(async () => {
+    //Get a port nothing is listening on
+    const simulator = new RemootioDeviceSimulator({ apiSecretKey: testApiSecretKey, apiAuthKey: testApiAuthKey });
+    closedPort = await simulator.start();
+    await simulator.stop();
+  });
+
+  test('Client reconnects with exponential backoff and gives up after maxAttempts', async () => {
+    const instance = new RemootioDevice('127.0.0.1', testApiSecretKey, testApiAuthKey);
+    const reconnectingCallback = jest.fn((_attempt: number, _delayMs: number) => {});
+
+    const failedAttempts = await new Promise<number>((resolve) => {
+      instance.on('reconnecting', reconnectingCallback);
+      instance.on('reconnectFailed', resolve);
+      instance.connect({ initialDelayMs: 10, multiplier: 2, maxDelayMs: 30, jitter: 0, maxAttempts: 3 }, closedPort);
+    });
+
+    expect(failedAttempts).toEqual(3);
+    expect(reconnectingCallback.mock.calls).toEqual([
+      [1, 10],
+      [2, 20],
+      [3, 30]
+    ]);
+  });
+
+  test('Pending reconnect attempt can be cancelled', async () => {
+    const instance = new RemootioDevice('127.0.0.1', testApiSecretKey, testApiAuthKey);
+    const connectingCallback = jest.fn(() => {});
+
+    await new Promise((resolve) => {
+      instance.on('reconnecting', resolve);
+      instance.connect({ initialDelayMs: 100, jitter: 0 }, closedPort);
+    });
+    instance.on('connecting', connectingCallback);
+    const result = instance.query();
+
+    expect(instance.cancelReconnect()).toBe(true);
+    //The queued actions are rejected at once instead of expiring
+    await expect(result).rejects.toThrow(NotConnectedError);
+    await delay(200);
+
+    expect(connectingCallback).not.toHaveBeenCalled();
+    expect(instance.cancelReconnect()).toBe(false);
+  });
+});
+
+describe('Transport', () => {
+  test('Client can connect over an in-memory socket', async () => {
+    const simulator = new RemootioDeviceSimulator({ apiSecretKey: testApiSecretKey, apiAuthKey: testApiAuthKey });
+    const instance = new RemootioDevice('127.0.0.1', testApiSecretKey, testApiAuthKey);
+
+    await new Promise<void>((resolve) => {
+      instance.on('connected', () => instance.authenticate());
+      instance.on('authenticated', () => resolve());
+      instance.connect({ createSocket: simulator.createSocket });
+    });
+    const result = await instance.query();
+    instance.disconnect();
+    await new Promise((resolve) => instance.on('disconnect', resolve));
+
+    expect(result.response.state).toEqual('closed');
+    expect(instance.isConnected).toBe(false);
+  });
+
+  test('The url and the socket factory can be customized', async () => {
+    const simulator = new RemootioDeviceSimulator({ apiSecretKey: testApiSecretKey, apiAuthKey: testApiAuthKey });
+    const instance = new RemootioDevice('192.168.1.155', testApiSecretKey, testApiAuthKey);
+    const createSocket = jest.fn((_url: string) => simulator.createSocket());
+
+    await new Promise((resolve) => {
+      instance.on('connected', resolve);
+      instance.connect({ url: 'wss://proxy.example.com/remootio', createSocket: createSocket });
+    });
+    instance.disconnect();
+
+    expect(createSocket).toHaveBeenCalledWith('wss://proxy.example.com/remootio');
+  });
+
+  test('The default url is built from the IP address and the port', () => {
+    const instance = new RemootioDevice('192.168.1.155', testApiSecretKey, testApiAuthKey);
+    const socket = createSocketPair()[0];
+    const createSocket = jest.fn((_url: string) => socket);
+
+    instance.connect({ port: 8081, createSocket: createSocket });
+    instance.disconnect();
+
+    expect(createSocket).toHaveBeenCalledWith('ws://192.168.1.155:8081/');
+  });
+});
+
+describe('Device info', () => {
+  const connectWithHello = (simulator: RemootioDeviceSimulator, emitted: string[] = []) => {
+    const instance = new RemootioDevice({
+      host: '127.0.0.1',
+      apiSecretKey: testApiSecretKey,
+      apiAuthKey: testApiAuthKey,
+      createSocket: simulator.createSocket,
+      helloOnConnect: true
+    });
+    instance.on('hello', () => emitted.push('hello'));
+    instance.on('connected', () => instance.authenticate());
+    return new Promise<RemootioDevice>((resolve) => {
+      instance.on('authenticated', () => {
+        emitted.push('authenticated');
+        resolve(instance);
+      });
+      instance.connect();
+    });
+  };
+
+  test('The SERVER_HELLO frame is emitted and exposed as deviceInfo', async () => {
+    const simulator = new RemootioDeviceSimulator({
+      apiSecretKey: testApiSecretKey,
+      apiAuthKey: testApiAuthKey,
+      serialNumber: '1234567890'
+    });
+    const emitted: string[] = [];
+
+    const instance = await connectWithHello(simulator, emitted);
+    const result = await instance.triggerSecondary();
+    instance.disconnect();
+
+    expect(emitted).toEqual(['hello', 'authenticated']);
+    expect(instance.deviceInfo).toEqual({ apiVersion: 2, serialNumber: '1234567890', remootioVersion: 'remootio-2' });
+    expect(result.response.type).toEqual('TRIGGER_SECONDARY');
+  });
+
+  test('Actions not supported by API version 1 are refused', async () => {
+    const simulator = new RemootioDeviceSimulator({
+      apiSecretKey: testApiSecretKey,
+      apiAuthKey: testApiAuthKey,
+      apiVersion: 1
+    });
+    const actionCallback = jest.fn();
+    simulator.on('action', actionCallback);
+
+    const instance = await connectWithHello(simulator);
+    const triggerSecondaryError = await instance.triggerSecondary().catch((e) => e);
+    const holdError = await instance.open({ durationMins: 10 }).catch((e) => e);
+    const openResult = await instance.open();
+
+    expect(instance.deviceInfo).toEqual({ apiVersion: 1, serialNumber: undefined, remootioVersion: undefined });
+    expect(triggerSecondaryError).toBeInstanceOf(UnsupportedActionError);
+    expect(triggerSecondaryError.code).toEqual('UNSUPPORTED_ACTION');
+    expect(triggerSecondaryError.message).toEqual(
+      'TRIGGER_SECONDARY action is not supported by the device (it needs API version 2, the device uses API version 1)'
+    );
+    expect(holdError).toBeInstanceOf(UnsupportedActionError);
+    expect(() => instance.sendTriggerSecondary()).toThrow(UnsupportedActionError);
+    expect(() => instance.holdTriggerOutputActive(10)).toThrow(UnsupportedActionError);
+    expect(openResult.response.success).toBe(true);
+    //Only the QUERY of the authentication and the OPEN action reached the device
+    expect(actionCallback.mock.calls.map((call) => call[0].type)).toEqual(['QUERY', 'OPEN']);
+    instance.disconnect();
+  });
+
+  test('The secondary output is refused on Remootio 1 devices', async () => {
+    const simulator = new RemootioDeviceSimulator({
+      apiSecretKey: testApiSecretKey,
+      apiAuthKey: testApiAuthKey,
+      remootioVersion: 'remootio-1'
+    });
+
+    const instance = await connectWithHello(simulator);
+    const error = await instance.triggerSecondary({ durationMins: 5 }).catch((e) => e);
+    instance.disconnect();
+
+    expect(error).toBeInstanceOf(UnsupportedActionError);
+    expect(error.message).toContain('Remootio 1 devices have no secondary output');
+  });
+});
@@ -0,0 +1,58 @@
+import { redactSecrets, RedactingLogger } from '../logging';
+import { connectAndAuthenticate, createSimulatedDevice, testApiAuthKey } from './helpers';
+
+test('The wire trace logs the frames with the secrets redacted', async () => {
+  const messages: string[] = [];
+  const logger = {
+    debug: (message: string) => messages.push(message),
+    info: () => {},
+    warn: () => {},
+    error: () => {}
+  };
+  const { device } = createSimulatedDevice({ logger: logger, traceFrames: true });
+  let sessionKey: string | undefined;
+  device.on('incomingmessage', (frame, decryptedPayload) => {
+    if (decryptedPayload != undefined && 'challenge' in decryptedPayload) {
+      sessionKey = decryptedPayload.challenge.sessionKey;
+    }
+  });
+  await connectAndAuthenticate(device);
+  await device.query();
+
+  const frameMessages = messages.filter((message) => message.includes(' frame: '));
+  expect(frameMessages[0]).toEqual('Sent frame: {"type":"AUTH"}');
+  expect(frameMessages[1]).toMatch(
+    /^Received frame: \{"type":"ENCRYPTED","data":\{"iv":"\[REDACTED\]","payload":".+"\},"mac":"\[REDACTED\]"\} decrypted: \{"challenge":\{"sessionKey":"\[REDACTED\]","initialActionId":\d+\}\}$/
+  );
+  expect(
+    frameMessages.some((message) => /^Sent frame: .* decrypted: \{"action":\{"type":"QUERY"/.test(message))
+  ).toEqual(true);
+  expect(sessionKey).toBeDefined();
+  messages.forEach((message) => {
+    expect(message).not.toContain(sessionKey);
+    expect(message.toUpperCase()).not.toContain(testApiAuthKey);
+  });
+
+  //The wire trace can be turned off while the client is running
+  const messageCount = messages.length;
+  device.setFrameTracing(false);
+  await device.query();
+  expect(messages).toHaveLength(messageCount);
+  device.disconnect();
+});
+
+test('The logger drops the messages below its level and redacts the secrets', () => {
+  const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  const redactingLogger = new RedactingLogger(logger, { level: 'warn', secrets: () => [testApiAuthKey, undefined] });
+
+  redactingLogger.info('Connected');
+  redactingLogger.warn('Bad key ' + testApiAuthKey.toLowerCase(), { apiAuthKey: testApiAuthKey, host: 'garage' });
+  expect(logger.info).not.toHaveBeenCalled();
+  expect(logger.warn).toHaveBeenCalledWith('Bad key [REDACTED]', { apiAuthKey: '[REDACTED]', host: 'garage' });
+  expect(redactingLogger.isLevelEnabled('debug')).toEqual(false);
+  expect(redactingLogger.isLevelEnabled('error')).toEqual(true);
+
+  expect(redactSecrets([{ data: { iv: 'abc', payload: 'xyz' }, mac: 'def' }])).toEqual([
+    { data: { iv: '[REDACTED]', payload: 'xyz' }, mac: '[REDACTED]' }
+  ]);
+});
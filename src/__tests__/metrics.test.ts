@@ -0,0 +1,70 @@
+import { formatPrometheusMetrics, LatencyRecorder, RemootioMetrics } from '../metrics';
+import { connectAndAuthenticate, createSimulatedDevice } from './helpers';
+
+test('The device measures the health of the connection', async () => {
+  const { simulator, device } = createSimulatedDevice({ pingIntervalMs: 20 });
+  device.on('error', () => {});
+  await connectAndAuthenticate(device);
+
+  await device.query();
+  await new Promise((resolve) => device.once('incomingmessage', (frame) => frame.type == 'PONG' && resolve(frame)));
+  simulator.sendErrorFrame('input error');
+  await new Promise((resolve) => device.once('error', resolve));
+
+  const metrics = device.getMetrics();
+  expect(metrics).toMatchObject({
+    connected: true,
+    authenticated: true,
+    connects: 1,
+    reconnectAttempts: 0,
+    pingTimeouts: 0,
+    decryptionFailures: 0,
+    errorFrames: 1
+  });
+  expect(metrics.pingRoundTrip.count).toBeGreaterThanOrEqual(1);
+  expect(metrics.actionLatency.count).toEqual(1);
+  expect(metrics.timeSinceLastMessageMs).toBeGreaterThanOrEqual(0);
+  expect(metrics.lastMessageTime).toBeInstanceOf(Date);
+
+  device.disconnect();
+  await new Promise((resolve) => device.once('disconnect', resolve));
+  expect(device.getMetrics().connected).toEqual(false);
+});
+
+test('The metrics are formatted for Prometheus', () => {
+  const pingRoundTrip = new LatencyRecorder();
+  pingRoundTrip.record(8);
+  pingRoundTrip.record(40);
+  const metrics: RemootioMetrics = {
+    connected: true,
+    authenticated: false,
+    pingRoundTrip: pingRoundTrip.snapshot(),
+    actionLatency: new LatencyRecorder().snapshot(),
+    connects: 3,
+    reconnectAttempts: 2,
+    pingTimeouts: 1,
+    actionTimeouts: 0,
+    decryptionFailures: 0,
+    errorFrames: 0
+  };
+  expect(metrics.pingRoundTrip).toMatchObject({ count: 2, sumMs: 48, minMs: 8, maxMs: 40, lastMs: 40 });
+
+  const text = formatPrometheusMetrics(metrics);
+  expect(text).toContain('# TYPE remootio_reconnect_attempts_total counter\nremootio_reconnect_attempts_total 2\n');
+  expect(text).toContain('remootio_ping_round_trip_seconds_bucket{le="0.005"} 0\n');
+  expect(text).toContain('remootio_ping_round_trip_seconds_bucket{le="0.01"} 1\n');
+  expect(text).toContain('remootio_ping_round_trip_seconds_bucket{le="0.05"} 2\n');
+  expect(text).toContain('remootio_ping_round_trip_seconds_bucket{le="+Inf"} 2\n');
+  expect(text).toContain('remootio_ping_round_trip_seconds_sum 0.048\n');
+  //There is no sample if no message was received yet
+  expect(text).toContain('# TYPE remootio_seconds_since_last_message gauge\n# HELP remootio_ping_round_trip_seconds');
+
+  const fleetText = formatPrometheusMetrics([
+    { labels: { device: 'garage' }, metrics: metrics },
+    { labels: { device: 'front "gate"' }, metrics: { ...metrics, connects: 1 } }
+  ]);
+  expect(fleetText).toContain(
+    'remootio_connects_total{device="garage"} 3\nremootio_connects_total{device="front \\"gate\\""} 1\n'
+  );
+  expect(fleetText.match(/# TYPE remootio_connects_total/g)).toHaveLength(1);
+});
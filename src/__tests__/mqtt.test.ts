@@ -0,0 +1,154 @@
+import { AddressInfo, createServer, Server } from 'net';
+import { IncomingMessage } from 'http';
+import * as aedes from 'aedes';
+import { connect, MqttClient } from 'mqtt';
+import RemootioDevice = require('../index');
+import { RemootioMqttBridge } from '../mqtt';
+import { RemootioDeviceSimulator } from '../simulator';
+import { connectAndAuthenticate, createSimulatedDevice } from './helpers';
+
+describe('RemootioMqttBridge', () => {
+  let broker: aedes.Aedes;
+  let brokerServer: Server;
+  let simulator: RemootioDeviceSimulator;
+  let device: RemootioDevice;
+  let bridgeClient: MqttClient;
+  let testClient: MqttClient;
+  let bridge: RemootioMqttBridge;
+  let brokerPort: number;
+  let messages: { topic: string; payload: string }[];
+
+  const connectClient = (port: number) =>
+    new Promise<MqttClient>((resolve) => {
+      const client = connect('mqtt://127.0.0.1:' + port);
+      client.once('connect', () => resolve(client));
+    });
+
+  const waitForMessage = (topic: string, payload?: string) =>
+    new Promise<string>((resolve) => {
+      const check = () => {
+        const message = messages.find((m) => m.topic == topic && (payload == undefined || m.payload == payload));
+        if (message != undefined) {
+          testClient.removeListener('message', check);
+          resolve(message.payload);
+        }
+      };
+      testClient.on('message', check);
+      check();
+    });
+
+  beforeEach(async () => {
+    //The aedes module itself is the factory function of the broker (its typings declare a default export instead)
+    broker = ((aedes as unknown) as () => aedes.Aedes)();
+    //The HTTP request is only available for websocket connections
+    brokerServer = createServer((socket) => broker.handle(socket, (undefined as unknown) as IncomingMessage));
+    await new Promise<void>((resolve) => brokerServer.listen(0, '127.0.0.1', resolve));
+    brokerPort = (brokerServer.address() as AddressInfo).port;
+
+    ({ simulator, device } = createSimulatedDevice({}, { travelTimeMs: 50 }));
+
+    messages = [];
+    testClient = await connectClient(brokerPort);
+    testClient.on('message', (topic, payload) => messages.push({ topic: topic, payload: payload.toString() }));
+    await new Promise((resolve) => testClient.subscribe('#', { qos: 1 }, resolve));
+
+    bridgeClient = await connectClient(brokerPort);
+    bridge = new RemootioMqttBridge({ device: device, client: bridgeClient, deviceId: 'main-gate', name: 'Main gate' });
+    bridge.start();
+  });
+
+  afterEach(async () => {
+    bridge.stop();
+    device.disconnect();
+    await new Promise((resolve) => bridgeClient.end(false, {}, resolve));
+    await new Promise((resolve) => testClient.end(false, {}, resolve));
+    await new Promise((resolve) => broker.close(resolve));
+    await new Promise((resolve) => brokerServer.close(resolve));
+  });
+
+  test('Home Assistant discovery config is published', async () => {
+    const config = JSON.parse(await waitForMessage('homeassistant/cover/main-gate/config'));
+
+    expect(config).toMatchObject({
+      name: 'Main gate',
+      unique_id: 'remootio_main-gate',
+      device_class: 'garage',
+      command_topic: 'remootio/main-gate/command',
+      state_topic: 'remootio/main-gate/state',
+      availability_topic: 'remootio/main-gate/availability',
+      payload_open: 'OPEN',
+      payload_close: 'CLOSE'
+    });
+    expect(await waitForMessage('remootio/main-gate/availability')).toEqual('offline');
+  });
+
+  test('Door state, availability and events are published', async () => {
+    await connectAndAuthenticate(device);
+
+    expect(await waitForMessage('remootio/main-gate/availability', 'online')).toEqual('online');
+    expect(await waitForMessage('remootio/main-gate/state', 'closed')).toEqual('closed');
+    const status = await waitForMessage('remootio/main-gate/status', '{"connected":true,"authenticated":true}');
+    expect(JSON.parse(status)).toEqual({ connected: true, authenticated: true });
+
+    simulator.sendEvent('LeftOpen', { timeOpen100ms: 3000 });
+    const event = JSON.parse(await waitForMessage('remootio/main-gate/event'));
+    expect(event).toMatchObject({ type: 'LeftOpen', timeOpen100ms: 3000 });
+
+    //The state is retained, so new subscribers get it immediately
+    const lateClient = await connectClient(brokerPort);
+    const retained = await new Promise<{ payload: string; retain: boolean }>((resolve) => {
+      lateClient.on('message', (_topic, payload, packet) =>
+        resolve({ payload: payload.toString(), retain: packet.retain })
+      );
+      lateClient.subscribe('remootio/main-gate/state');
+    });
+    await new Promise((resolve) => lateClient.end(false, {}, resolve));
+    expect(retained).toEqual({ payload: 'closed', retain: true });
+  });
+
+  test('Commands received on the command topic are sent to the device', async () => {
+    await connectAndAuthenticate(device);
+    const executed = new Promise((resolve) => bridge.on('command', (command) => resolve(command)));
+    const actions: string[] = [];
+    simulator.on('action', (action) => actions.push(action.type));
+
+    testClient.publish('remootio/main-gate/command', 'OPEN');
+
+    expect(await executed).toEqual('OPEN');
+    expect(actions).toEqual(['OPEN']);
+    expect(await waitForMessage('remootio/main-gate/state', 'opening')).toEqual('opening');
+  });
+
+  test('Unknown commands are emitted as errors', async () => {
+    const error = new Promise<Error>((resolve) => bridge.on('error', resolve));
+
+    testClient.publish('remootio/main-gate/command', 'STOP');
+
+    expect(await error).toMatchObject({
+      code: 'INVALID_COMMAND',
+      command: 'STOP',
+      message: 'Unknown command STOP received on remootio/main-gate/command'
+    });
+  });
+
+  test('Invalid and failed commands do not crash the bridge without an error listener', async () => {
+    const unhandledRejections: unknown[] = [];
+    const onUnhandledRejection = (reason: unknown) => unhandledRejections.push(reason);
+    process.on('unhandledRejection', onUnhandledRejection);
+    await connectAndAuthenticate(device);
+    simulator.failActions = true;
+    const failed = new Promise((resolve) => simulator.once('action', resolve));
+
+    testClient.publish('remootio/main-gate/command', 'STOP');
+    testClient.publish('remootio/main-gate/command', 'OPEN');
+    await failed;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    process.removeListener('unhandledRejection', onUnhandledRejection);
+
+    expect(unhandledRejections).toEqual([]);
+    simulator.failActions = false;
+    const executed = new Promise((resolve) => bridge.on('command', (command) => resolve(command)));
+    testClient.publish('remootio/main-gate/command', 'CLOSE');
+    expect(await executed).toEqual('CLOSE');
+  });
+});
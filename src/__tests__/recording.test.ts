@@ -0,0 +1,160 @@
+import { Writable } from 'stream';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import RemootioDevice = require('../index');
+import {
+  parseRecording,
+  RecordingEntry,
+  redacted,
+  RemootioSessionRecorder,
+  RemootioSessionReplayer
+} from '../recording';
+import { DecryptionError } from '../errors';
+import { createSimulatedDevice } from './helpers';
+
+const replayApiSecretKey = 'EFD0E4BF75D49BDD4F5CD5492D55C92FE96040E9CD74BED9F19ACA2658EA0FA9';
+const replayApiAuthKey = '7B456E7AE95E55F714E2270983C33360514DAD96C93AE1990AFE35FD5BF00A72';
+
+//Runs a session: authenticates, opens the gate and waits for the StateChange event, then disconnects
+//It collects the events emitted by the device
+async function runSession(device: RemootioDevice): Promise<string[]> {
+  const emitted: string[] = [];
+  device.on('authenticated', () => emitted.push('authenticated'));
+  device.on('event', (event) => emitted.push('event ' + event.type + ' ' + event.state));
+  device.on('stateChanged', (previous, current) => emitted.push('stateChanged ' + previous + ' ' + current));
+  device.on('connected', () => device.authenticate());
+
+  await new Promise<void>((resolve) => {
+    device.once('authenticated', () => resolve());
+    device.connect(false);
+  });
+  await device.open();
+  await new Promise((resolve) => device.once('sensorStateChange', resolve));
+  await new Promise((resolve) => {
+    device.once('disconnect', resolve);
+    device.disconnect();
+  });
+  return emitted;
+}
+
+//Creates a device connecting to the replayer over an in-memory socket
+function createReplayedDevice(replayer: RemootioSessionReplayer): RemootioDevice {
+  return new RemootioDevice({
+    url: 'ws://garage.local/',
+    apiSecretKey: replayApiSecretKey,
+    apiAuthKey: replayApiAuthKey,
+    createSocket: replayer.createSocket
+  });
+}
+
+describe('Session recording and replay', () => {
+  let recording: RecordingEntry[];
+  let recordedEvents: string[];
+
+  beforeAll(async () => {
+    const { device } = createSimulatedDevice({}, { travelTimeMs: 50 });
+    let ndjson = '';
+    const output = new Writable({
+      write: (chunk, _encoding, callback) => {
+        ndjson += chunk.toString();
+        callback();
+      }
+    });
+    const recorder = new RemootioSessionRecorder(device, output);
+    recorder.start();
+
+    recordedEvents = await runSession(device);
+    await recorder.stop();
+    recording = parseRecording(ndjson);
+  });
+
+  test('The frames are recorded with timestamps and decrypted payloads', () => {
+    expect(recording.map((entry) => entry.kind + ' ' + entry.frame?.type)).toEqual([
+      'connected undefined',
+      'outgoing AUTH',
+      'incoming ENCRYPTED',
+      'outgoing ENCRYPTED',
+      'incoming ENCRYPTED',
+      'outgoing ENCRYPTED',
+      'incoming ENCRYPTED',
+      'incoming ENCRYPTED',
+      'incoming ENCRYPTED',
+      'disconnected undefined'
+    ]);
+    expect(recording[3].payload).toMatchObject({ action: { type: 'QUERY' } });
+    expect(recording[6].payload).toMatchObject({ response: { type: 'OPEN', success: true } });
+    expect(recording[8].payload).toMatchObject({ event: { type: 'StateChange', state: 'open' } });
+    expect(new Date(recording[1].time).getTime()).not.toBeNaN();
+    expect(recording[8].elapsedMs).toBeGreaterThanOrEqual(recording[1].elapsedMs);
+  });
+
+  test('The keys are redacted', () => {
+    expect(recording[2].payload).toMatchObject({ challenge: { sessionKey: redacted } });
+    const ndjson = JSON.stringify(recording);
+    expect(ndjson).not.toContain('"mac"');
+    expect(ndjson).not.toContain('"iv"');
+  });
+
+  test('The device emits the same events when the recording is replayed', async () => {
+    const replayer = new RemootioSessionReplayer({
+      recording: recording,
+      apiSecretKey: replayApiSecretKey,
+      apiAuthKey: replayApiAuthKey
+    });
+    const mismatches: RecordingEntry[] = [];
+    replayer.on('mismatch', (expected) => mismatches.push(expected));
+    const finished = new Promise((resolve) => replayer.on('finished', resolve));
+    const device = createReplayedDevice(replayer);
+
+    const replayedEvents = await runSession(device);
+    await finished;
+    await replayer.stop();
+
+    expect(replayedEvents).toEqual(recordedEvents);
+    expect(mismatches).toEqual([]);
+    expect(replayer.finished).toBe(true);
+  });
+
+  test('Frames that could not be decrypted are replayed as decryption errors', async () => {
+    const replayer = new RemootioSessionReplayer({
+      recording: [
+        { kind: 'connected', time: '2020-01-01T12:00:00.000Z', elapsedMs: 0 },
+        { kind: 'outgoing', time: '2020-01-01T12:00:00.010Z', elapsedMs: 10, frame: { type: 'AUTH' } },
+        { kind: 'incoming', time: '2020-01-01T12:00:00.020Z', elapsedMs: 20, frame: { type: 'ENCRYPTED' } }
+      ],
+      apiSecretKey: replayApiSecretKey,
+      apiAuthKey: replayApiAuthKey,
+      speed: 1
+    });
+    const device = createReplayedDevice(replayer);
+    device.on('connected', () => device.authenticate());
+
+    const error = await new Promise<Error>((resolve) => {
+      device.on('error', resolve);
+      device.connect(false);
+    });
+    device.disconnect();
+    await replayer.stop();
+
+    expect(error).toBeInstanceOf(DecryptionError);
+    expect((error as DecryptionError).reason).toEqual('bad mac');
+  });
+});
+
+test('The recorder reports the errors of the file it opened', async () => {
+  const { device } = createSimulatedDevice();
+  const path = join(tmpdir(), 'remootio-missing-directory-' + process.pid, 'session.ndjson');
+
+  //Without an error listener the error is only returned by stop()
+  const silentRecorder = new RemootioSessionRecorder(device, path);
+  silentRecorder.start();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  await expect(silentRecorder.stop()).rejects.toMatchObject({ code: 'ENOENT' });
+
+  const recorder = new RemootioSessionRecorder(device, path);
+  recorder.start();
+  const error = await new Promise<Error>((resolve) => recorder.on('error', resolve));
+  expect(error).toMatchObject({ code: 'ENOENT' });
+  expect(device.listenerCount('outgoingmessage')).toEqual(0);
+  await expect(recorder.stop()).rejects.toBe(error);
+});
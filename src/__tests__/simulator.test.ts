@@ -0,0 +1,144 @@
+import WebSocket = require('ws');
+import RemootioDevice = require('../index');
+import * as apicrypto from '../apicrypto';
+import { RemootioDeviceSimulator } from '../simulator';
+import { EncryptedFrame, EventTypes, ReceivedEncryptedFrameContent, ReceivedFrames } from '../frames';
+
+const testApiSecretKey = 'C85B1CF44398C3BA36B35D63CD779C0A265F9592FF9C5D85EFA16E3C4121B4F6';
+const testApiAuthKey = 'F01AEB37D9E79FB213ACA2CFB48BECF6C1513F1C5623534799B3BEFE8EF681A0';
+const wrongApiAuthKey = '0000000000000000000000000000000000000000000000000000000000000000';
+
+let simulator: RemootioDeviceSimulator;
+
+beforeEach(async () => {
+  simulator = new RemootioDeviceSimulator({
+    apiSecretKey: testApiSecretKey,
+    apiAuthKey: testApiAuthKey,
+    serialNumber: '1234567890',
+    travelTimeMs: 50
+  });
+  await simulator.start();
+});
+
+afterEach(async () => {
+  await simulator.stop();
+});
+
+const openRawConnection = () =>
+  new Promise<WebSocket>((resolve) => {
+    const socket = new WebSocket('ws://127.0.0.1:' + simulator.port + '/');
+    socket.on('open', () => resolve(socket));
+  });
+
+const sendAndReceive = (socket: WebSocket, frame: string) =>
+  new Promise<ReceivedFrames>((resolve) => {
+    socket.once('message', (data) => resolve(JSON.parse(data.toString())));
+    socket.send(frame);
+  });
+
+test('Simulator listens on a free port', () => {
+  expect(simulator.port).toBeGreaterThan(0);
+});
+
+test('Simulator answers PING, HELLO and invalid frames', async () => {
+  const socket = await openRawConnection();
+
+  expect(await sendAndReceive(socket, JSON.stringify({ type: 'PING' }))).toEqual({ type: 'PONG' });
+  expect(await sendAndReceive(socket, JSON.stringify({ type: 'HELLO' }))).toEqual({
+    type: 'SERVER_HELLO',
+    apiVersion: 2,
+    message: 'Remootio websocket API',
+    serialNumber: '1234567890',
+    remootioVersion: 'remootio-2'
+  });
+  expect(await sendAndReceive(socket, 'not json')).toEqual({ type: 'ERROR', errorMessage: 'json error' });
+
+  socket.close();
+});
+
+test('Simulator sends state changes and events to authenticated clients', async () => {
+  const instance = new RemootioDevice('127.0.0.1', testApiSecretKey, testApiAuthKey);
+  const events: EventTypes['event'][] = [];
+  instance.on('incomingmessage', (_frame: ReceivedFrames, decryptedPayload?: ReceivedEncryptedFrameContent) => {
+    if (decryptedPayload != undefined && 'event' in decryptedPayload) {
+      events.push(decryptedPayload.event);
+    }
+  });
+
+  await new Promise<void>((resolve) => {
+    instance.on('connected', () => instance.authenticate());
+    instance.on('authenticated', () => resolve());
+    instance.connect(false, simulator.port);
+  });
+
+  await instance.trigger();
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  simulator.sendEvent('LeftOpen', { timeOpen100ms: 3000 });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  expect(simulator.state).toEqual('open');
+  expect(events.map((event) => event.type)).toEqual(['RelayTrigger', 'StateChange', 'LeftOpen']);
+  expect(events.map((event) => event.cnt)).toEqual([1, 2, 3]);
+  expect(events[1].state).toEqual('open');
+
+  instance.disconnect();
+});
+
+test('Simulator rejects a client using the wrong keys', async () => {
+  const instance = new RemootioDevice('127.0.0.1', testApiSecretKey, wrongApiAuthKey);
+  const receivedFrames: ReceivedFrames[] = [];
+  instance.on('incomingmessage', (frame: ReceivedFrames) => receivedFrames.push(frame));
+  instance.on('error', () => undefined);
+  instance.on('connected', () => instance.authenticate());
+  instance.connect(false, simulator.port);
+
+  await new Promise((resolve) => setTimeout(resolve, 200));
+
+  expect(instance.isAuthenticated).toBe(false);
+  expect(receivedFrames.map((frame) => frame.type)).toEqual(['ENCRYPTED']);
+
+  instance.disconnect();
+});
+
+test('Simulator only accepts the authenticating QUERY action before the session is authenticated', async () => {
+  const socket = await openRawConnection();
+  const challengeFrame = (await sendAndReceive(socket, JSON.stringify({ type: 'AUTH' }))) as EncryptedFrame;
+  const challenge = apicrypto.remootioApiDecryptEncrypedFrame(challengeFrame, testApiSecretKey, testApiAuthKey);
+  if (challenge == undefined || !('challenge' in challenge)) {
+    throw new Error('No challenge received');
+  }
+  const { sessionKey, initialActionId } = challenge.challenge;
+  const sendAction = (type: 'QUERY' | 'TRIGGER') =>
+    sendAndReceive(
+      socket,
+      JSON.stringify(
+        apicrypto.remootioApiConstructEncrypedFrame(
+          JSON.stringify({ action: { type: type, id: (initialActionId + 1) % 0x7fffffff } }),
+          testApiSecretKey,
+          testApiAuthKey,
+          sessionKey
+        )
+      )
+    );
+
+  expect(await sendAction('TRIGGER')).toEqual({ type: 'ERROR', errorMessage: 'authentication error' });
+  expect(simulator.state).toEqual('closed');
+  const queryResponse = (await sendAction('QUERY')) as EncryptedFrame;
+  expect(
+    apicrypto.remootioApiDecryptEncrypedFrame(queryResponse, testApiSecretKey, testApiAuthKey, sessionKey)
+  ).toMatchObject({ response: { type: 'QUERY', success: true } });
+
+  socket.close();
+});
+
+test('Simulator sends ERROR frames', async () => {
+  const socket = await openRawConnection();
+  const received = new Promise<ReceivedFrames>((resolve) =>
+    socket.once('message', (data) => resolve(JSON.parse(data.toString())))
+  );
+
+  simulator.sendErrorFrame('connection timeout');
+
+  expect(await received).toEqual({ type: 'ERROR', errorMessage: 'connection timeout' });
+  socket.close();
+});
@@ -0,0 +1,89 @@
+import RemootioDevice = require('../index');
+import { RemootioEvent } from '../events';
+import { RemootioEventStream } from '../stream';
+import { RemootioDeviceSimulator } from '../simulator';
+import { createAuthenticatedDevice } from './helpers';
+
+describe('Event streams of the device', () => {
+  let simulator: RemootioDeviceSimulator;
+  let device: RemootioDevice;
+
+  beforeEach(async () => {
+    ({ simulator, device } = await createAuthenticatedDevice());
+  });
+
+  afterEach(() => {
+    device.disconnect();
+  });
+
+  test('The stream is filtered by type and ends on disconnect after the buffered events', async () => {
+    const stream = device.events({ types: ['StateChange', 'LeftOpen'] });
+    simulator.setState('open');
+    simulator.sendEvent('RelayTrigger', { keyNr: 3, keyType: 'guest key', via: 'bluetooth' });
+    simulator.sendEvent('LeftOpen', { timeOpen100ms: 3000 });
+    await new Promise((resolve) => device.on('leftOpen', resolve));
+    device.disconnect();
+
+    const events: RemootioEvent[] = [];
+    for await (const event of stream) {
+      events.push(event);
+    }
+    expect(events.map((event) => event.type)).toEqual(['StateChange', 'LeftOpen']);
+    expect(stream.ended).toEqual(true);
+  });
+
+  test('The stream ends when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const stream = device.events({ signal: controller.signal });
+    const next = stream.next();
+    controller.abort();
+    expect(await next).toEqual({ value: undefined, done: true });
+
+    //The device stops pushing events to the ended streams
+    simulator.sendEvent('LeftOpen', { timeOpen100ms: 3000 });
+    await new Promise((resolve) => device.on('leftOpen', resolve));
+    expect(await stream.next()).toEqual({ value: undefined, done: true });
+  });
+
+  test('The stream is ended at once if the signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const stream = device.events({ signal: controller.signal });
+
+    expect(stream.ended).toEqual(true);
+    expect(await stream.next()).toEqual({ value: undefined, done: true });
+    simulator.sendEvent('LeftOpen', { timeOpen100ms: 3000 });
+    await new Promise((resolve) => device.on('leftOpen', resolve));
+    expect(await stream.next()).toEqual({ value: undefined, done: true });
+  });
+
+  test('waitFor resolves with the first matching event and rejects on timeout', async () => {
+    const stateChange = device.waitFor((event) => event.type == 'StateChange' && event.state == 'open', 1000);
+    simulator.setState('open');
+    expect(await stateChange).toMatchObject({ type: 'StateChange', state: 'open' });
+
+    await expect(device.waitFor((event) => event.type == 'Restart', 20)).rejects.toMatchObject({
+      code: 'WAIT_TIMEOUT',
+      timeoutMs: 20
+    });
+    const restart = device.waitFor((event) => event.type == 'Restart');
+    device.disconnect();
+    await expect(restart).rejects.toMatchObject({ code: 'CONNECTION_CLOSED' });
+  });
+});
+
+test('The oldest events are dropped if the buffer is full', async () => {
+  const onEnd = jest.fn();
+  const stream = new RemootioEventStream({ types: ['LeftOpen'], bufferSize: 2 }, onEnd);
+  [1, 2, 3, 4].forEach((cnt) => stream.push({ type: 'LeftOpen', cnt: cnt } as RemootioEvent));
+  stream.push({ type: 'StateChange', cnt: 5 } as RemootioEvent);
+  stream.end();
+  stream.end();
+
+  expect(stream.droppedEventCount).toEqual(2);
+  expect(onEnd).toHaveBeenCalledTimes(1);
+  expect(onEnd).toHaveBeenCalledWith(stream);
+  expect((await stream.next()).value).toMatchObject({ cnt: 3 });
+  expect((await stream.next()).value).toMatchObject({ cnt: 4 });
+  expect((await stream.next()).done).toEqual(true);
+});
@@ -0,0 +1,27 @@
+import { createSocketPair, SocketReadyState } from '../transport';
+
+test('In-memory sockets deliver the messages to each other', async () => {
+  const [client, server] = createSocketPair();
+  expect(client.readyState).toEqual(SocketReadyState.CONNECTING);
+  await new Promise((resolve) => (client.onopen = resolve));
+  expect(server.readyState).toEqual(SocketReadyState.OPEN);
+
+  const received = new Promise((resolve) => (server.onmessage = (event) => resolve(event.data)));
+  client.send('{"type":"PING"}');
+  expect(await received).toEqual('{"type":"PING"}');
+});
+
+test('Closing an in-memory socket closes its peer too', async () => {
+  const [client, server] = createSocketPair();
+  await new Promise((resolve) => (client.onopen = resolve));
+
+  const closed = Promise.all([
+    new Promise((resolve) => (client.onclose = resolve)),
+    new Promise((resolve) => (server.onclose = resolve))
+  ]);
+  server.close();
+  await closed;
+
+  expect(client.readyState).toEqual(SocketReadyState.CLOSED);
+  expect(() => client.send('{"type":"PING"}')).toThrow('The socket is not open');
+});
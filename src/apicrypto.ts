@@ -1,96 +1,118 @@
 /**
  * This module implements the crypto needed by the Remootio device API to handle ENCRYPTED frames used for sending sensitive information and commands
- * It uses crypto-js (https://github.com/brix/crypto-js) but the crypto operations here can also be done using the crypto node module require('crypto')
- * crypto-js is used for the code reuse purposes between the browser and the Node.js examples
+ * It uses the crypto node module. The payload is encrypted using AES-CBC with PKCS#7 padding, and authenticated using a HMAC-SHA256 over JSON.stringify(frame.data)
+ * The MAC is compared in constant time, and the keys, MACs and decrypted payloads are never logged.
  */
 
-import CryptoJS = require('crypto-js');
+import { createCipheriv, createDecipheriv, createHmac, randomBytes, timingSafeEqual } from 'crypto';
 import { EncryptedFrame, ReceivedEncryptedFrameContent } from './frames';
 
 /**
- * This function decrypts the payload of an ENCRYPTED frame.
- * @param {Object} frame - is a javascript object representing a valid encrypted frame
- * @param {string} ApiSecretKey - API Secret Key of the device (as seen in the Remootio app).
- * It is a hexstring representing a 256 bit long value e.g. "12b3f03211c384736b8a1906635f4abc90074e680138a689caf03485a971efb3"
- * @param {string} ApiAuthKey - API Auth Key of the device (as seen in the Remootio app).
- * It is a hexstring representing a 256 bit long value e.g. "74ca13b56b3c898670a67e8f36f8b8a61340738c82617ba1398ae7ca62f1670a"
- * @param {string} ApiSessionKey - API Session Key for the current session.
- * If the session is not authenticated this parameter must be undefined.
- * The sessionkey is received in the challenge.sessionKey field of the ENCRYPTED frame sent as a response to the AUTH frame
- * during the authentication flow. This is a base64 encoded string representing a 256 bit long value
- * e.g. "f+8UpraYuLV0wKdHNjJAj1OTaNOI83i6fJZ8TBtwx00="
+ * The reason why an ENCRYPTED frame couldn't be decrypted
+ * 'invalid frame' - the frame is not a valid ENCRYPTED frame (some fields are missing or the IV is not 128 bits long)
+ * 'invalid key' - the key used for decryption is not a valid AES key
+ * 'bad mac' - the MAC of the frame doesn't match the calculated MAC (the frame was not sent by the device or the ApiAuthKey is wrong)
+ * 'bad padding' - the decrypted payload has an invalid padding (the key used for decryption is wrong)
+ * 'invalid json' - the decrypted payload is not a valid JSON
  */
-export function remootioApiDecryptEncrypedFrame(
+export type DecryptionFailureReason = 'invalid frame' | 'invalid key' | 'bad mac' | 'bad padding' | 'invalid json';
+
+export type DecryptionResult =
+  | { success: true; payload: ReceivedEncryptedFrameContent }
+  | { success: false; reason: DecryptionFailureReason };
+
+//AES-128, AES-192 or AES-256 is used depending on the length of the key
+function aesCbcAlgorithm(key: Buffer): string | undefined {
+  if (key.length == 16 || key.length == 24 || key.length == 32) {
+    return 'aes-' + key.length * 8 + '-cbc';
+  }
+  return undefined;
+}
+
+/**
+ * This function decrypts the payload of an ENCRYPTED frame, and returns the reason of the failure if it can't be decrypted.
+ * The parameters are the same as the parameters of remootioApiDecryptEncrypedFrame
+ * @returns {Object} - {success: true, payload} or {success: false, reason} where reason is a DecryptionFailureReason
+ */
+export function remootioApiTryDecryptEncryptedFrame(
   frame: EncryptedFrame,
   ApiSecretKey: string,
   ApiAuthKey: string,
   ApiSessionKey?: string
-): ReceivedEncryptedFrameContent | undefined {
+): DecryptionResult {
   if (!frame || frame.type != 'ENCRYPTED' || !frame.data || !frame.mac || !frame.data.payload || !frame.data.iv) {
-    return undefined;
+    return { success: false, reason: 'invalid frame' };
   }
 
   //STEP 0 - Get the relevant keys used for encryption
-  let CurrentlyUsedSecretKeyWordArray = undefined; //The currently used encryption key (in word array form as CryptoJS prefers) - To be set in the next few lines
   //The used Secret Key - used for encryption - depends on if the session is already authenticated or not
-  //If it's not then it's the ApiSecretKey. If it is, the ApiSessionKey is used instead.
-  if (ApiSessionKey == undefined) {
-    //If the session is not authenticated, we use ApiSecretKey, which is a hexstring
-    //CryptoJs works with wordArrays, but ApiSecretKey is a hexstring
-    CurrentlyUsedSecretKeyWordArray = CryptoJS.enc.Hex.parse(ApiSecretKey); //Parse hexstring
-  } else {
-    //If the session is already authenticated, we use ApiSessionKey, which we received as a response to our AUTH frame earlier in base64 encoded form
-    //CryptoJs works with wordArrays, but ApiSessionKey is a base64 encoded string
-    CurrentlyUsedSecretKeyWordArray = CryptoJS.enc.Base64.parse(ApiSessionKey); //Parse hexstring
+  //If it's not then it's the ApiSecretKey (a hexstring). If it is, the ApiSessionKey (base64 encoded) is used instead.
+  const currentlyUsedSecretKey =
+    ApiSessionKey == undefined ? Buffer.from(ApiSecretKey, 'hex') : Buffer.from(ApiSessionKey, 'base64');
+  const algorithm = aesCbcAlgorithm(currentlyUsedSecretKey);
+  if (algorithm == undefined) {
+    return { success: false, reason: 'invalid key' };
   }
-
   //The auth key is used for calculating the MAC (Message Authentication Code), which is a HMAC-SHA256
-  //CryptoJs works with wordArrays, but ApiAuthKey is a hexstring
-  const ApiAuthKeyWordArray = CryptoJS.enc.Hex.parse(ApiAuthKey); //Parse hexstring
+  const apiAuthKey = Buffer.from(ApiAuthKey, 'hex');
 
   //Step 1 verify MAC
   //It is a HMAC-SHA256 over the JSON.stringify(frame.data)
-  const mac = CryptoJS.HmacSHA256(JSON.stringify(frame.data), ApiAuthKeyWordArray);
-  const base64mac = CryptoJS.enc.Base64.stringify(mac);
-  //Check if the calculated MAC matches the one sent by the API
-  let macMatches = true;
-  if (base64mac != frame.mac) {
-    //If the MAC doesn't match - return
-    console.warn('Decryption error: calculated MAC ' + base64mac + ' does not match the MAC from the API ' + frame.mac);
-    macMatches = false;
+  const calculatedMac = createHmac('sha256', apiAuthKey).update(JSON.stringify(frame.data), 'utf8').digest();
+  const receivedMac = Buffer.from(frame.mac, 'base64');
+  //Check if the calculated MAC matches the one sent by the API (in constant time)
+  if (receivedMac.length != calculatedMac.length || !timingSafeEqual(receivedMac, calculatedMac)) {
+    return { success: false, reason: 'bad mac' };
   }
 
   //STEP 2 decrypt the payload
-  //The frame.data.payload is a base64 encoded string, we convert it to wordArray for CryptoJS
-  const payloadWordArray = CryptoJS.enc.Base64.parse(frame.data.payload);
-  //The frame.data.iv is a base64 encoded string, we convert it to wordArray for CryptoJS
-  const ivWordArray = CryptoJS.enc.Base64.parse(frame.data.iv);
-
-  const decryptedPayloadWordArray = CryptoJS.AES.decrypt(
-    CryptoJS.lib.CipherParams.create({ ciphertext: payloadWordArray }),
-    CurrentlyUsedSecretKeyWordArray,
-    {
-      iv: ivWordArray,
-      mode: CryptoJS.mode.CBC,
-      padding: CryptoJS.pad.Pkcs7
-    }
-  );
-  const decryptedPayload = CryptoJS.enc.Latin1.stringify(decryptedPayloadWordArray); //The decrypted data is Latin1 encoded string representing a stringified JSON object
-  let decryptedPayloadJSON = undefined;
+  //The frame.data.payload and the frame.data.iv are base64 encoded strings
+  const iv = Buffer.from(frame.data.iv, 'base64');
+  if (iv.length != 16) {
+    return { success: false, reason: 'invalid frame' };
+  }
+  let decryptedPayload: string;
   try {
-    decryptedPayloadJSON = JSON.parse(decryptedPayload);
+    const decipher = createDecipheriv(algorithm, currentlyUsedSecretKey, iv); //PKCS#7 padding is used by default
+    decryptedPayload = Buffer.concat([
+      decipher.update(Buffer.from(frame.data.payload, 'base64')),
+      decipher.final()
+    ]).toString('latin1'); //The decrypted data is Latin1 encoded string representing a stringified JSON object
   } catch (e) {
-    console.warn('The decrypted frame.data is not a valid JSON: ', decryptedPayload);
+    return { success: false, reason: 'bad padding' };
   }
 
-  if (macMatches == true) {
-    return decryptedPayloadJSON;
-  } else {
-    //Return undefined if the mac didn't match
-    return undefined;
+  try {
+    return { success: true, payload: JSON.parse(decryptedPayload) };
+  } catch (e) {
+    return { success: false, reason: 'invalid json' };
   }
 }
 
+/**
+ * This function decrypts the payload of an ENCRYPTED frame.
+ * @param {Object} frame - is a javascript object representing a valid encrypted frame
+ * @param {string} ApiSecretKey - API Secret Key of the device (as seen in the Remootio app).
+ * It is a hexstring representing a 256 bit long value e.g. "12b3f03211c384736b8a1906635f4abc90074e680138a689caf03485a971efb3"
+ * @param {string} ApiAuthKey - API Auth Key of the device (as seen in the Remootio app).
+ * It is a hexstring representing a 256 bit long value e.g. "74ca13b56b3c898670a67e8f36f8b8a61340738c82617ba1398ae7ca62f1670a"
+ * @param {string} ApiSessionKey - API Session Key for the current session.
+ * If the session is not authenticated this parameter must be undefined.
+ * The sessionkey is received in the challenge.sessionKey field of the ENCRYPTED frame sent as a response to the AUTH frame
+ * during the authentication flow. This is a base64 encoded string representing a 256 bit long value
+ * e.g. "f+8UpraYuLV0wKdHNjJAj1OTaNOI83i6fJZ8TBtwx00="
+ * @returns {Object} - the decrypted payload, or undefined if the frame can't be decrypted (use remootioApiTryDecryptEncryptedFrame to get the reason)
+ */
+export function remootioApiDecryptEncrypedFrame(
+  frame: EncryptedFrame,
+  ApiSecretKey: string,
+  ApiAuthKey: string,
+  ApiSessionKey?: string
+): ReceivedEncryptedFrameContent | undefined {
+  const result = remootioApiTryDecryptEncryptedFrame(frame, ApiSecretKey, ApiAuthKey, ApiSessionKey);
+  return result.success ? result.payload : undefined;
+}
+
 /**
  * This function encrypts the payload of an ENCRYPTED frame, and the constructs the ENCRYPTED frame itself.
  * @param {Object} unencryptedPayload - is a javascript object representing the non-encrypted payload of the ENCRYPTED FRAME to send
@@ -111,44 +133,36 @@ export function remootioApiConstructEncrypedFrame(
   //STEP 0 - Get the relevant keys used for encryption
   //The used Secret Key is never used in this function because the client is only able to send vaid ENCRYPTED
   //frames in an authenticated session (after it received the sessionKey, we only use the sessionKey here)
-  let CurrentlyUsedSecretKeyWordArray = undefined;
   if (ApiSessionKey == undefined) {
     //If the session is not authenticated, the client cannot send valid encrypted frames to the Remootio device
     //so this is an error, and we just return undefined
     return undefined;
-  } else {
-    //If the session is already authenticated we use ApiSessionKey, which we received as a response to our AUTH frame earlier in base64 encoded form
-    //CryptoJs works with wordArrays, but ApiSessionKey is a base64 encoded string
-    CurrentlyUsedSecretKeyWordArray = CryptoJS.enc.Base64.parse(ApiSessionKey); //Parse hexstring
   }
-
+  //If the session is already authenticated we use ApiSessionKey, which we received as a response to our AUTH frame earlier in base64 encoded form
+  const currentlyUsedSecretKey = Buffer.from(ApiSessionKey, 'base64');
+  const algorithm = aesCbcAlgorithm(currentlyUsedSecretKey);
+  if (algorithm == undefined) {
+    return undefined;
+  }
   //The auth key is used for calculating the MAC (Message Authentication Code), which is a HMAC-SHA256
-  //CryptoJs works with wordArrays, but ApiAuthKey is a hexstring
-  const ApiAuthKeyWordArray = CryptoJS.enc.Hex.parse(ApiAuthKey); //Parse hexstring
+  const apiAuthKey = Buffer.from(ApiAuthKey, 'hex');
 
   //STEP 1 encrypt the payload
-  //3.1 generate random IV
-  const ivWordArray = CryptoJS.lib.WordArray.random(16);
-  //Convert the unencrypted payload to wordArray for CryptoJS
-  const unencryptedPayloadWordArray = CryptoJS.enc.Latin1.parse(unencryptedPayload);
-  //Do the encryption
-  const encryptedData = CryptoJS.AES.encrypt(unencryptedPayloadWordArray, CurrentlyUsedSecretKeyWordArray, {
-    iv: ivWordArray,
-    mode: CryptoJS.mode.CBC,
-    padding: CryptoJS.pad.Pkcs7
-  });
-  const encryptedPayloadWordArray = encryptedData.ciphertext; //In CryptoJS encryptedData.ciphertext contains the ciphertext as a word array
+  //1.1 generate random IV
+  const iv = randomBytes(16);
+  //1.2 Do the encryption (PKCS#7 padding is used by default)
+  const cipher = createCipheriv(algorithm, currentlyUsedSecretKey, iv);
+  const encryptedPayload = Buffer.concat([cipher.update(Buffer.from(unencryptedPayload, 'latin1')), cipher.final()]);
   //Step 2 create the {data:...} object of the encrypted frame used for HMAC calculation
   //The order of the elements in the toHMACObj is very important, (if they are in other order the calculated HMAC will be different)
   //And the Remootio API will reject the message
   const toHMACObj = {
-    iv: CryptoJS.enc.Base64.stringify(ivWordArray), //IV is a base64 encoded string
-    payload: CryptoJS.enc.Base64.stringify(encryptedPayloadWordArray)
+    iv: iv.toString('base64'), //IV is a base64 encoded string
+    payload: encryptedPayload.toString('base64')
   };
   //STEP 3 calcualte the HMAC-SHA256 of JSON.stringify(frame.data)
   const toHMAC = JSON.stringify(toHMACObj); //The data we calculate the HMAC on
-  const mac = CryptoJS.HmacSHA256(toHMAC, ApiAuthKeyWordArray);
-  const base64mac = CryptoJS.enc.Base64.stringify(mac); //We convert the mac to a base64 array
+  const base64mac = createHmac('sha256', apiAuthKey).update(toHMAC, 'utf8').digest('base64'); //We convert the mac to a base64 string
 
   //STEP 4 we construct and return the full encrypted frame
   return {
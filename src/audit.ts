@@ -0,0 +1,306 @@
+/**
+ * This module turns the key events of a RemootioDevice into an access audit trail: who operated the gate, how and when.
+ * - RelayTrigger, SecondaryRelayTrigger and Connected events become access records with the number and the type of the key and the channel it used (via)
+ * - KeyManagement events become key change records, flagging the keys added (or changed) and removed
+ *
+ * The records are persisted to a pluggable store (see AuditStore). The default store appends them to a JSON-lines file, one record per line:
+ * {"time":"2020-01-01T03:00:00.000Z","kind":"access","eventType":"RelayTrigger","cnt":12,"state":"closed","keyNr":3,"keyType":"guest key","via":"bluetooth"}
+ */
+
+import { EventEmitter } from 'events';
+import { promises as fs } from 'fs';
+import RemootioDevice = require('./index');
+import { emitErrorIfListened, InvalidConfigError } from './errors';
+import { RemootioKeyEvent, RemootioKeyManagementEvent } from './events';
+import { ConnectionTypes, KeyTypes, SensorStates } from './frames';
+
+export interface AccessRecord {
+  time: string; //ISO timestamp of the event e.g. "2020-01-01T03:00:00.000Z" (the time of the device if it's known, the time it was received otherwise)
+  device?: string; //The name of the device (see the deviceName option)
+  kind: 'access' | 'keyAdded' | 'keyRemoved';
+  eventType: 'RelayTrigger' | 'SecondaryRelayTrigger' | 'Connected' | 'KeyManagement';
+  cnt: number; //The event counter of the device
+  state: SensorStates; //The gate status when the event happened
+  keyNr: number;
+  keyType: KeyTypes;
+  via?: ConnectionTypes; //The channel the key used (access records only)
+  permissions?: { bluetooth: boolean; wifi: boolean; internet: boolean; notification: boolean }; //The permissions of the key (key change records only)
+}
+
+export interface AuditFilter {
+  device?: string;
+  kind?: AccessRecord['kind'] | AccessRecord['kind'][];
+  keyNr?: number | number[];
+  keyType?: KeyTypes | KeyTypes[];
+  via?: ConnectionTypes | ConnectionTypes[];
+  from?: Date; //The records at or after this time
+  to?: Date; //The records before this time
+}
+
+export type AuditReportGroup = 'keyNr' | 'keyType' | 'via' | 'device';
+
+export interface AuditReportRow {
+  group: string; //The value of the field the records are grouped by e.g. "3" for keyNr 3 or "bluetooth" for via
+  count: number; //The number of the records
+  firstTime: string; //The time of the first record
+  lastTime: string; //The time of the last record
+}
+
+/**
+ * The interface of the stores of the audit trail. Implement it to persist the records elsewhere (e.g. in a database)
+ */
+export interface AuditStore {
+  append(record: AccessRecord): Promise<void>;
+  query(filter?: AuditFilter): Promise<AccessRecord[]>; //The records matching the filter in the order they were appended
+}
+
+/**
+ * Checks if a record matches a filter
+ * @param {Object} record - the access record
+ * @param {Object} [filter] - the filter, every field is optional, the fields with arrays match any of the values
+ */
+export function matchesAuditFilter(record: AccessRecord, filter: AuditFilter = {}): boolean {
+  const matches = <T>(value: T | undefined, expected: T | T[] | undefined) =>
+    expected == undefined ||
+    (Array.isArray(expected) ? value != undefined && expected.includes(value) : value == expected);
+  const time = Date.parse(record.time);
+  return (
+    matches(record.device, filter.device) &&
+    matches(record.kind, filter.kind) &&
+    matches(record.keyNr, filter.keyNr) &&
+    matches(record.keyType, filter.keyType) &&
+    matches(record.via, filter.via) &&
+    (filter.from == undefined || time >= filter.from.getTime()) &&
+    (filter.to == undefined || time < filter.to.getTime())
+  );
+}
+
+/**
+ * Groups the records and counts them e.g. to report how many times each key opened the gate last month
+ * @param {Object[]} records - the access records
+ * @param {string} groupBy - keyNr, keyType, via or device
+ * @returns {Object[]} - {group, count, firstTime, lastTime} for each group, the most frequent group first
+ */
+export function createAuditReport(records: AccessRecord[], groupBy: AuditReportGroup): AuditReportRow[] {
+  const rows = new Map<string, AuditReportRow>();
+  records.forEach((record) => {
+    const group = String(record[groupBy] ?? 'unknown');
+    const row = rows.get(group);
+    if (row == undefined) {
+      rows.set(group, { group: group, count: 1, firstTime: record.time, lastTime: record.time });
+    } else {
+      row.count++;
+      row.firstTime = record.time < row.firstTime ? record.time : row.firstTime;
+      row.lastTime = record.time > row.lastTime ? record.time : row.lastTime;
+    }
+  });
+  return [...rows.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * MemoryAuditStore keeps the records in memory
+ */
+export class MemoryAuditStore implements AuditStore {
+  private records: AccessRecord[];
+
+  constructor() {
+    this.records = [];
+  }
+
+  append(record: AccessRecord): Promise<void> {
+    this.records.push(record);
+    return Promise.resolve();
+  }
+
+  query(filter?: AuditFilter): Promise<AccessRecord[]> {
+    return Promise.resolve(this.records.filter((record) => matchesAuditFilter(record, filter)));
+  }
+}
+
+/**
+ * JsonLinesAuditStore appends the records to a JSON-lines file, and reads the whole file to query them
+ */
+export class JsonLinesAuditStore implements AuditStore {
+  private path: string;
+  private pendingWrite: Promise<void>;
+
+  /**
+   * @param {string} path - the path of the file, it's created if it doesn't exist
+   */
+  constructor(path: string) {
+    this.path = path;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  append(record: AccessRecord): Promise<void> {
+    //The records are appended one by one, so they are written in order
+    const write = this.pendingWrite.then(() => fs.appendFile(this.path, JSON.stringify(record) + '\n', 'utf8'));
+    this.pendingWrite = write.catch(() => undefined);
+    return write;
+  }
+
+  async query(filter?: AuditFilter): Promise<AccessRecord[]> {
+    await this.pendingWrite;
+    let content: string;
+    try {
+      content = await fs.readFile(this.path, 'utf8');
+    } catch (e: any) {
+      if (e.code == 'ENOENT') {
+        return [];
+      }
+      throw e;
+    }
+    return content
+      .split('\n')
+      .filter((line) => line.trim() != '')
+      .map((line) => JSON.parse(line) as AccessRecord)
+      .filter((record) => matchesAuditFilter(record, filter));
+  }
+}
+
+export interface RemootioAuditTrailOptions {
+  device: RemootioDevice; //The device the key events are received from
+  store?: AuditStore; //Where the records are persisted
+  path?: string; //The path of the JSON-lines file of the default store (used if store is not set)
+  deviceName?: string; //The device field of the records, to tell the devices apart if more devices share the store
+}
+
+interface RemootioAuditTrailEvents {
+  record: (record: AccessRecord) => void;
+  keyChanged: (record: AccessRecord) => void;
+  error: (error: Error) => void;
+}
+
+export declare interface RemootioAuditTrail {
+  on<E extends keyof RemootioAuditTrailEvents>(event: E, listener: RemootioAuditTrailEvents[E]): this;
+  emit<E extends keyof RemootioAuditTrailEvents>(event: E, ...args: Parameters<RemootioAuditTrailEvents[E]>): boolean;
+}
+
+/**
+ * RemootioAuditTrail records the key events of a RemootioDevice as access records.
+ *
+ * *** Methods ***
+ * @method start() - starts recording the key events
+ * @method stop() - stops recording, resolves once the pending records are stored
+ * @method query(filter) - resolves with the records matching the filter {device, kind, keyNr, keyType, via, from, to}
+ * @method report(groupBy, filter) - resolves with the number of the records matching the filter grouped by keyNr, keyType, via or device
+ *
+ * *** Events ***
+ * @event record - when a record is stored with the record as a parameter
+ * @event keyChanged - when a key was added (or its permissions changed) or removed, with the keyAdded or keyRemoved record as a parameter
+ * @event error - when a record couldn't be stored with the error as a parameter (the error is dropped if there is no listener)
+ */
+export class RemootioAuditTrail extends EventEmitter {
+  private options: RemootioAuditTrailOptions;
+  private store: AuditStore;
+  private pendingAppends: Set<Promise<void>>;
+  private unsubscribe?: () => void; //Removes the listeners added to the device
+
+  constructor(options: RemootioAuditTrailOptions) {
+    super();
+    if (options.store == undefined && options.path == undefined) {
+      throw new InvalidConfigError('store', 'The audit trail needs a store or the path of a JSON-lines file');
+    }
+    this.options = options;
+    this.store = options.store ?? new JsonLinesAuditStore(options.path as string);
+    this.pendingAppends = new Set();
+  }
+
+  /**
+   * Starts recording the key events of the device
+   */
+  start(): void {
+    if (this.unsubscribe != undefined) {
+      return;
+    }
+    const onKeyEvent = (event: RemootioKeyEvent) => this.append(this.toAccessRecord(event));
+    this.unsubscribe = this.options.device.subscribe({
+      relayTrigger: onKeyEvent,
+      secondaryRelayTrigger: onKeyEvent,
+      keyConnected: onKeyEvent,
+      keyManagement: (event) => this.append(this.toKeyChangeRecord(event))
+    });
+  }
+
+  /**
+   * Stops recording the key events of the device
+   * @returns {Promise} - resolves once the pending records are stored
+   */
+  async stop(): Promise<void> {
+    this.unsubscribe?.();
+    this.unsubscribe = undefined;
+    await Promise.all([...this.pendingAppends]);
+  }
+
+  /**
+   * Queries the records of the store
+   * @param {Object} [filter] - {device, kind, keyNr, keyType, via, from, to}, every field is optional, the fields with arrays match any of the values
+   * e.g. { kind: 'access', from: new Date('2020-01-01T02:00:00'), to: new Date('2020-01-01T04:00:00') } for who operated the gate between 2am and 4am
+   */
+  query(filter?: AuditFilter): Promise<AccessRecord[]> {
+    return this.store.query(filter);
+  }
+
+  /**
+   * Groups the records matching the filter and counts them
+   * @param {string} groupBy - keyNr, keyType, via or device
+   * @param {Object} [filter] - the filter of query()
+   */
+  async report(groupBy: AuditReportGroup, filter?: AuditFilter): Promise<AuditReportRow[]> {
+    return createAuditReport(await this.store.query(filter), groupBy);
+  }
+
+  private toAccessRecord(event: RemootioKeyEvent): AccessRecord {
+    return {
+      ...this.recordBase(event),
+      kind: 'access',
+      eventType: event.type,
+      keyNr: event.keyNr,
+      keyType: event.keyType,
+      via: event.via
+    };
+  }
+
+  private toKeyChangeRecord(event: RemootioKeyManagementEvent): AccessRecord {
+    return {
+      ...this.recordBase(event),
+      kind: event.isRemoved ? 'keyRemoved' : 'keyAdded',
+      eventType: event.type,
+      keyNr: event.keyNr,
+      keyType: event.keyType,
+      permissions: {
+        bluetooth: event.bluetooth,
+        wifi: event.wifi,
+        internet: event.internet,
+        notification: event.notification
+      }
+    };
+  }
+
+  private recordBase(
+    event: RemootioKeyEvent | RemootioKeyManagementEvent
+  ): Pick<AccessRecord, 'time' | 'device' | 'cnt' | 'state'> {
+    const deviceName = this.options.deviceName;
+    return {
+      time: (event.time ?? new Date()).toISOString(),
+      ...(deviceName != undefined ? { device: deviceName } : {}),
+      cnt: event.cnt,
+      state: event.state
+    };
+  }
+
+  private append(record: AccessRecord): void {
+    //The pending appends never reject, so stop() resolves even if a record couldn't be stored
+    const append: Promise<void> = this.store
+      .append(record)
+      .then(() => {
+        this.emit('record', record);
+        if (record.kind != 'access') {
+          this.emit('keyChanged', record);
+        }
+      })
+      .catch((error) => emitErrorIfListened(this, error))
+      .finally(() => this.pendingAppends.delete(append));
+    this.pendingAppends.add(append);
+  }
+}
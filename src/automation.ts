@@ -0,0 +1,373 @@
+/**
+ * This module implements automation rules driven by the events of a RemootioDevice:
+ * - autoClose rules close the gate or garage door if it has been left open for afterMins minutes
+ * - schedule rules send an action at a given time of the day (e.g. close the gate every night at 22:00 if it's open,
+ *   or hold the open output active for 30 minutes on weekday mornings)
+ *
+ * The rules are plain objects, so they can be declared in the rules field of a JSON or YAML config file (see loadAutomationRulesFromFile), e.g.
+ * "rules": [
+ *   { "name": "close-after-10-mins", "type": "autoClose", "afterMins": 10 },
+ *   { "name": "close-at-night", "type": "schedule", "at": "22:00", "action": "close", "onlyIfState": "open" },
+ *   { "name": "open-for-deliveries", "type": "schedule", "at": "07:30", "days": ["mon", "tue", "wed", "thu", "fri"], "action": "open", "durationMins": 30 }
+ * ]
+ * The times are in the local time zone of the host.
+ */
+
+import { EventEmitter } from 'events';
+import RemootioDevice = require('./index');
+import { readConfigFile } from './config';
+import { emitErrorIfListened, InvalidConfigError } from './errors';
+import { RemootioEventOfType } from './events';
+import { RemootioActionResponse } from './frames';
+
+export type Weekday = 'sun' | 'mon' | 'tue' | 'wed' | 'thu' | 'fri' | 'sat';
+
+export type AutomationAction = 'open' | 'close' | 'trigger';
+
+export interface AutoCloseRule {
+  name: string; //The unique name of the rule, used in the logs and to suppress the rule
+  type: 'autoClose';
+  afterMins: number; //The gate is closed if it has been open for this many minutes
+  enabled?: boolean; //The rule is ignored if it's false (defaults to true)
+}
+
+export interface ScheduleRule {
+  name: string; //The unique name of the rule, used in the logs and to suppress the rule
+  type: 'schedule';
+  at: string; //The time of the day in HH:MM format e.g. "22:00"
+  days?: Weekday[]; //The days of the week the rule fires on (defaults to every day)
+  action: AutomationAction; //The action sent to the device
+  durationMins?: number; //Hold the output active for durationMins minutes
+  onlyIfState?: RemootioDevice.DoorState; //The action is only sent if the door is in this state e.g. "open"
+  enabled?: boolean; //The rule is ignored if it's false (defaults to true)
+}
+
+export type AutomationRule = AutoCloseRule | ScheduleRule;
+
+export interface RemootioAutomationOptions {
+  device: RemootioDevice; //The device the rules are applied to
+  rules: AutomationRule[];
+  logger?: RemootioDevice.Logger; //Logs when the rules fire or are skipped
+}
+
+interface RemootioAutomationEvents {
+  fired: (rule: AutomationRule, actionResponse: RemootioActionResponse) => void;
+  skipped: (rule: AutomationRule, reason: string) => void;
+  error: (error: Error, rule: AutomationRule) => void;
+}
+
+export declare interface RemootioAutomation {
+  on<E extends keyof RemootioAutomationEvents>(event: E, listener: RemootioAutomationEvents[E]): this;
+  emit<E extends keyof RemootioAutomationEvents>(event: E, ...args: Parameters<RemootioAutomationEvents[E]>): boolean;
+}
+
+const weekdays: Weekday[] = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const automationActions = ['open', 'close', 'trigger'];
+const timeOfDayRe = /^([01]?[0-9]|2[0-3]):([0-5][0-9])$/;
+//The longest delay of setTimeout (about 24.8 days), the longer delays would fire immediately so they are split
+const maxTimeoutMs = 0x7fffffff;
+
+/**
+ * Checks the automation rules
+ * @param {Object[]} rules - the rules to check
+ * @throws {InvalidConfigError} - if a rule is invalid, error.field is the path of the invalid field e.g. rules.close-at-night.at
+ */
+export function validateAutomationRules(rules: AutomationRule[]): void {
+  if (!Array.isArray(rules)) {
+    throw new InvalidConfigError('rules', 'The rules must be an array');
+  }
+  const names = new Set<string>();
+  rules.forEach((rule, index) => {
+    if (typeof rule != 'object' || rule == null || typeof rule.name != 'string' || rule.name == '') {
+      throw new InvalidConfigError('rules.' + index + '.name', 'Every rule must have a name');
+    }
+    const field = 'rules.' + rule.name;
+    if (names.has(rule.name)) {
+      throw new InvalidConfigError(field, 'The name of the rule ' + rule.name + ' is not unique');
+    }
+    names.add(rule.name);
+    if (rule.enabled != undefined && typeof rule.enabled != 'boolean') {
+      throw new InvalidConfigError(field + '.enabled', 'enabled must be a boolean');
+    }
+    if (rule.type == 'autoClose') {
+      if (!(typeof rule.afterMins == 'number' && rule.afterMins > 0)) {
+        throw new InvalidConfigError(field + '.afterMins', 'afterMins must be a positive number');
+      }
+    } else if (rule.type == 'schedule') {
+      if (typeof rule.at != 'string' || !timeOfDayRe.test(rule.at)) {
+        throw new InvalidConfigError(field + '.at', 'at must be a time of the day in HH:MM format');
+      }
+      if (
+        rule.days != undefined &&
+        !(Array.isArray(rule.days) && rule.days.length > 0 && rule.days.every((day) => weekdays.includes(day)))
+      ) {
+        throw new InvalidConfigError(field + '.days', 'days must be a non-empty list of ' + weekdays.join(', '));
+      }
+      if (!automationActions.includes(rule.action)) {
+        throw new InvalidConfigError(field + '.action', 'action must be one of ' + automationActions.join(', '));
+      }
+      if (rule.durationMins != undefined && !(Number.isInteger(rule.durationMins) && rule.durationMins > 0)) {
+        throw new InvalidConfigError(field + '.durationMins', 'durationMins must be a positive integer');
+      }
+    } else {
+      throw new InvalidConfigError(field + '.type', 'The type of the rule must be autoClose or schedule');
+    }
+  });
+}
+
+/**
+ * Loads the automation rules from the rules field of a JSON or YAML config file
+ * @param {string} path - the path of the file
+ * @returns {Object[]} - the validated rules
+ * @throws {InvalidConfigError} - if the file doesn't contain valid rules
+ */
+export function loadAutomationRulesFromFile(path: string): AutomationRule[] {
+  const rules = readConfigFile(path).rules as AutomationRule[];
+  validateAutomationRules(rules);
+  return rules;
+}
+
+/**
+ * Calculates the next time a schedule rule fires
+ * @param {Object} rule - the schedule rule
+ * @param {Date} from - the rule fires after this time
+ * @returns {Date} - the next time the rule fires (in the local time zone)
+ */
+export function getNextScheduledTime(rule: ScheduleRule, from: Date): Date {
+  const [, hours, minutes] = timeOfDayRe.exec(rule.at) as RegExpExecArray;
+  for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+    const next = new Date(from.getFullYear(), from.getMonth(), from.getDate() + dayOffset, +hours, +minutes);
+    if (next > from && (rule.days == undefined || rule.days.includes(weekdays[next.getDay()]))) {
+      return next;
+    }
+  }
+  throw new InvalidConfigError('rules.' + rule.name + '.days', 'The rule ' + rule.name + ' has no days to fire on');
+}
+
+/**
+ * RemootioAutomation applies automation rules to a RemootioDevice. The timers use setTimeout and Date.now(), so the rules can be tested with fake timers.
+ *
+ * *** Methods ***
+ * @method start() - starts applying the rules
+ * @method stop() - stops applying the rules and clears the timers
+ * @method suppress(ruleName, until) - the rule doesn't fire until the given time (or until resume() is called if until is not given)
+ * @method resume(ruleName) - the suppressed rule fires again
+ * @method isSuppressed(ruleName) - checks if the rule is suppressed
+ *
+ * *** Properties ***
+ * @property rules - the rules
+ *
+ * *** Events ***
+ * @event fired - when a rule sent its action with the rule and the response of the device as parameters
+ * @event skipped - when a rule would have fired but it was suppressed or the door was not in the required state, with the rule and the reason as parameters
+ * @event error - when the action of a rule failed with the error and the rule as parameters (the failure is only logged if there is no listener)
+ */
+export class RemootioAutomation extends EventEmitter {
+  private options: RemootioAutomationOptions;
+  private started: boolean;
+  private timeoutHandles: Map<string, ReturnType<typeof setTimeout>>;
+  private suppressedUntil: Map<string, number>;
+  private closedForCurrentOpening: Set<string>; //The autoClose rules that already fired since the door was opened
+  private unsubscribe?: () => void; //Removes the listeners added to the device
+
+  constructor(options: RemootioAutomationOptions) {
+    super();
+    validateAutomationRules(options.rules);
+    this.options = options;
+    this.started = false;
+    this.timeoutHandles = new Map();
+    this.suppressedUntil = new Map();
+    this.closedForCurrentOpening = new Set();
+  }
+
+  /**
+   * Starts applying the rules: schedules the schedule rules, and starts the autoClose timers if the door is open
+   */
+  start(): void {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+    this.unsubscribe = this.options.device.subscribe({
+      stateChanged: (_previousState, currentState) => this.handleDoorState(currentState),
+      leftOpen: (event) => this.handleLeftOpen(event)
+    });
+    this.enabledRules.forEach((rule) => {
+      if (rule.type == 'schedule') {
+        this.scheduleRule(rule);
+      }
+    });
+    this.handleDoorState(this.options.device.doorState);
+  }
+
+  /**
+   * Stops applying the rules and clears the timers
+   */
+  stop(): void {
+    if (!this.started) {
+      return;
+    }
+    this.started = false;
+    this.unsubscribe?.();
+    this.unsubscribe = undefined;
+    this.timeoutHandles.forEach((timeoutHandle) => clearTimeout(timeoutHandle));
+    this.timeoutHandles.clear();
+    this.closedForCurrentOpening.clear();
+  }
+
+  /**
+   * Suppresses a rule, it doesn't fire until the given time (or until resume() is called if until is not given)
+   * @param {string} ruleName - the name of the rule
+   * @param {Date} [until] - the rule fires again after this time
+   * @throws {InvalidConfigError} - if there is no rule with this name
+   */
+  suppress(ruleName: string, until?: Date): void {
+    this.getRule(ruleName);
+    this.suppressedUntil.set(ruleName, until != undefined ? until.getTime() : Infinity);
+  }
+
+  /**
+   * Resumes a suppressed rule
+   * @param {string} ruleName - the name of the rule
+   * @throws {InvalidConfigError} - if there is no rule with this name
+   */
+  resume(ruleName: string): void {
+    this.getRule(ruleName);
+    this.suppressedUntil.delete(ruleName);
+  }
+
+  /**
+   * Checks if a rule is suppressed
+   * @param {string} ruleName - the name of the rule
+   */
+  isSuppressed(ruleName: string): boolean {
+    const suppressedUntil = this.suppressedUntil.get(ruleName);
+    return suppressedUntil != undefined && Date.now() < suppressedUntil;
+  }
+
+  //Get method for the rules property
+  get rules(): AutomationRule[] {
+    return this.options.rules.map((rule) => ({ ...rule }));
+  }
+
+  private get enabledRules(): AutomationRule[] {
+    return this.options.rules.filter((rule) => rule.enabled != false);
+  }
+
+  private getRule(ruleName: string): AutomationRule {
+    const rule = this.options.rules.find((rule) => rule.name == ruleName);
+    if (rule == undefined) {
+      throw new InvalidConfigError('rules.' + ruleName, 'Unknown rule ' + ruleName);
+    }
+    return rule;
+  }
+
+  /**
+   * Starts the autoClose timers when the door is opened, and clears them when it's not open anymore
+   */
+  private handleDoorState(doorState: RemootioDevice.DoorState): void {
+    this.enabledRules.forEach((rule) => {
+      if (rule.type != 'autoClose') {
+        return;
+      }
+      if (doorState == 'open') {
+        if (!this.timeoutHandles.has(rule.name) && !this.closedForCurrentOpening.has(rule.name)) {
+          this.setRuleTimeout(rule, rule.afterMins * 60000, () => this.fireAutoClose(rule));
+        }
+      } else {
+        this.clearRuleTimeout(rule);
+        this.closedForCurrentOpening.delete(rule.name);
+      }
+    });
+  }
+
+  /**
+   * The LeftOpen events tell for how long the door has been open, so the autoClose rules can fire even if the client connected while the door was open
+   */
+  private handleLeftOpen(event: RemootioEventOfType<'LeftOpen'>): void {
+    this.enabledRules.forEach((rule) => {
+      if (
+        rule.type == 'autoClose' &&
+        event.timeOpen100ms * 100 >= rule.afterMins * 60000 &&
+        !this.closedForCurrentOpening.has(rule.name)
+      ) {
+        this.clearRuleTimeout(rule);
+        this.fireAutoClose(rule);
+      }
+    });
+  }
+
+  private fireAutoClose(rule: AutoCloseRule): void {
+    this.timeoutHandles.delete(rule.name);
+    if (this.options.device.doorState != 'open') {
+      return;
+    }
+    this.closedForCurrentOpening.add(rule.name);
+    this.fire(rule, 'close', undefined, 'the door has been open for ' + rule.afterMins + ' minutes');
+  }
+
+  private scheduleRule(rule: ScheduleRule): void {
+    const next = getNextScheduledTime(rule, new Date(Date.now()));
+    this.setRuleTimeout(rule, next.getTime() - Date.now(), () => {
+      this.timeoutHandles.delete(rule.name);
+      this.scheduleRule(rule);
+      if (rule.onlyIfState != undefined && this.options.device.doorState != rule.onlyIfState) {
+        this.skip(rule, 'the door is ' + this.options.device.doorState + ', not ' + rule.onlyIfState);
+        return;
+      }
+      this.fire(rule, rule.action, rule.durationMins, 'it is ' + rule.at);
+    });
+  }
+
+  private setRuleTimeout(rule: AutomationRule, delayMs: number, callback: () => void): void {
+    this.clearRuleTimeout(rule);
+    const timeoutHandle =
+      delayMs > maxTimeoutMs
+        ? setTimeout(() => this.setRuleTimeout(rule, delayMs - maxTimeoutMs, callback), maxTimeoutMs)
+        : setTimeout(callback, Math.max(0, delayMs));
+    this.timeoutHandles.set(rule.name, timeoutHandle);
+  }
+
+  private clearRuleTimeout(rule: AutomationRule): void {
+    const timeoutHandle = this.timeoutHandles.get(rule.name);
+    if (timeoutHandle != undefined) {
+      clearTimeout(timeoutHandle);
+      this.timeoutHandles.delete(rule.name);
+    }
+  }
+
+  private skip(rule: AutomationRule, reason: string): void {
+    this.options.logger?.info('Automation rule ' + rule.name + ' skipped: ' + reason);
+    this.emit('skipped', rule, reason);
+  }
+
+  /**
+   * Sends the action of a rule unless the rule is suppressed
+   */
+  private fire(rule: AutomationRule, action: AutomationAction, durationMins: number | undefined, reason: string): void {
+    if (this.isSuppressed(rule.name)) {
+      this.skip(rule, 'the rule is suppressed');
+      return;
+    }
+    this.options.logger?.info(
+      'Automation rule ' +
+        rule.name +
+        ' fired (' +
+        reason +
+        '): sending ' +
+        action.toUpperCase() +
+        (durationMins != undefined ? ' for ' + durationMins + ' minutes' : '')
+    );
+    const device = this.options.device;
+    const options = { durationMins: durationMins };
+    const result =
+      action == 'open' ? device.open(options) : action == 'close' ? device.close(options) : device.trigger(options);
+    result.then(
+      (actionResponse) => this.emit('fired', rule, actionResponse),
+      (error) => {
+        this.options.logger?.error('Automation rule ' + rule.name + ' failed: ' + error.message);
+        emitErrorIfListened(this, error, rule);
+      }
+    );
+  }
+}
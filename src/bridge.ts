@@ -0,0 +1,354 @@
+/**
+ * This module implements a local HTTP API in front of a RemootioDevice, for dashboards and services that can't speak the encrypted websocket API.
+ * It exposes the state of the device, the actions, and the events of the device as a Server-Sent Events stream.
+ * Every request must contain the bearer token of the bridge in the Authorization header.
+ *
+ * GET /state - the connection status and the door state of the device
+ * POST /actions/open|close|trigger|trigger-secondary|restart - sends the action, the optional JSON body {"durationMins": 5} holds the output active
+ * GET /events - Server-Sent Events stream of the normalized events of the device, and the stateChanged events of the door state
+ * GET /metrics - the connection health metrics of the device in the Prometheus text format
+ */
+
+import { createServer, IncomingMessage, Server, ServerResponse } from 'http';
+import { EventEmitter } from 'events';
+import { createHash, timingSafeEqual } from 'crypto';
+import RemootioDevice = require('./index');
+import { RemootioError, RemootioErrorCode } from './errors';
+import { RemootioActionResponse } from './frames';
+import { formatPrometheusMetrics } from './metrics';
+
+export interface RemootioHttpBridgeOptions {
+  device: RemootioDevice; //The device the bridge sends the actions to
+  token: string; //The bearer token the requests must contain in the Authorization header
+  host?: string; //The address the bridge listens on (defaults to 127.0.0.1)
+  port?: number; //The port the bridge listens on (defaults to 0, so a free port is picked)
+  actionTimeoutMs?: number; //How long to wait for the response of the device to an action (defaults to the timeout of the device)
+  keepAliveIntervalMs?: number; //A comment is sent on the event streams this often to keep the connections open (defaults to 30000)
+}
+
+export interface RemootioHttpBridgeState {
+  connected: boolean;
+  authenticated: boolean;
+  doorState: RemootioDevice.DoorState;
+  pendingActionCount: number;
+}
+
+interface RemootioHttpBridgeEvents {
+  listening: (port: number) => void;
+  request: (method: string, path: string, statusCode: number) => void;
+}
+
+export declare interface RemootioHttpBridge {
+  on<E extends keyof RemootioHttpBridgeEvents>(event: E, listener: RemootioHttpBridgeEvents[E]): this;
+  emit<E extends keyof RemootioHttpBridgeEvents>(event: E, ...args: Parameters<RemootioHttpBridgeEvents[E]>): boolean;
+}
+
+type BridgeAction = 'open' | 'close' | 'trigger' | 'trigger-secondary' | 'restart';
+
+const bridgeActions = ['open', 'close', 'trigger', 'trigger-secondary', 'restart'];
+
+//The HTTP status codes of the errors the actions are rejected with
+const errorStatusCodes: Partial<Record<RemootioErrorCode, number>> = {
+  NOT_CONNECTED: 503,
+  NOT_AUTHENTICATED: 503,
+  CONNECTION_CLOSED: 503,
+  ACTION_EXPIRED: 503,
+  ACTION_TIMEOUT: 504,
+  ACTION_FAILED: 502,
+  DEVICE_ERROR: 502,
+  UNSUPPORTED_ACTION: 501
+};
+
+//The invalid requests are rejected with this error
+class HttpError extends Error {
+  readonly statusCode: number;
+  readonly code: string;
+
+  constructor(statusCode: number, code: string, message: string) {
+    super(message);
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+/**
+ * RemootioHttpBridge is an HTTP server that exposes a RemootioDevice as a simple REST and Server-Sent Events API.
+ *
+ * *** Methods ***
+ * @method start() - starts listening, resolves with the port the bridge listens on
+ * @method stop() - closes the event streams and stops listening
+ *
+ * *** Properties ***
+ * @property port - the port the bridge listens on
+ *
+ * *** Events ***
+ * @event listening - when the bridge starts listening with the port as a parameter
+ * @event request - when a request is answered with the method, the path and the status code as parameters
+ */
+export class RemootioHttpBridge extends EventEmitter {
+  private options: RemootioHttpBridgeOptions;
+  private tokenHash: Buffer;
+  private server?: Server;
+  private eventStreams: Set<ServerResponse>;
+  private keepAliveIntervalHandle?: ReturnType<typeof setInterval>;
+  private unsubscribe?: () => void; //removes the listeners of the device events
+
+  constructor(options: RemootioHttpBridgeOptions) {
+    super();
+    if (!options.token) {
+      throw new Error('The bridge needs a token to authorize the requests');
+    }
+    this.options = options;
+    this.tokenHash = hashToken(options.token);
+    this.eventStreams = new Set();
+  }
+
+  /**
+   * Starts the HTTP server. Resolves with the port the bridge listens on.
+   */
+  start(): Promise<number> {
+    return new Promise((resolve, reject) => {
+      const server = createServer((req, res) => this.handleRequest(req, res));
+      this.server = server;
+      server.once('error', reject);
+      server.listen(this.options.port ?? 0, this.options.host ?? '127.0.0.1', () => {
+        server.removeListener('error', reject);
+        this.unsubscribe = this.options.device.subscribe({
+          event: (event) => this.broadcast(undefined, event, String(event.cnt)),
+          stateChanged: (previousState, currentState, cause) =>
+            this.broadcast('stateChanged', { previousState: previousState, currentState: currentState, cause: cause })
+        });
+        this.keepAliveIntervalHandle = setInterval(() => {
+          this.eventStreams.forEach((res) => res.write(': keep-alive\n\n'));
+        }, this.options.keepAliveIntervalMs ?? 30000);
+        this.emit('listening', this.port);
+        resolve(this.port);
+      });
+    });
+  }
+
+  /**
+   * Closes the event streams and stops the HTTP server
+   */
+  stop(): Promise<void> {
+    if (this.keepAliveIntervalHandle != undefined) {
+      clearInterval(this.keepAliveIntervalHandle);
+      this.keepAliveIntervalHandle = undefined;
+    }
+    this.unsubscribe?.();
+    this.unsubscribe = undefined;
+    this.eventStreams.forEach((res) => res.end());
+    this.eventStreams.clear();
+    return new Promise((resolve) => {
+      if (this.server == undefined) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      this.server = undefined;
+    });
+  }
+
+  //Get method for the port property
+  get port(): number {
+    const address = this.server?.address();
+    return address != undefined && typeof address == 'object' ? address.port : 0;
+  }
+
+  private handleRequest(req: IncomingMessage, res: ServerResponse): void {
+    const method = req.method ?? 'GET';
+    let path: string;
+    try {
+      path = new URL(req.url ?? '/', 'http://localhost').pathname;
+    } catch (e) {
+      //Request targets like // can't be parsed
+      res.on('finish', () => this.emit('request', method, req.url ?? '', res.statusCode));
+      this.sendError(res, 400, 'BAD_REQUEST', 'Invalid request target');
+      return;
+    }
+    res.on('finish', () => this.emit('request', method, path, res.statusCode));
+
+    if (!this.isAuthorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      this.sendError(res, 401, 'UNAUTHORIZED', 'Missing or invalid bearer token');
+      return;
+    }
+
+    if (path == '/state') {
+      if (method != 'GET') {
+        this.sendMethodNotAllowed(res, 'GET');
+        return;
+      }
+      this.sendJson(res, 200, this.getState());
+    } else if (path == '/events') {
+      if (method != 'GET') {
+        this.sendMethodNotAllowed(res, 'GET');
+        return;
+      }
+      this.openEventStream(req, res);
+    } else if (path == '/metrics') {
+      if (method != 'GET') {
+        this.sendMethodNotAllowed(res, 'GET');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+      res.end(formatPrometheusMetrics(this.options.device.getMetrics()));
+    } else if (path.startsWith('/actions/') && bridgeActions.includes(path.slice('/actions/'.length))) {
+      if (method != 'POST') {
+        this.sendMethodNotAllowed(res, 'POST');
+        return;
+      }
+      this.handleAction(path.slice('/actions/'.length) as BridgeAction, req, res);
+    } else {
+      this.sendError(res, 404, 'NOT_FOUND', 'Unknown route ' + path);
+    }
+  }
+
+  private getState(): RemootioHttpBridgeState {
+    const device = this.options.device;
+    return {
+      connected: device.isConnected,
+      authenticated: device.isAuthenticated,
+      doorState: device.doorState,
+      pendingActionCount: device.pendingActionCount
+    };
+  }
+
+  /**
+   * Sends the action to the device and responds with the response of the device
+   */
+  private async handleAction(action: BridgeAction, req: IncomingMessage, res: ServerResponse): Promise<void> {
+    try {
+      const durationMins = parseDurationMins(await readBody(req));
+      if (durationMins != undefined && action == 'restart') {
+        throw new HttpError(400, 'BAD_REQUEST', 'The restart action has no durationMins');
+      }
+      const actionResponse = await this.sendAction(action, durationMins);
+      this.sendJson(res, 200, actionResponse.response);
+    } catch (e: any) {
+      if (e instanceof HttpError) {
+        this.sendError(res, e.statusCode, e.code, e.message);
+      } else if (e instanceof RemootioError) {
+        this.sendError(res, errorStatusCodes[e.code] ?? 500, e.code, e.message);
+      } else {
+        this.sendError(res, 500, 'INTERNAL_ERROR', e instanceof Error ? e.message : String(e));
+      }
+    }
+  }
+
+  private sendAction(action: BridgeAction, durationMins?: number): Promise<RemootioActionResponse> {
+    const device = this.options.device;
+    const options = { durationMins: durationMins, timeoutMs: this.options.actionTimeoutMs };
+    switch (action) {
+      case 'open':
+        return device.open(options);
+      case 'close':
+        return device.close(options);
+      case 'trigger':
+        return device.trigger(options);
+      case 'trigger-secondary':
+        return device.triggerSecondary(options);
+      case 'restart':
+        return device.restart(options);
+    }
+  }
+
+  /**
+   * Keeps the response open and writes the events of the device to it in the text/event-stream format
+   */
+  private openEventStream(req: IncomingMessage, res: ServerResponse): void {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write(': connected\n\n');
+    this.eventStreams.add(res);
+    req.on('close', () => this.eventStreams.delete(res));
+  }
+
+  /**
+   * Writes a message to every event stream. The events of the device are sent without an event name (so EventSource.onmessage receives them)
+   */
+  private broadcast(eventName: string | undefined, data: unknown, id?: string): void {
+    const message =
+      (eventName != undefined ? 'event: ' + eventName + '\n' : '') +
+      (id != undefined ? 'id: ' + id + '\n' : '') +
+      'data: ' +
+      JSON.stringify(data) +
+      '\n\n';
+    this.eventStreams.forEach((res) => res.write(message));
+  }
+
+  /**
+   * Compares the bearer token of the request to the token of the bridge (in constant time)
+   */
+  private isAuthorized(req: IncomingMessage): boolean {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization ?? '');
+    return match != null && timingSafeEqual(hashToken(match[1]), this.tokenHash);
+  }
+
+  private sendJson(res: ServerResponse, statusCode: number, body: unknown): void {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  private sendError(res: ServerResponse, statusCode: number, code: string, message: string): void {
+    this.sendJson(res, statusCode, { error: { code: code, message: message } });
+  }
+
+  private sendMethodNotAllowed(res: ServerResponse, allowedMethod: string): void {
+    res.setHeader('Allow', allowedMethod);
+    this.sendError(res, 405, 'METHOD_NOT_ALLOWED', 'Use ' + allowedMethod + ' for this route');
+  }
+}
+
+//The tokens are hashed so they can be compared in constant time even if their lengths differ
+function hashToken(token: string): Buffer {
+  return createHash('sha256').update(token, 'utf8').digest();
+}
+
+function readBody(req: IncomingMessage): Promise<string> {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    const onData = (chunk: string) => {
+      body += chunk;
+      if (body.length > 1024) {
+        //The rest of the body is discarded instead of destroying the socket, so the client receives the 413 response
+        req.removeListener('data', onData);
+        req.resume();
+        reject(new HttpError(413, 'PAYLOAD_TOO_LARGE', 'The request body is too large'));
+      }
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Gets the optional durationMins field of the JSON body of an action request
+ */
+function parseDurationMins(body: string): number | undefined {
+  if (body.trim() == '') {
+    return undefined;
+  }
+  let parsed: { durationMins?: unknown };
+  try {
+    parsed = JSON.parse(body);
+  } catch (e) {
+    throw new HttpError(400, 'BAD_REQUEST', 'The request body must be a JSON object');
+  }
+  if (parsed == null || typeof parsed != 'object') {
+    throw new HttpError(400, 'BAD_REQUEST', 'The request body must be a JSON object');
+  }
+  const durationMins = parsed.durationMins;
+  if (durationMins == undefined) {
+    return undefined;
+  }
+  if (typeof durationMins != 'number' || !Number.isInteger(durationMins) || durationMins <= 0) {
+    throw new HttpError(400, 'BAD_REQUEST', 'durationMins must be a positive integer');
+  }
+  return durationMins;
+}
@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+/**
+ * This module implements the remootio command line tool built on the RemootioDevice class.
+ * It can query and control a Remootio device, and watch the events sent by the device.
+ *
+ * Usage: remootio [options] <command>
+ * The options of the device are read from the command line options, the REMOOTIO_* environment variables or a JSON or YAML config file (in this order of precedence),
+ * using the same loaders and validation as the library (see config.ts).
+ */
+
+import RemootioDevice = require('./index');
+import { readDeviceOptionsFromEnv, readDeviceOptionsFromFile, validateDeviceOptions } from './config';
+import { RemootioEvent } from './events';
+import { RemootioActionResponse } from './frames';
+
+export const usage = `Usage: remootio [options] <command>
+
+Commands:
+  query                      query the state of the gate or garage door
+  open                       open the gate or garage door
+  close                      close the gate or garage door
+  trigger                    trigger the control output
+  trigger-secondary          trigger the secondary (free relay) output
+  hold <output> <minutes>    hold an output (trigger, trigger-secondary, open, close) active for the given minutes
+  restart                    restart the device
+  watch                      stream the events of the device until interrupted
+
+Options:
+  --host <ip>                IP address of the device (env: REMOOTIO_HOST)
+  --port <port>              port of the device, defaults to 8080 (env: REMOOTIO_PORT)
+  --secret-key <key>         API Secret Key of the device (env: REMOOTIO_API_SECRET_KEY)
+  --auth-key <key>           API Auth Key of the device (env: REMOOTIO_API_AUTH_KEY)
+  --config <file>            JSON or YAML config file with the options of the device, e.g. host, port, apiSecretKey and apiAuthKey (env: REMOOTIO_CONFIG)
+  --timeout <ms>             how long to wait for the device, defaults to 10000 (env: REMOOTIO_ACTION_TIMEOUT_MS)
+  --ndjson                   print the responses and events as newline delimited JSON
+  --help                     show this help
+`;
+
+type HoldOutput = 'trigger' | 'trigger-secondary' | 'open' | 'close';
+
+export type CliCommand =
+  | { name: 'query' | 'open' | 'close' | 'trigger' | 'trigger-secondary' | 'restart' | 'watch' }
+  | { name: 'hold'; output: HoldOutput; durationMins: number }
+  | { name: 'help' };
+
+export interface CliConfig {
+  device: RemootioDevice.Options; //the validated options of the device
+  timeoutMs: number;
+  ndjson: boolean;
+}
+
+export interface CliIo {
+  stdout: { write: (text: string) => unknown };
+  stderr: { write: (text: string) => unknown };
+  signal?: AbortSignal; //the watch command stops when this signal is aborted
+}
+
+const simpleCommands = ['query', 'open', 'close', 'trigger', 'trigger-secondary', 'restart', 'watch'];
+const holdOutputs = ['trigger', 'trigger-secondary', 'open', 'close'];
+
+/**
+ * Parses the command line arguments
+ * @param {string[]} argv - the command line arguments (without the node executable and the script)
+ * @param {Object} env - the environment variables
+ * @returns {Object} - the command to run and the config of the device
+ * @throws {InvalidConfigError} - if the options of the device are missing or invalid
+ */
+export function parseCliArgs(
+  argv: string[],
+  env: Record<string, string | undefined>
+): { command: CliCommand; config: CliConfig } {
+  const flags: Record<string, string> = {};
+  const positionals: string[] = [];
+  let ndjson = false;
+  let help = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg == '--ndjson') {
+      ndjson = true;
+    } else if (arg == '--help' || arg == '-h') {
+      help = true;
+    } else if (arg.startsWith('--')) {
+      const [name, inlineValue] = arg.slice(2).split(/=(.*)/s, 2);
+      const value = inlineValue ?? argv[++i];
+      if (!['host', 'port', 'secret-key', 'auth-key', 'config', 'timeout'].includes(name)) {
+        throw new Error('Unknown option --' + name);
+      }
+      if (value == undefined) {
+        throw new Error('Missing value for option --' + name);
+      }
+      flags[name] = value;
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  if (help || positionals.length == 0) {
+    return {
+      command: { name: 'help' },
+      config: { device: { host: '', apiSecretKey: '', apiAuthKey: '' }, timeoutMs: 0, ndjson }
+    };
+  }
+
+  const command = parseCommand(positionals);
+
+  const configFilePath = flags['config'] ?? env.REMOOTIO_CONFIG;
+  const flagOptions: Partial<RemootioDevice.Options> = {};
+  if (flags['host'] != undefined) {
+    flagOptions.host = flags['host'];
+  }
+  if (flags['port'] != undefined) {
+    flagOptions.port = Number(flags['port']);
+  }
+  if (flags['secret-key'] != undefined) {
+    flagOptions.apiSecretKey = flags['secret-key'];
+  }
+  if (flags['auth-key'] != undefined) {
+    flagOptions.apiAuthKey = flags['auth-key'];
+  }
+  if (flags['timeout'] != undefined) {
+    flagOptions.actionTimeoutMs = Number(flags['timeout']);
+  }
+  const deviceOptions = {
+    ...(configFilePath != undefined ? readDeviceOptionsFromFile(configFilePath) : {}),
+    ...readDeviceOptionsFromEnv(env),
+    ...flagOptions
+  } as RemootioDevice.Options;
+  validateDeviceOptions(deviceOptions);
+
+  const timeoutMs = deviceOptions.actionTimeoutMs ?? 10000;
+  return { command, config: { device: { ...deviceOptions, actionTimeoutMs: timeoutMs }, timeoutMs, ndjson } };
+}
+
+function parseCommand(positionals: string[]): CliCommand {
+  const [name, ...args] = positionals;
+  if (name == 'hold') {
+    const [output, minutes] = args;
+    const durationMins = Number(minutes);
+    if (!holdOutputs.includes(output)) {
+      throw new Error('The output of the hold command must be one of ' + holdOutputs.join(', '));
+    }
+    if (!Number.isInteger(durationMins) || durationMins <= 0) {
+      throw new Error('The minutes of the hold command must be a positive integer');
+    }
+    return { name: 'hold', output: output as HoldOutput, durationMins: durationMins };
+  }
+  if (!simpleCommands.includes(name)) {
+    throw new Error('Unknown command ' + name);
+  }
+  if (args.length > 0) {
+    throw new Error('Unexpected arguments for the ' + name + ' command: ' + args.join(' '));
+  }
+  return { name: name as 'query' };
+}
+
+/**
+ * Formats an event as a human readable line e.g. 2020-01-01T12:00:00.000Z LeftOpen state=open timeOpen100ms=3000
+ * or as a JSON line if ndjson is true. The line starts with the time of the event (or the current time if the time of the event is not known)
+ */
+export function formatEvent(event: RemootioEvent, ndjson: boolean, date: Date = event.time ?? new Date()): string {
+  const fields = Object.entries(event).filter(([key]) => key != 'type' && key != 'time');
+  if (ndjson) {
+    return JSON.stringify({ time: date.toISOString(), type: event.type, ...Object.fromEntries(fields) });
+  }
+  return [date.toISOString(), event.type, ...fields.map(([key, value]) => key + '=' + formatValue(value))].join(' ');
+}
+
+/**
+ * Formats the response of an action as a human readable line or as a JSON line if ndjson is true
+ */
+export function formatResponse(actionResponse: RemootioActionResponse, ndjson: boolean): string {
+  const response = actionResponse.response;
+  if (ndjson) {
+    return JSON.stringify(response);
+  }
+  return (
+    response.type +
+    ' ' +
+    (response.success ? 'succeeded' : 'failed') +
+    ': state=' +
+    response.state +
+    ' relayTriggered=' +
+    response.relayTriggered +
+    (response.errorCode ? ' errorCode=' + formatValue(response.errorCode) : '')
+  );
+}
+
+function formatValue(value: unknown): string {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return typeof value == 'string' && !/\s/.test(value) ? value : JSON.stringify(value);
+}
+
+function sendCommand(device: RemootioDevice, command: CliCommand): Promise<RemootioActionResponse> {
+  switch (command.name) {
+    case 'query':
+      return device.query();
+    case 'open':
+      return device.open();
+    case 'close':
+      return device.close();
+    case 'trigger':
+      return device.trigger();
+    case 'trigger-secondary':
+      return device.triggerSecondary();
+    case 'restart':
+      return device.restart();
+    case 'hold':
+      switch (command.output) {
+        case 'trigger':
+          return device.trigger({ durationMins: command.durationMins });
+        case 'trigger-secondary':
+          return device.triggerSecondary({ durationMins: command.durationMins });
+        case 'open':
+          return device.open({ durationMins: command.durationMins });
+        case 'close':
+          return device.close({ durationMins: command.durationMins });
+      }
+  }
+  return Promise.reject(new Error('Unknown command ' + command.name));
+}
+
+/**
+ * Runs the command line tool
+ * @param {string[]} argv - the command line arguments (without the node executable and the script)
+ * @param {Object} env - the environment variables
+ * @param {Object} io - stdout and stderr to write to, and an AbortSignal to stop the watch command
+ * @returns {Promise<number>} - the exit code
+ */
+export async function runCli(argv: string[], env: Record<string, string | undefined>, io: CliIo): Promise<number> {
+  let parsed: { command: CliCommand; config: CliConfig };
+  try {
+    parsed = parseCliArgs(argv, env);
+  } catch (e: any) {
+    io.stderr.write('Error: ' + e.message + '\n\n' + usage);
+    return 2;
+  }
+  const { command, config } = parsed;
+  if (command.name == 'help') {
+    io.stdout.write(usage);
+    return 0;
+  }
+
+  const device = new RemootioDevice(config.device);
+  device.on('connected', () => device.authenticate());
+  device.on('error', (err) => io.stderr.write('Error: ' + err.message + '\n'));
+
+  if (command.name == 'watch') {
+    return watch(device, config, io);
+  }
+
+  const authenticated = new Promise<void>((resolve, reject) => {
+    const timeoutHandle = setTimeout(
+      () =>
+        reject(
+          new Error('The session was not authenticated in ' + config.timeoutMs + ' ms, check the host and the API keys')
+        ),
+      config.timeoutMs
+    );
+    device.once('authenticated', () => {
+      clearTimeout(timeoutHandle);
+      resolve();
+    });
+  });
+  device.connect();
+  try {
+    await authenticated;
+    const response = await sendCommand(device, command);
+    io.stdout.write(formatResponse(response, config.ndjson) + '\n');
+    return 0;
+  } catch (e: any) {
+    io.stderr.write('Error: ' + e.message + '\n');
+    return 1;
+  } finally {
+    device.disconnect();
+  }
+}
+
+/**
+ * Streams the events of the device until the signal is aborted. The connection is reestablished automatically if it is lost.
+ */
+function watch(device: RemootioDevice, config: CliConfig, io: CliIo): Promise<number> {
+  const address = config.device.url ?? config.device.host + ':' + (config.device.port ?? 8080);
+  return new Promise((resolve) => {
+    device.on('authenticated', () => io.stderr.write('Connected to ' + address + '\n'));
+    device.on('disconnect', () => io.stderr.write('Disconnected from ' + address + '\n'));
+    device.on('event', (event) => io.stdout.write(formatEvent(event, config.ndjson) + '\n'));
+
+    const stop = () => {
+      device.disconnect();
+      resolve(0);
+    };
+    if (io.signal?.aborted) {
+      stop();
+      return;
+    }
+    io.signal?.addEventListener('abort', stop);
+    device.connect(true);
+  });
+}
+
+if (require.main === module) {
+  const controller = new AbortController();
+  process.on('SIGINT', () => controller.abort());
+  process.on('SIGTERM', () => controller.abort());
+  runCli(process.argv.slice(2), process.env, {
+    stdout: process.stdout,
+    stderr: process.stderr,
+    signal: controller.signal
+  }).then((exitCode) => {
+    process.exitCode = exitCode;
+  });
+}
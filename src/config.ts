@@ -0,0 +1,205 @@
+/**
+ * This module loads the options of the RemootioDevice class from environment variables or from a JSON or YAML config file, and validates them (see validation.ts).
+ *
+ * Environment variables (the REMOOTIO_ prefix can be changed, e.g. to REMOOTIO_GARAGE_ if you have more devices):
+ * REMOOTIO_HOST, REMOOTIO_PORT, REMOOTIO_API_SECRET_KEY, REMOOTIO_API_AUTH_KEY, REMOOTIO_URL, REMOOTIO_AUTO_RECONNECT (true or false),
+ * REMOOTIO_PING_INTERVAL_MS, REMOOTIO_PING_TIMEOUT_MS, REMOOTIO_ACTION_TIMEOUT_MS, REMOOTIO_ACTION_EXPIRE_AFTER_MS, REMOOTIO_HELLO_ON_CONNECT,
+ * REMOOTIO_RESYNC_ON_MISSED_EVENTS (true or false), REMOOTIO_LOG_LEVEL (debug, info, warn, error or silent), REMOOTIO_TRACE_FRAMES (true or false)
+ *
+ * Config files (.yaml and .yml files are parsed as YAML, anything else as JSON) contain the options of a single device:
+ * { "host": "192.168.1.155", "apiSecretKey": "...", "apiAuthKey": "...", "autoReconnect": true }
+ * or the options of more devices by name (see loadDevicesFromFile):
+ * { "devices": { "garage": { "host": "192.168.1.155", ... }, "gate": { "host": "192.168.1.156", ... } } }
+ */
+
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import { safeLoad } from 'js-yaml';
+import RemootioDevice = require('./index');
+import { InvalidConfigError } from './errors';
+import { validateDeviceOptions } from './validation';
+
+export { validateDeviceOptions };
+
+//The fields of the options that can be set in config files
+const configFields: (keyof RemootioDevice.Options)[] = [
+  'host',
+  'port',
+  'apiSecretKey',
+  'apiAuthKey',
+  'url',
+  'autoReconnect',
+  'pingIntervalMs',
+  'pingTimeoutMs',
+  'actionTimeoutMs',
+  'actionExpireAfterMs',
+  'helloOnConnect',
+  'resyncOnMissedEvents',
+  'logLevel',
+  'traceFrames'
+];
+
+//The environment variables of the options (without the prefix)
+const envVariables: [keyof RemootioDevice.Options, string][] = [
+  ['host', 'HOST'],
+  ['port', 'PORT'],
+  ['apiSecretKey', 'API_SECRET_KEY'],
+  ['apiAuthKey', 'API_AUTH_KEY'],
+  ['url', 'URL'],
+  ['autoReconnect', 'AUTO_RECONNECT'],
+  ['pingIntervalMs', 'PING_INTERVAL_MS'],
+  ['pingTimeoutMs', 'PING_TIMEOUT_MS'],
+  ['actionTimeoutMs', 'ACTION_TIMEOUT_MS'],
+  ['actionExpireAfterMs', 'ACTION_EXPIRE_AFTER_MS'],
+  ['helloOnConnect', 'HELLO_ON_CONNECT'],
+  ['resyncOnMissedEvents', 'RESYNC_ON_MISSED_EVENTS'],
+  ['logLevel', 'LOG_LEVEL'],
+  ['traceFrames', 'TRACE_FRAMES']
+];
+
+/**
+ * Loads the options of a device from environment variables
+ * @param {Object} [env=process.env] - the environment variables
+ * @param {string} [prefix='REMOOTIO_'] - the prefix of the environment variables
+ * @returns {Object} - the validated options of the RemootioDevice
+ * @throws {InvalidConfigError} - if a variable is missing or invalid
+ */
+export function loadDeviceOptionsFromEnv(
+  env: Record<string, string | undefined> = process.env,
+  prefix = 'REMOOTIO_'
+): RemootioDevice.Options {
+  const options = readDeviceOptionsFromEnv(env, prefix) as RemootioDevice.Options;
+  validateDeviceOptions(options);
+  return options;
+}
+
+/**
+ * Reads the options set in environment variables without checking that the required ones are set, e.g. to merge them with the options of other sources
+ * and validate the result using validateDeviceOptions()
+ * @param {Object} [env=process.env] - the environment variables
+ * @param {string} [prefix='REMOOTIO_'] - the prefix of the environment variables
+ * @returns {Object} - the options set in the environment variables
+ * @throws {InvalidConfigError} - if a boolean variable is not true or false
+ */
+export function readDeviceOptionsFromEnv(
+  env: Record<string, string | undefined> = process.env,
+  prefix = 'REMOOTIO_'
+): Partial<RemootioDevice.Options> {
+  const options: Record<string, unknown> = {};
+  envVariables.forEach(([field, name]) => {
+    const value = env[prefix + name];
+    if (value == undefined || value == '') {
+      return;
+    }
+    switch (field) {
+      case 'host':
+      case 'url':
+      case 'apiSecretKey':
+      case 'apiAuthKey':
+      case 'logLevel':
+        options[field] = value;
+        break;
+      case 'autoReconnect':
+      case 'helloOnConnect':
+      case 'resyncOnMissedEvents':
+      case 'traceFrames':
+        if (!['true', 'false', '1', '0'].includes(value.toLowerCase())) {
+          throw new InvalidConfigError(field, prefix + name + ' must be true or false');
+        }
+        options[field] = ['true', '1'].includes(value.toLowerCase());
+        break;
+      default:
+        options[field] = Number(value);
+    }
+  });
+  return options as Partial<RemootioDevice.Options>;
+}
+
+/**
+ * Reads a JSON or YAML config file (.yaml and .yml files are parsed as YAML, anything else as JSON)
+ * @param {string} path - the path of the file
+ * @returns {Object} - the content of the file
+ * @throws {InvalidConfigError} - if the file can't be read or parsed, or it doesn't contain an object
+ */
+export function readConfigFile(path: string): Record<string, unknown> {
+  let text: string;
+  try {
+    text = readFileSync(path, 'utf8');
+  } catch (e: any) {
+    throw new InvalidConfigError('file', 'Failed to read the config file ' + path + ': ' + e.message);
+  }
+  let content: unknown;
+  try {
+    content = ['.yaml', '.yml'].includes(extname(path).toLowerCase()) ? safeLoad(text) : JSON.parse(text);
+  } catch (e: any) {
+    throw new InvalidConfigError('file', 'Failed to parse the config file ' + path + ': ' + e.message);
+  }
+  if (typeof content != 'object' || content == null || Array.isArray(content)) {
+    throw new InvalidConfigError('file', 'The config file ' + path + ' must contain an object');
+  }
+  return content as Record<string, unknown>;
+}
+
+/**
+ * Loads the options of a device from a JSON or YAML config file
+ * @param {string} path - the path of the file
+ * @returns {Object} - the validated options of the RemootioDevice
+ * @throws {InvalidConfigError} - if the file contains unknown, missing or invalid options
+ */
+export function loadDeviceOptionsFromFile(path: string): RemootioDevice.Options {
+  return toDeviceOptions(readConfigFile(path), '');
+}
+
+/**
+ * Reads the options of a device from a JSON or YAML config file without checking that the required ones are set (see readDeviceOptionsFromEnv)
+ * @param {string} path - the path of the file
+ * @returns {Object} - the options in the file
+ * @throws {InvalidConfigError} - if the file can't be read or parsed, or it contains unknown options
+ */
+export function readDeviceOptionsFromFile(path: string): Partial<RemootioDevice.Options> {
+  const content = readConfigFile(path);
+  checkConfigFields(content, '');
+  return content as Partial<RemootioDevice.Options>;
+}
+
+/**
+ * Loads the options of more devices from a JSON or YAML config file with a devices field, e.g. to add them to a RemootioFleet
+ * @param {string} path - the path of the file
+ * @returns {Object} - the validated options of the devices by name
+ * @throws {InvalidConfigError} - if the file contains unknown, missing or invalid options
+ */
+export function loadDevicesFromFile(path: string): Record<string, RemootioDevice.Options> {
+  const devices = readConfigFile(path).devices;
+  if (typeof devices != 'object' || devices == null || Array.isArray(devices)) {
+    throw new InvalidConfigError('devices', 'The config file ' + path + ' must contain a devices object');
+  }
+  const result: Record<string, RemootioDevice.Options> = {};
+  Object.entries(devices).forEach(([name, options]) => {
+    if (typeof options != 'object' || options == null) {
+      throw new InvalidConfigError('devices.' + name, 'The options of the device ' + name + ' must be an object');
+    }
+    result[name] = toDeviceOptions(options, 'devices.' + name + '.');
+  });
+  return result;
+}
+
+function checkConfigFields(content: Record<string, unknown>, fieldPrefix: string): void {
+  Object.keys(content).forEach((field) => {
+    if (!(configFields as string[]).includes(field)) {
+      throw new InvalidConfigError(fieldPrefix + field, 'Unknown option ' + fieldPrefix + field);
+    }
+  });
+}
+
+function toDeviceOptions(content: Record<string, unknown>, fieldPrefix: string): RemootioDevice.Options {
+  checkConfigFields(content, fieldPrefix);
+  const options = (content as unknown) as RemootioDevice.Options;
+  try {
+    validateDeviceOptions(options);
+  } catch (e: any) {
+    throw e instanceof InvalidConfigError && fieldPrefix != ''
+      ? new InvalidConfigError(fieldPrefix + e.field, e.message + ' (' + fieldPrefix.slice(0, -1) + ')')
+      : e;
+  }
+  return options;
+}
@@ -0,0 +1,234 @@
+/**
+ * This module contains the errors thrown by the methods of the RemootioDevice class, used to reject its promises, and emitted in its error event.
+ * Every error extends RemootioError and has a machine-readable code, so you can handle them using either instanceof or error.code
+ */
+
+import { EventEmitter } from 'events';
+import { DecryptionFailureReason } from './apicrypto';
+import { ActionTypes, ErrorFrame, RemootioActionResponse, SensorStates } from './frames';
+
+export type RemootioErrorCode =
+  | 'NOT_CONNECTED'
+  | 'NOT_AUTHENTICATED'
+  | 'DEVICE_ERROR'
+  | 'DECRYPTION_ERROR'
+  | 'PING_TIMEOUT'
+  | 'ACTION_TIMEOUT'
+  | 'ACTION_EXPIRED'
+  | 'ACTION_FAILED'
+  | 'CONNECTION_CLOSED'
+  | 'INVALID_FRAME'
+  | 'INVALID_CONFIG'
+  | 'UNSUPPORTED_ACTION'
+  | 'STATE_NOT_REACHED'
+  | 'WAIT_TIMEOUT'
+  | 'INVALID_COMMAND';
+
+/**
+ * The base class of the errors of the API client
+ */
+export class RemootioError extends Error {
+  readonly code: RemootioErrorCode;
+
+  constructor(code: RemootioErrorCode, message: string) {
+    super(message);
+    this.name = new.target.name;
+    this.code = code;
+  }
+}
+
+/**
+ * The websocket client is not connected to the Remootio device
+ */
+export class NotConnectedError extends RemootioError {
+  constructor(message = 'The websocket client is not connected') {
+    super('NOT_CONNECTED', message);
+  }
+}
+
+/**
+ * The session is not authenticated, call authenticate() and wait for the authenticated event first
+ */
+export class NotAuthenticatedError extends RemootioError {
+  constructor(message = 'Authenticate session first to send this message') {
+    super('NOT_AUTHENTICATED', message);
+  }
+}
+
+/**
+ * The Remootio device sent an ERROR frame e.g. 'authentication error' or 'connection timeout'
+ */
+export class DeviceErrorFrame extends RemootioError {
+  readonly errorMessage: ErrorFrame['errorMessage'];
+
+  constructor(errorMessage: ErrorFrame['errorMessage']) {
+    super('DEVICE_ERROR', 'The Remootio device sent an ERROR frame: ' + errorMessage);
+    this.errorMessage = errorMessage;
+  }
+}
+
+/**
+ * An ENCRYPTED frame couldn't be decrypted, it usually means that the API keys are wrong
+ */
+export class DecryptionError extends RemootioError {
+  readonly reason: DecryptionFailureReason;
+
+  constructor(reason: DecryptionFailureReason) {
+    super('DECRYPTION_ERROR', 'Authentication or encryption error (' + reason + ')');
+    this.reason = reason;
+  }
+}
+
+/**
+ * No message arrived from the Remootio device in time after a PING frame was sent, the connection is considered to be broken
+ */
+export class PingTimeoutError extends RemootioError {
+  readonly timeoutMs: number;
+
+  constructor(timeoutMs: number) {
+    super('PING_TIMEOUT', 'No response for PING message in ' + timeoutMs + ' ms. Connection is broken.');
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * No response arrived from the Remootio device in time for an action
+ */
+export class ActionTimeoutError extends RemootioError {
+  readonly actionType: ActionTypes;
+  readonly actionId: number;
+  readonly timeoutMs: number;
+
+  constructor(actionType: ActionTypes, actionId: number, timeoutMs: number) {
+    super('ACTION_TIMEOUT', 'No response for ' + actionType + ' action (id ' + actionId + ') in ' + timeoutMs + ' ms');
+    this.actionType = actionType;
+    this.actionId = actionId;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * The action waited in the queue for too long (e.g. the session was not authenticated in time), so it was never sent
+ */
+export class ActionExpiredError extends RemootioError {
+  readonly actionType: ActionTypes;
+  readonly expireAfterMs: number;
+
+  constructor(actionType: ActionTypes, expireAfterMs: number) {
+    super('ACTION_EXPIRED', actionType + ' action was not sent in ' + expireAfterMs + ' ms');
+    this.actionType = actionType;
+    this.expireAfterMs = expireAfterMs;
+  }
+}
+
+/**
+ * The Remootio device doesn't support the action according to the SERVER_HELLO frame it sent (e.g. TRIGGER_SECONDARY on API version 1)
+ */
+export class UnsupportedActionError extends RemootioError {
+  readonly actionType: ActionTypes;
+
+  constructor(actionType: ActionTypes, reason: string) {
+    super('UNSUPPORTED_ACTION', actionType + ' action is not supported by the device (' + reason + ')');
+    this.actionType = actionType;
+  }
+}
+
+/**
+ * The Remootio device responded to an action with success: false
+ */
+export class ActionFailedError extends RemootioError {
+  readonly actionType: ActionTypes;
+  readonly response: RemootioActionResponse['response'];
+
+  constructor(actionType: ActionTypes, response: RemootioActionResponse['response']) {
+    super(
+      'ACTION_FAILED',
+      actionType + ' action was not successful' + (response.errorCode ? ' (' + response.errorCode + ')' : '')
+    );
+    this.actionType = actionType;
+    this.response = response;
+  }
+}
+
+/**
+ * The connection was closed before the operation finished (e.g. before the response to an action arrived)
+ */
+export class ConnectionClosedError extends RemootioError {
+  constructor(message = 'The connection was closed before the response to the action arrived') {
+    super('CONNECTION_CLOSED', message);
+  }
+}
+
+/**
+ * A frame received from the Remootio device is not valid (e.g. it is not a valid JSON)
+ */
+export class InvalidFrameError extends RemootioError {
+  constructor(message: string) {
+    super('INVALID_FRAME', message);
+  }
+}
+
+/**
+ * The options of the RemootioDevice or the loaded config are not valid (e.g. the API Secret Key is not a 64 character hexstring)
+ */
+export class InvalidConfigError extends RemootioError {
+  readonly field: string;
+
+  constructor(field: string, message: string) {
+    super('INVALID_CONFIG', message);
+    this.field = field;
+  }
+}
+
+/**
+ * The gate didn't reach the target state of ensureOpen() or ensureClosed() (e.g. it is blocked or the sensor is flipped),
+ * or the state can't be verified because there is no gate status sensor
+ */
+export class StateNotReachedError extends RemootioError {
+  readonly targetState: 'open' | 'closed';
+  readonly state: SensorStates; //The last state reported by the sensor
+
+  constructor(targetState: 'open' | 'closed', state: SensorStates, message: string) {
+    super('STATE_NOT_REACHED', message);
+    this.targetState = targetState;
+    this.state = state;
+  }
+}
+
+/**
+ * No event matching the predicate of waitFor() arrived in time
+ */
+export class WaitTimeoutError extends RemootioError {
+  readonly timeoutMs: number;
+
+  constructor(timeoutMs: number) {
+    super('WAIT_TIMEOUT', 'No matching event arrived in ' + timeoutMs + ' ms');
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * A command received from a remote client is not valid (e.g. an unknown command on the command topic of the MQTT bridge)
+ */
+export class InvalidCommandError extends RemootioError {
+  readonly command: string;
+
+  constructor(command: string, message: string) {
+    super('INVALID_COMMAND', message);
+    this.command = command;
+  }
+}
+
+/**
+ * Emits the error event of an emitter only if it has a listener. The MQTT bridge, the session recorder, the automation engine and the audit log
+ * report the errors of callbacks and promise chains using this, where emit() without a listener would throw the error in the message handler of a
+ * client or cause an unhandled rejection, so a remote client or a failing device could crash the process.
+ * @param {EventEmitter} emitter - the emitter of the error event
+ * @param {Error} error - the error to emit
+ * @param {...*} args - further arguments of the error event
+ */
+export function emitErrorIfListened(emitter: EventEmitter, error: Error, ...args: unknown[]): void {
+  if (emitter.listenerCount('error') > 0) {
+    emitter.emit('error', error, ...args);
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * This module converts the events sent by the Remootio device (the decrypted payload of ENCRYPTED frames containing an event)
+ * to flat, normalized objects, so the fields of the event.data object are available directly on the event.
+ * The RemootioDevice class emits the normalized events using the event names listed in emittedEventNames.
+ */
+
+import { ConnectionTypes, EventTypeNames, EventTypes, KeyTypes, SensorStates } from './frames';
+
+export type SimpleEventTypeNames =
+  | 'StateChange'
+  | 'Restart'
+  | 'ManualButtonPushed'
+  | 'ManualButtonEnabled'
+  | 'ManualButtonDisabled'
+  | 'DoorbellPushed'
+  | 'DoorbellEnabled'
+  | 'DoorbellDisabled'
+  | 'SensorEnabled'
+  | 'SensorFlipped'
+  | 'SensorDisabled';
+
+export type KeyEventTypeNames = 'RelayTrigger' | 'SecondaryRelayTrigger' | 'Connected';
+
+interface RemootioEventBase<T extends EventTypeNames> {
+  type: T;
+  cnt: number; //event counter of the device
+  state: SensorStates; //gate status when the event happened
+  t100ms: number; //uptime of the device in 100 ms units when the event happened
+  time?: Date; //wall-clock time of the event calculated from t100ms (only set if the boot time of the device is known)
+}
+
+export type RemootioSimpleEvent<T extends SimpleEventTypeNames = SimpleEventTypeNames> = T extends SimpleEventTypeNames
+  ? RemootioEventBase<T>
+  : never;
+
+export type RemootioKeyEvent<T extends KeyEventTypeNames = KeyEventTypeNames> = T extends KeyEventTypeNames
+  ? RemootioEventBase<T> & {
+      keyNr: number; //the number of the key used
+      keyType: KeyTypes;
+      via: ConnectionTypes; //how the key was connected to the device
+    }
+  : never;
+
+export interface RemootioLeftOpenEvent extends RemootioEventBase<'LeftOpen'> {
+  timeOpen100ms: number; //for how long the gate has been open in 100 ms units
+  openSince?: Date; //wall-clock time the gate was opened calculated from timeOpen100ms (only set if the boot time of the device is known)
+}
+
+export interface RemootioKeyManagementEvent extends RemootioEventBase<'KeyManagement'> {
+  keyNr: number;
+  keyType: KeyTypes;
+  bluetooth: boolean;
+  wifi: boolean;
+  internet: boolean;
+  notification: boolean;
+  isRemoved: boolean;
+}
+
+export type RemootioEvent = RemootioSimpleEvent | RemootioKeyEvent | RemootioLeftOpenEvent | RemootioKeyManagementEvent;
+
+export type RemootioEventOfType<T extends EventTypeNames> = Extract<RemootioEvent, { type: T }>;
+
+/**
+ * The names of the events emitted by the RemootioDevice class for each event type sent by the Remootio device
+ */
+export const emittedEventNames = {
+  StateChange: 'sensorStateChange',
+  Restart: 'restart',
+  ManualButtonPushed: 'manualButtonPushed',
+  ManualButtonEnabled: 'manualButtonEnabled',
+  ManualButtonDisabled: 'manualButtonDisabled',
+  DoorbellPushed: 'doorbell',
+  DoorbellEnabled: 'doorbellEnabled',
+  DoorbellDisabled: 'doorbellDisabled',
+  SensorEnabled: 'sensorEnabled',
+  SensorFlipped: 'sensorFlipped',
+  SensorDisabled: 'sensorDisabled',
+  RelayTrigger: 'relayTrigger',
+  SecondaryRelayTrigger: 'secondaryRelayTrigger',
+  Connected: 'keyConnected',
+  LeftOpen: 'leftOpen',
+  KeyManagement: 'keyManagement'
+} as const;
+
+export type EmittedEventNames = typeof emittedEventNames;
+
+/**
+ * This function converts an event sent by the Remootio device to a normalized event.
+ * @param {Object} payload - is the decrypted payload of an ENCRYPTED frame containing an event e.g.
+ * {event: {cnt: 12, type: 'LeftOpen', state: 'open', t100ms: 53012, data: {timeOpen100ms: 3000}}}
+ * @returns {Object} - the event with the fields of event.data merged into it e.g.
+ * {type: 'LeftOpen', cnt: 12, state: 'open', t100ms: 53012, timeOpen100ms: 3000}
+ * @param {number} [deviceBootTimeMs] - the wall-clock time the device was started (in ms since the epoch), if it's known the time field
+ * (and the openSince field of LeftOpen events) is calculated from the uptime of the device
+ */
+export function normalizeEvent(payload: EventTypes, deviceBootTimeMs?: number): RemootioEvent {
+  const { data, ...event } = payload.event as EventTypes['event'] & { data?: Record<string, unknown> };
+  const normalizedEvent = { ...event, ...data } as RemootioEvent;
+  if (deviceBootTimeMs != undefined) {
+    normalizedEvent.time = new Date(deviceBootTimeMs + normalizedEvent.t100ms * 100);
+    if (normalizedEvent.type == 'LeftOpen') {
+      normalizedEvent.openSince = new Date(normalizedEvent.time.getTime() - normalizedEvent.timeOpen100ms * 100);
+    }
+  }
+  return normalizedEvent;
+}
@@ -0,0 +1,328 @@
+/**
+ * This module implements a manager for multiple Remootio devices. It connects and authenticates the devices together,
+ * re-emits their events tagged with the name of the device, sends actions to groups of devices and reports the aggregate status.
+ */
+
+import { EventEmitter } from 'events';
+import RemootioDevice = require('./index');
+import { ConnectionClosedError, InvalidConfigError, NotAuthenticatedError, NotConnectedError } from './errors';
+import { RemootioActionResponse } from './frames';
+
+export interface RemootioFleetOptions {
+  autoAuthenticate?: boolean; //Authenticate the devices automatically once they are connected (defaults to true)
+}
+
+export interface FleetDeviceOptions {
+  groups?: string[]; //The groups the device belongs to e.g. the site it is installed at
+  port?: number; //The port the device is listening to (defaults to 8080)
+}
+
+export interface FleetDeviceStatus {
+  name: string;
+  groups: string[];
+  connected: boolean;
+  authenticated: boolean;
+  doorState: RemootioDevice.DoorState;
+}
+
+export interface FleetStatus {
+  total: number; //The number of devices
+  connected: number; //The number of connected devices
+  authenticated: number; //The number of authenticated devices
+  devices: FleetDeviceStatus[];
+}
+
+export interface FleetResult<T> {
+  name: string; //The name of the device
+  success: boolean;
+  value?: T; //The result of the operation if it was successful
+  error?: Error; //The reason of the failure if it was not successful
+}
+
+type RemootioFleetEvents = {
+  [E in keyof RemootioDevice.Events]: (deviceName: string, ...args: Parameters<RemootioDevice.Events[E]>) => void;
+};
+
+export declare interface RemootioFleet {
+  on<E extends keyof RemootioFleetEvents>(event: E, listener: RemootioFleetEvents[E]): this;
+  emit<E extends keyof RemootioFleetEvents>(event: E, ...args: Parameters<RemootioFleetEvents[E]>): boolean;
+}
+
+interface FleetMember {
+  device: RemootioDevice;
+  groups: string[];
+  port?: number;
+  unsubscribe: () => void; //Removes the listeners the fleet added to the device
+}
+
+/**
+ * RemootioFleet manages multiple RemootioDevice instances identified by a name.
+ *
+ * *** Methods ***
+ * @method addDevice(name, device, options) - adds a device to the fleet, options.groups: the groups the device belongs to, options.port: the port the device listens to
+ * @method removeDevice(name) - removes the device from the fleet (it doesn't disconnect the device)
+ * @method getDevice(nameOrSerialNumber) - gets the device by name, or by the serial number it reported in its SERVER_HELLO frame
+ * @method connectAll(autoReconnect, group) - connects (and authenticates) the devices, resolves once every device is authenticated or failed to do so
+ * @method disconnectAll(group) - disconnects the devices
+ * @method queryAll(group), triggerAll(group), openAll(group), closeAll(group) - sends the action to the devices, resolves with the result for every device
+ * @method getStatus(group) - gets the aggregate connection and authentication status of the devices
+ *
+ * *** Events ***
+ * The fleet re-emits every event of its devices (see RemootioDevice.deviceEventNames) with the name of the device as the first parameter e.g. fleet.on('stateChanged', (name, previous, current, cause) => ...)
+ * The error events of the devices are re-emitted too, so you should add a listener for the error event of the fleet.
+ */
+export class RemootioFleet extends EventEmitter {
+  private members: Map<string, FleetMember>;
+  private autoAuthenticate: boolean;
+
+  constructor(options?: RemootioFleetOptions) {
+    super();
+    this.members = new Map();
+    this.autoAuthenticate = options?.autoAuthenticate ?? true;
+  }
+
+  /**
+   * Adds a device to the fleet
+   * @param {string} name - unique name of the device e.g. "site-a-main-gate"
+   * @param {RemootioDevice} device - the device
+   * @param {Object} [options] - groups: the groups the device belongs to e.g. ['site-a'], port: the port the device is listening to
+   */
+  addDevice(name: string, device: RemootioDevice, options?: FleetDeviceOptions): RemootioDevice {
+    if (this.members.has(name)) {
+      throw new InvalidConfigError('name', 'A device named ' + name + ' is already in the fleet');
+    }
+    const forwardingListeners = Object.fromEntries(
+      RemootioDevice.deviceEventNames.map((eventName) => [
+        eventName,
+        (...args: unknown[]) => super.emit(eventName, name, ...args)
+      ])
+    ) as RemootioDevice.EventListeners;
+    const unsubscribeForwarding = device.subscribe(forwardingListeners);
+    const unsubscribeAuthentication = device.subscribe({
+      connected: () => {
+        if (this.autoAuthenticate) {
+          device.authenticate();
+        }
+      }
+    });
+
+    this.members.set(name, {
+      device: device,
+      groups: options?.groups ?? [],
+      port: options?.port,
+      unsubscribe: () => {
+        unsubscribeForwarding();
+        unsubscribeAuthentication();
+      }
+    });
+    return device;
+  }
+
+  /**
+   * Removes the device from the fleet and stops re-emitting its events. It doesn't disconnect the device.
+   * @param {string} name - the name of the device
+   * @returns {boolean} - true if the device was in the fleet
+   */
+  removeDevice(name: string): boolean {
+    const member = this.members.get(name);
+    if (member == undefined) {
+      return false;
+    }
+    member.unsubscribe();
+    this.members.delete(name);
+    return true;
+  }
+
+  /**
+   * Gets a device of the fleet by name, or by serial number (the serial number is only known once the device answered a HELLO frame,
+   * see the helloOnConnect option of RemootioDevice)
+   * @param {string} nameOrSerialNumber - the name or the serial number of the device
+   */
+  getDevice(nameOrSerialNumber: string): RemootioDevice | undefined {
+    const member = this.members.get(nameOrSerialNumber);
+    if (member != undefined) {
+      return member.device;
+    }
+    return Array.from(this.members.values()).find(
+      (candidate) => candidate.device.deviceInfo?.serialNumber == nameOrSerialNumber
+    )?.device;
+  }
+
+  /**
+   * Gets the names of the devices (in the group if it's specified)
+   * @param {string} [group] - only the devices of this group
+   */
+  getNames(group?: string): string[] {
+    return Array.from(this.members.keys()).filter(
+      (name) => group == undefined || this.members.get(name)?.groups.includes(group)
+    );
+  }
+
+  /**
+   * Connects the devices (in the group if it's specified) that are not connected yet, and waits for their authentication.
+   * @param {boolean|Object} [autoReconnect=true] - passed to the connect() method of the devices
+   * @param {string} [group] - only the devices of this group
+   * @param {number} [timeoutMs=10000] - how long to wait for the authentication of the devices
+   * @returns {Promise} - resolves with the result for every device once every device is authenticated or failed to do so
+   */
+  connectAll(
+    autoReconnect: boolean | RemootioDevice.ReconnectOptions = true,
+    group?: string,
+    timeoutMs = 10000
+  ): Promise<FleetResult<void>[]> {
+    return this.forEachDevice(group, (device, member) => {
+      if (device.isAuthenticated) {
+        return Promise.resolve();
+      }
+      const authenticated = this.waitForAuthentication(device, timeoutMs, autoReconnect == false);
+      if (!device.isConnected) {
+        device.connect(autoReconnect, member.port);
+      } else if (this.autoAuthenticate) {
+        device.authenticate();
+      }
+      return authenticated;
+    });
+  }
+
+  /**
+   * Disconnects the devices (in the group if it's specified)
+   * @param {string} [group] - only the devices of this group
+   */
+  disconnectAll(group?: string): void {
+    this.getNames(group).forEach((name) => this.members.get(name)?.device.disconnect());
+  }
+
+  /**
+   * Sends a QUERY action to the devices (in the group if it's specified)
+   * @param {string} [group] - only the devices of this group
+   * @param {Object} [options] - passed to the query() method of the devices
+   */
+  queryAll(group?: string, options?: RemootioDevice.ActionOptions): Promise<FleetResult<RemootioActionResponse>[]> {
+    return this.forEachDevice(group, (device) => device.query(options));
+  }
+
+  /**
+   * Sends a TRIGGER action to the devices (in the group if it's specified)
+   * @param {string} [group] - only the devices of this group
+   * @param {Object} [options] - passed to the trigger() method of the devices
+   */
+  triggerAll(
+    group?: string,
+    options?: RemootioDevice.DurationActionOptions
+  ): Promise<FleetResult<RemootioActionResponse>[]> {
+    return this.forEachDevice(group, (device) => device.trigger(options));
+  }
+
+  /**
+   * Sends an OPEN action to the devices (in the group if it's specified)
+   * @param {string} [group] - only the devices of this group
+   * @param {Object} [options] - passed to the open() method of the devices
+   */
+  openAll(
+    group?: string,
+    options?: RemootioDevice.DurationActionOptions
+  ): Promise<FleetResult<RemootioActionResponse>[]> {
+    return this.forEachDevice(group, (device) => device.open(options));
+  }
+
+  /**
+   * Sends a CLOSE action to the devices (in the group if it's specified) e.g. closes all gates at a site
+   * @param {string} [group] - only the devices of this group
+   * @param {Object} [options] - passed to the close() method of the devices
+   */
+  closeAll(
+    group?: string,
+    options?: RemootioDevice.DurationActionOptions
+  ): Promise<FleetResult<RemootioActionResponse>[]> {
+    return this.forEachDevice(group, (device) => device.close(options));
+  }
+
+  /**
+   * Gets the aggregate connection and authentication status of the devices (in the group if it's specified)
+   * @param {string} [group] - only the devices of this group
+   */
+  getStatus(group?: string): FleetStatus {
+    const devices = this.getNames(group).map((name) => {
+      const member = this.members.get(name) as FleetMember;
+      return {
+        name: name,
+        groups: member.groups,
+        connected: member.device.isConnected,
+        authenticated: member.device.isAuthenticated,
+        doorState: member.device.doorState
+      };
+    });
+    return {
+      total: devices.length,
+      connected: devices.filter((device) => device.connected).length,
+      authenticated: devices.filter((device) => device.authenticated).length,
+      devices: devices
+    };
+  }
+
+  //Get method for the size property
+  get size(): number {
+    return this.members.size;
+  }
+
+  /**
+   * Runs the operation for every device (in the group if it's specified) and collects the results
+   */
+  private forEachDevice<T>(
+    group: string | undefined,
+    operation: (device: RemootioDevice, member: FleetMember) => Promise<T>
+  ): Promise<FleetResult<T>[]> {
+    const names = this.getNames(group);
+    return Promise.all(
+      names.map((name) => {
+        const member = this.members.get(name) as FleetMember;
+        return operation(member.device, member).then(
+          (value) => ({ name: name, success: true, value: value }),
+          (error) => ({ name: name, success: false, error: error instanceof Error ? error : new Error(String(error)) })
+        );
+      })
+    );
+  }
+
+  /**
+   * Resolves when the device is authenticated, rejects if it doesn't happen in time or the device gives up reconnecting.
+   * Without autoReconnect the device won't try again, so it also rejects at once if the connection is closed or the device emits an error.
+   */
+  private waitForAuthentication(device: RemootioDevice, timeoutMs: number, failOnDisconnect: boolean): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timeoutHandle);
+        device.removeListener('authenticated', onAuthenticated);
+        device.removeListener('reconnectFailed', onReconnectFailed);
+        device.removeListener('disconnect', onDisconnect);
+        device.removeListener('error', onError);
+      };
+      const onAuthenticated = () => {
+        cleanup();
+        resolve();
+      };
+      const onReconnectFailed = () => {
+        cleanup();
+        reject(new NotConnectedError('Failed to reconnect to the device'));
+      };
+      const onDisconnect = () => {
+        cleanup();
+        reject(new ConnectionClosedError('The connection was closed before the device was authenticated'));
+      };
+      const onError = (error: Error) => {
+        cleanup();
+        reject(error);
+      };
+      const timeoutHandle = setTimeout(() => {
+        cleanup();
+        reject(new NotAuthenticatedError('The device was not authenticated in ' + timeoutMs + ' ms'));
+      }, timeoutMs);
+      device.on('authenticated', onAuthenticated);
+      device.on('reconnectFailed', onReconnectFailed);
+      if (failOnDisconnect) {
+        device.on('disconnect', onDisconnect);
+        device.on('error', onError);
+      }
+    });
+  }
+}
@@ -64,13 +64,13 @@ export type ReceivedFrames = ErrorFrame | PongFrame | ServerHelloFrame | Encrypt
 export type SentEcryptedFrameContent = RemootioAction;
 export type ReceivedEncryptedFrameContent = RemootioActionResponse | EventTypes | ChallengeFrame;
 
-type ActionTypesWithDurationParam = 'TRIGGER' | 'TRIGGER_SECONDARY' | 'OPEN' | 'CLOSE';
-type SimpleActionTypes = 'QUERY' | 'RESTART';
+export type ActionTypesWithDurationParam = 'TRIGGER' | 'TRIGGER_SECONDARY' | 'OPEN' | 'CLOSE';
+export type SimpleActionTypes = 'QUERY' | 'RESTART';
 
-type ActionTypes = ActionTypesWithDurationParam | SimpleActionTypes;
-type SensorStates = 'closed' | 'open' | 'no sensor';
-type KeyTypes = 'master key' | 'unique key' | 'guest key' | 'api key' | 'smart home' | 'automation';
-type ConnectionTypes = 'bluetooth' | 'wifi' | 'internet' | 'autoopen' | 'unknown' | 'none';
+export type ActionTypes = ActionTypesWithDurationParam | SimpleActionTypes;
+export type SensorStates = 'closed' | 'open' | 'no sensor';
+export type KeyTypes = 'master key' | 'unique key' | 'guest key' | 'api key' | 'smart home' | 'automation';
+export type ConnectionTypes = 'bluetooth' | 'wifi' | 'internet' | 'autoopen' | 'unknown' | 'none';
 export interface RemootioAction {
   action:
     | {
@@ -93,6 +93,7 @@ export interface RemootioActionResponse {
     relayTriggered: boolean;
     errorCode: string;
   };
+  time?: Date; //wall-clock time of the response calculated from t100ms (set by the promise based action methods of the RemootioDevice class)
 }
 
 export type EventTypes =
@@ -156,3 +157,5 @@ export type EventTypes =
         };
       };
     };
+
+export type EventTypeNames = EventTypes['event']['type'];
@@ -1,13 +1,37 @@
-import WebSocket = require('ws');
 import { EventEmitter } from 'events';
 import * as apicrypto from './apicrypto';
 import {
+  ActionExpiredError,
+  ActionFailedError,
+  ActionTimeoutError,
+  ConnectionClosedError,
+  DecryptionError,
+  DeviceErrorFrame,
+  InvalidFrameError,
+  NotAuthenticatedError,
+  NotConnectedError,
+  PingTimeoutError,
+  StateNotReachedError,
+  UnsupportedActionError,
+  WaitTimeoutError
+} from './errors';
+import { emittedEventNames, normalizeEvent, RemootioEvent, RemootioEventOfType } from './events';
+import {
+  ActionTypes,
+  EventTypeNames,
   ReceivedEncryptedFrameContent,
   ReceivedFrames,
   RemootioAction,
+  RemootioActionResponse,
+  SensorStates,
   SentEcryptedFrameContent,
   SentFrames
 } from './frames';
+import { createWebSocket, RemootioSocket, RemootioSocketFactory, SocketReadyState } from './transport';
+import { validateDeviceOptions } from './validation';
+import { LatencyRecorder, RemootioMetrics } from './metrics';
+import { EventStreamOptions, RemootioEventStream } from './stream';
+import { LogLevel, redactSecrets, RedactingLogger } from './logging';
 
 /**
  * RemootioDevice class implements an API client for a signle device. You should create one instance per Remootio device you have.
@@ -20,15 +44,27 @@ import {
  * @param {string} ApiSecretKey - the API Secret Key of the Remootio device (this info is available in the Remootio app)
  * @param {string} ApiAuthKey - the API Auth Key of the Remootio device (this info is available in the Remootio app)
  * @param {string} [sendPingMessageEveryXMs=60000] - the API client sends a ping frame to the Remootio device every sendPingMessageEveryXMs milliseconds to keep the connection alive. Remootio closes the connection if no message is received for 120 seconds. If no message is received from Remootio within (sendPingMessageEveryXMs/2) milliseconds after PING frame is sent the API client considers the connection to be broken and closes it. It's not recommended to set sendPingMessageEveryXMs below 10000 (10 seconds).
+ * The constructor can also take an options object: {host, port, apiSecretKey, apiAuthKey, url, createSocket, autoReconnect, pingIntervalMs, pingTimeoutMs, actionTimeoutMs, actionExpireAfterMs, logger, logLevel, traceFrames, helloOnConnect, resyncOnMissedEvents}
+ * The options are validated, an InvalidConfigError is thrown if e.g. the API keys are not 64 character hexstrings (see validation.ts, and config.ts to load the options from environment variables or config files)
  *
  * *** Properties ***
  * @property isConnected - shows if the API client is connected to the Remootio device's websocket API or not
  * @property isAuthenticated - shows if the API client is connected to the Remootio device's websocket API or not
+ * @property doorState - the state of the gate or garage door: 'open', 'closed', 'no sensor' (as reported by the sensor), 'opening' or 'closing' (inferred after the output is triggered until the sensor reports the new state) or 'unknown' (before the first response or event)
+ * @property deviceInfo - the info sent by the device in its SERVER_HELLO frame {apiVersion, serialNumber, remootioVersion} (undefined until a HELLO frame is answered,
+ * serialNumber and remootioVersion are only sent by API version 2 or above)
+ * @property deviceBootTime - the wall-clock time the device was started, estimated from the uptime (t100ms) in the responses and events (undefined until the first one arrives)
+ * @property pendingActionCount - the number of actions waiting in the queue or for their response
+ * @property deviceEventNames - (static) the names of the events emitted by the RemootioDevice class, e.g. to re-emit all of them
  * @property theLastActionId - gets the id of the last action sent to the Remootio API (lastActionId), any new action sent should contain the incremented value of the the last action id modulo 0x7FFFFFFF. Incrementing this value is handled automatically by the RamootioDevice class. The only time you need this property if you want to send an arbitrary ENCRYPED frame using sendEncryptedFrame()
  *
  * *** Methods ****
  * @method connect(autoReconnect) - connect the API client to the Remootio device (via websocket)
- * @param {boolean} autoReconnect - the API client will try to reconnect to the Remootio device when the connection is lost
+ * @param {boolean|Object} autoReconnect - the API client will try to reconnect to the Remootio device when the connection is lost
+ * (it can also be a reconnect policy object {initialDelayMs, multiplier, maxDelayMs, jitter, maxAttempts} - the delay between the attempts grows exponentially)
+ * It can also be called with an options object {autoReconnect, port, url, createSocket} to change the url of the websocket API or the socket used (see transport.ts)
+ *
+ * @method cancelReconnect() - cancel the pending reconnect attempt (the queued actions are rejected)
  *
  * @method disconnect() - disconnect the API client from the Remootio device
  *
@@ -58,10 +94,54 @@ import {
  *
  * @method sendRestart() - send a RESTART action //needs authentication
  *
+ * @method query(options), trigger(options), triggerSecondary(options), open(options), close(options), restart(options) - send the action and return a promise
+ * that resolves with the response of the Remootio device to it (matched by the action id). The promise is rejected if the response has success: false,
+ * if no response arrives within options.timeoutMs (defaults to 10000 ms) or if the connection is lost. The options.durationMins parameter of trigger(),
+ * triggerSecondary(), open() and close() holds the output active for durationMins minutes (just like the hold*OutputActive() methods) //needs authentication
+ *
+ * The actions sent by the send*, hold* and promise based methods are put into a queue. The queue keeps them until the session is authenticated (so you can call e.g. open()
+ * while the client is still connecting, authenticating or reconnecting), and sends them one by one: the next action is only sent after the response to the previous one
+ * arrived (or timed out), so every action gets its own sequential id. The options of the promise based methods can also contain:
+ * - expireAfterMs: the action is dropped with an ActionExpiredError if it couldn't be sent in this time (defaults to 30000 ms)
+ * - replayOnReconnect: if the connection is lost while waiting for the response, the action is sent again after reconnecting instead of being rejected (defaults to false)
+ * The queued actions are kept while the client is reconnecting. They are rejected if the connection is lost without autoReconnect, the client gives up reconnecting, or cancelReconnect() or disconnect() is called.
+ *
+ * The send* and hold* methods above throw a NotConnectedError if the client is not connected (nor connecting or waiting to reconnect), and emit ActionTimeoutError and ActionExpiredError errors.
+ * Once the device answered a HELLO frame (see sendHello() and the helloOnConnect option) the actions it doesn't support are refused with an UnsupportedActionError:
+ * TRIGGER_SECONDARY needs API version 2 and a Remootio 2 device, and holding an output active (durationMins) needs API version 2. The send* and hold* methods throw it.
+ * The promise based methods are rejected with a NotConnectedError, UnsupportedActionError, ActionFailedError, ActionTimeoutError, ActionExpiredError, ConnectionClosedError
+ * or DeviceErrorFrame if the device answered the action with an ERROR frame (see errors.ts)
+ *
+ * @method ensureOpen(options), ensureClosed(options) - make sure the gate is open/closed: query the state reported by the sensor, skip the action if the gate is already
+ * in the target state, otherwise send the OPEN/CLOSE action and wait for the sensor to report the target state within options.travelTimeMs (defaults to 60000 ms).
+ * The promise resolves with {state, actionSent, verified, actionResponse}, and it's rejected with a StateNotReachedError if the gate didn't reach the target state in time
+ * (e.g. it is blocked or the sensor is flipped). Without a gate status sensor the state can't be verified, so it's rejected with a StateNotReachedError too,
+ * unless options.triggerIfNoSensor is true: then a TRIGGER action is sent and the promise resolves with verified: false //needs authentication
+ *
+ * @method subscribe(listeners) - adds the listeners of the events by event name e.g. { stateChanged: (previous, current, cause) => ..., leftOpen: (event) => ... },
+ * returns a function that removes them (the bridges, the automation rules and the audit trail listen to the device this way)
+ *
+ * @method events(options) - returns an async iterable of the normalized events, e.g. for await (const event of device.events({ types: ['StateChange', 'LeftOpen'] })) { ... }
+ * options: {types, signal, bufferSize}, the stream is filtered by types, it ends when the signal is aborted, disconnect() is called or the connection is lost without autoReconnect.
+ * The events are buffered until they are read, the oldest ones are dropped if more than bufferSize events (defaults to 1000) are waiting (see stream.ts)
+ *
+ * @method waitFor(predicate, timeoutMs) - resolves with the first normalized event the predicate returns true for, e.g. device.waitFor((event) => event.type == 'StateChange' && event.state == 'open', 30000)
+ * It's rejected with a WaitTimeoutError if no matching event arrives in timeoutMs ms, and with a ConnectionClosedError if the event stream ends first
+ *
+ * @method getMetrics() - returns a snapshot of the connection health metrics: PING->PONG round-trip latency, action request->response latency, the number of connections,
+ * reconnect attempts, PING timeouts, action timeouts, decryption failures and ERROR frames, and the time since the last frame was received
+ * (formatPrometheusMetrics() in metrics.ts formats them for Prometheus)
+ *
+ * @method uptimeToDate(t100ms) - converts the uptime of the device (the t100ms field of the responses and events) to wall-clock time using deviceBootTime
+ * The normalized events have a time field (and the LeftOpen events an openSince field), and the promise based methods resolve with a response with a time field calculated this way
+ *
  * @method sendFrame(frame) - send a normal frame the sendPing and sendHello and authenticate functions above use this
  *
  * @method sendEncryptedFrame(unencryptedPayload) - send an encrypted frame the sendQuery, sendTrigger, sendOpen, sendClose, sendRestart functions use this
  *
+ * @method setFrameTracing(enabled) - turns the wire trace on or off (see the traceFrames option): every frame sent and received is logged with the decrypted payloads,
+ * the API keys, the session key, the IVs and the MACs are redacted
+ *
  * *** Events ***
  * The class emits the following events:
  * @event connecting - when it tries to connect
@@ -70,9 +150,42 @@ import {
  *
  * @event authenticated - when the authentication flow is finished (the client receives a response to his first QUERY action after the AUTH message)
  *
+ * @event hello - when a SERVER_HELLO frame is received with the deviceInfo {apiVersion, serialNumber, remootioVersion} as a parameter
+ *
  * @event disconnect - when the connection is lost
  *
- * @event error - if there is any error
+ * @event stateChanged - when the doorState property changes with the following three parameters
+ * @param {string} previousState - the previous door state
+ * @param {string} currentState - the current door state
+ * @param {string} cause - the type of the response (e.g. 'TRIGGER') or event (e.g. 'StateChange') that changed the door state
+ *
+ * @event event - the event is emitted whenever an event is received from the Remootio device with the normalized event (the fields of event.data are merged into the event) as a parameter
+ * e.g. {type: 'LeftOpen', cnt: 12, state: 'open', t100ms: 53012, timeOpen100ms: 3000}
+ *
+ * @event sensorStateChange, restart, manualButtonPushed, manualButtonEnabled, manualButtonDisabled, doorbell, doorbellEnabled, doorbellDisabled,
+ * sensorEnabled, sensorFlipped, sensorDisabled, relayTrigger, secondaryRelayTrigger, keyConnected, leftOpen, keyManagement - emitted for the events
+ * of the corresponding type (StateChange, Restart, ManualButtonPushed, ..., DoorbellPushed, ..., Connected, LeftOpen, KeyManagement) with the normalized event as a parameter
+ *
+ * @event reconnecting - when a reconnect attempt is scheduled with the following two parameters
+ * @param {number} attempt - the number of the reconnect attempt (starting from 1)
+ * @param {number} delayMs - the attempt is made after delayMs milliseconds
+ *
+ * @event reconnectFailed - when the client gives up reconnecting after maxAttempts failed attempts with the number of attempts as a parameter
+ *
+ * @event eventsMissed - when the counter (cnt) of an event received jumped, so some events were missed (e.g. while the connection was down), with the following three parameters
+ * @param {number} missedEventCount - the number of the events missed
+ * @param {number} previousCnt - the counter of the last event received before
+ * @param {number} currentCnt - the counter of the event received now
+ * The counter is tracked across reconnects. The event is emitted before the event that revealed the gap, and a QUERY action is sent afterwards
+ * to get the current gate status (unless the resyncOnMissedEvents option is false). After a reconnect the QUERY of the authentication flow updates the gate status.
+ *
+ * @event deviceRestarted - when the device was restarted (its uptime went backwards or a Restart event arrived) with the following two parameters
+ * @param {Date} bootTime - the time the device was started
+ * @param {string} detectedBy - 'uptime' or 'event'
+ * The uptime is tracked across reconnects, so the event is emitted when the client reconnects to a restarted device too
+ *
+ * @event error - if there is any error, with an Error object as a parameter. The errors extend the RemootioError class and have a machine-readable code property
+ * (e.g. DecryptionError, PingTimeoutError, DeviceErrorFrame for the ERROR frames sent by the device - see errors.ts)
  *
  * @event outgoingmessage - the event is emitted whenever a message is sent to the API with the following two parameters
  * @param {Object} frame - contains the javascript object of the JSON frame
@@ -88,31 +201,240 @@ interface RemootioDeviceEvents {
   connecting: () => void;
   connected: () => void;
   authenticated: () => void;
+  hello: (deviceInfo: RemootioDevice.DeviceInfo) => void;
   disconnect: () => void;
-  error: (errorMessage: string) => void;
+  stateChanged: (
+    previousState: RemootioDevice.DoorState,
+    currentState: RemootioDevice.DoorState,
+    cause: RemootioDevice.DoorStateChangeCause
+  ) => void;
+  event: (event: RemootioEvent) => void;
+  sensorStateChange: (event: RemootioEventOfType<'StateChange'>) => void;
+  restart: (event: RemootioEventOfType<'Restart'>) => void;
+  manualButtonPushed: (event: RemootioEventOfType<'ManualButtonPushed'>) => void;
+  manualButtonEnabled: (event: RemootioEventOfType<'ManualButtonEnabled'>) => void;
+  manualButtonDisabled: (event: RemootioEventOfType<'ManualButtonDisabled'>) => void;
+  doorbell: (event: RemootioEventOfType<'DoorbellPushed'>) => void;
+  doorbellEnabled: (event: RemootioEventOfType<'DoorbellEnabled'>) => void;
+  doorbellDisabled: (event: RemootioEventOfType<'DoorbellDisabled'>) => void;
+  sensorEnabled: (event: RemootioEventOfType<'SensorEnabled'>) => void;
+  sensorFlipped: (event: RemootioEventOfType<'SensorFlipped'>) => void;
+  sensorDisabled: (event: RemootioEventOfType<'SensorDisabled'>) => void;
+  relayTrigger: (event: RemootioEventOfType<'RelayTrigger'>) => void;
+  secondaryRelayTrigger: (event: RemootioEventOfType<'SecondaryRelayTrigger'>) => void;
+  keyConnected: (event: RemootioEventOfType<'Connected'>) => void;
+  leftOpen: (event: RemootioEventOfType<'LeftOpen'>) => void;
+  keyManagement: (event: RemootioEventOfType<'KeyManagement'>) => void;
+  reconnecting: (attempt: number, delayMs: number) => void;
+  reconnectFailed: (attempts: number) => void;
+  eventsMissed: (missedEventCount: number, previousCnt: number, currentCnt: number) => void;
+  deviceRestarted: (bootTime: Date, detectedBy: 'uptime' | 'event') => void;
+  error: (error: Error) => void;
   outgoingmessage: (frame?: SentFrames, unencryptedPayload?: SentEcryptedFrameContent) => void;
   incomingmessage: (frame: ReceivedFrames, decryptedPayload?: ReceivedEncryptedFrameContent) => void;
 }
 
+//Every event of RemootioDeviceEvents (a missing or unknown event name is a type error), so the classes re-emitting the events don't miss the new ones
+const deviceEventNameMap: Record<keyof RemootioDeviceEvents, true> = {
+  connecting: true,
+  connected: true,
+  authenticated: true,
+  hello: true,
+  disconnect: true,
+  stateChanged: true,
+  event: true,
+  sensorStateChange: true,
+  restart: true,
+  manualButtonPushed: true,
+  manualButtonEnabled: true,
+  manualButtonDisabled: true,
+  doorbell: true,
+  doorbellEnabled: true,
+  doorbellDisabled: true,
+  sensorEnabled: true,
+  sensorFlipped: true,
+  sensorDisabled: true,
+  relayTrigger: true,
+  secondaryRelayTrigger: true,
+  keyConnected: true,
+  leftOpen: true,
+  keyManagement: true,
+  reconnecting: true,
+  reconnectFailed: true,
+  eventsMissed: true,
+  deviceRestarted: true,
+  error: true,
+  outgoingmessage: true,
+  incomingmessage: true
+};
+
+interface QueuedAction {
+  type: ActionTypes;
+  durationMins?: number;
+  options: RemootioDevice.ActionOptions;
+  resolve: (actionResponse: RemootioActionResponse) => void;
+  reject: (error: Error) => void;
+  id?: number; //assigned when the action is sent
+  timeoutHandle?: ReturnType<typeof setTimeout>; //expires the action while it's queued, times out the response once it's sent
+  sentAtMs?: number; //the time the action was sent, used to measure the latency of the response
+}
+
+declare namespace RemootioDevice {
+  //The events emitted by the RemootioDevice class and the parameters of their listeners
+  type Events = RemootioDeviceEvents;
+
+  //The listeners of some events of the device by event name (see subscribe())
+  type EventListeners = { [E in keyof RemootioDeviceEvents]?: RemootioDeviceEvents[E] };
+
+  interface ActionOptions {
+    timeoutMs?: number; //How long to wait for the response of the device in ms
+    expireAfterMs?: number; //How long the action can wait in the queue before it's sent in ms (defaults to 30000)
+    replayOnReconnect?: boolean; //Send the action again after reconnecting if the connection is lost before its response arrives (defaults to false)
+  }
+
+  interface DurationActionOptions extends ActionOptions {
+    durationMins?: number; //Hold the output active for durationMins minutes
+  }
+
+  interface EnsureStateOptions extends ActionOptions {
+    travelTimeMs?: number; //How long to wait for the sensor to report the target state after the action was sent in ms (defaults to 60000)
+    triggerIfNoSensor?: boolean; //Send a TRIGGER action if there is no gate status sensor, it toggles the gate without verifying the outcome (defaults to false)
+  }
+
+  interface EnsureStateResult {
+    state: SensorStates; //The state reported by the sensor at the end of the operation
+    actionSent: boolean; //false if the gate was already in the target state
+    verified: boolean; //true if the sensor reported the target state, false if there is no sensor
+    actionResponse: RemootioActionResponse; //The response to the action sent (or to the QUERY action if no action was needed)
+  }
+
+  //The gate status reported by the sensor, or the inferred opening/closing state after the output was triggered
+  type DoorState = SensorStates | 'opening' | 'closing' | 'unknown';
+
+  //The type of the response or event that changed the door state
+  type DoorStateChangeCause = ActionTypes | EventTypeNames;
+
+  interface ConnectOptions {
+    autoReconnect?: boolean | ReconnectOptions; //Reconnect automatically if the connection is lost (defaults to false)
+    port?: number; //The port the device is listening to (defaults to 8080)
+    url?: string; //The url of the websocket API (defaults to ws://DeviceIp:port/) e.g. wss://proxy.example.com/remootio
+    createSocket?: RemootioSocketFactory; //Creates the socket for the url (defaults to a WebSocket of the ws package)
+  }
+
+  //The info sent by the device in the SERVER_HELLO frame, the serialNumber and remootioVersion fields are only sent by API version 2 or above
+  interface DeviceInfo {
+    apiVersion: number;
+    serialNumber?: string;
+    remootioVersion?: 'remootio-1' | 'remootio-2';
+  }
+
+  //The minimal socket interface used to talk to the device (see transport.ts)
+  type Socket = RemootioSocket;
+
+  interface Options {
+    host?: string; //The IP address or host name of the device (required unless url is set)
+    port?: number; //The port the device is listening to (defaults to 8080)
+    apiSecretKey: string; //The API Secret Key of the device, a 64 character hexstring
+    apiAuthKey: string; //The API Auth Key of the device, a 64 character hexstring
+    url?: string; //The url of the websocket API (defaults to ws://host:port/)
+    createSocket?: RemootioSocketFactory; //Creates the socket for the url (defaults to a WebSocket of the ws package)
+    autoReconnect?: boolean | ReconnectOptions; //Reconnect automatically if the connection is lost (defaults to false)
+    pingIntervalMs?: number; //Send a PING frame this often to keep the connection alive (defaults to 60000)
+    pingTimeoutMs?: number; //The connection is considered to be broken if no message arrives in this time after a PING frame (defaults to pingIntervalMs/2)
+    actionTimeoutMs?: number; //The default timeout of the promise based action methods (defaults to 10000)
+    actionExpireAfterMs?: number; //The default expiry of the queued actions (defaults to 30000)
+    helloOnConnect?: boolean; //Send a HELLO frame before the connected event is emitted to learn the API version of the device (defaults to false)
+    resyncOnMissedEvents?: boolean; //Send a QUERY action when the event counter shows that some events were missed (defaults to true)
+    logger?: Logger; //Logs the connection lifecycle (nothing is logged by default), the secrets are redacted from the messages
+    logLevel?: LogLevel; //The messages below this level are not passed to the logger: debug, info, warn, error or silent (defaults to debug)
+    traceFrames?: boolean; //Log every frame sent and received at the debug level, with the decrypted payloads (defaults to false)
+  }
+
+  //The logger used by the client, console, pino and winston loggers can be used
+  interface Logger {
+    debug(message: string, ...args: unknown[]): void;
+    info(message: string, ...args: unknown[]): void;
+    warn(message: string, ...args: unknown[]): void;
+    error(message: string, ...args: unknown[]): void;
+  }
+
+  interface ReconnectOptions {
+    initialDelayMs?: number; //The delay before the first reconnect attempt in ms (defaults to 1000)
+    multiplier?: number; //The delay is multiplied by this value after every failed attempt (defaults to 2)
+    maxDelayMs?: number; //The maximum delay between reconnect attempts in ms (defaults to 60000)
+    jitter?: number; //The delay is randomized by +/- jitter*delay (defaults to 0.2)
+    maxAttempts?: number; //The client gives up after this many consecutive failed attempts (defaults to Infinity)
+  }
+}
+
+//A restart is only reported once, the boot times estimated for the same restart differ by the network delay
+const restartDetectionToleranceMs = 5000;
+
+const defaultReconnectOptions: Required<RemootioDevice.ReconnectOptions> = {
+  initialDelayMs: 1000,
+  multiplier: 2,
+  maxDelayMs: 60000,
+  jitter: 0.2,
+  maxAttempts: Infinity
+};
+
+//The options object of connect() is told apart from the reconnect policy by its fields
+function isConnectOptions(
+  options: RemootioDevice.ReconnectOptions | RemootioDevice.ConnectOptions
+): options is RemootioDevice.ConnectOptions {
+  return ['autoReconnect', 'port', 'url', 'createSocket'].some((key) => key in options);
+}
+
 declare interface RemootioDevice {
   on<E extends keyof RemootioDeviceEvents>(event: E, listener: RemootioDeviceEvents[E]): this;
   emit<E extends keyof RemootioDeviceEvents>(event: E, ...args: Parameters<RemootioDeviceEvents[E]>): boolean;
 }
 
 class RemootioDevice extends EventEmitter {
+  //The names of the events emitted by the RemootioDevice class
+  static readonly deviceEventNames = Object.keys(deviceEventNameMap) as (keyof RemootioDeviceEvents)[];
+
   private apiSecretKey: string;
   private apiAuthKey: string;
   private deviceIp: string;
-  private websocketClient?: WebSocket;
+  private websocketClient?: RemootioSocket;
+  private createSocket: RemootioSocketFactory;
+  private url?: string;
+  private logger?: RedactingLogger;
+  private traceFrames: boolean;
   private apiSessionKey?: string;
   private lastActionId?: number;
   private autoReconnect: boolean;
-  private port: number; 
+  private reconnectOptions: Required<RemootioDevice.ReconnectOptions>;
+  private reconnectAttempt: number;
+  private reconnectTimeoutHandle?: ReturnType<typeof setTimeout>;
+  private port: number;
   private sendPingMessageEveryXMs: number;
   private sendPingMessageIntervalHandle?: ReturnType<typeof setInterval>;
   private pingReplyTimeoutXMs: number;
   private pingReplyTimeoutHandle?: ReturnType<typeof setTimeout>;
   private waitingForAuthenticationQueryActionResponse?: boolean;
+  private actionResponseTimeoutXMs: number;
+  private actionExpireAfterXMs: number;
+  private actionQueue: QueuedAction[];
+  private inFlightAction?: QueuedAction;
+  private currentDoorState: RemootioDevice.DoorState;
+  private helloOnConnect: boolean;
+  private resyncOnMissedEvents: boolean;
+  private lastEventCnt?: number;
+  private deviceBootTimeMs?: number;
+  private lastT100ms?: number;
+  private reportedRestartBootTimeMs?: number;
+  private serverHello?: RemootioDevice.DeviceInfo;
+  private pingSentAtMs?: number;
+  private lastMessageTimeMs?: number;
+  private pingRoundTrip: LatencyRecorder;
+  private actionLatency: LatencyRecorder;
+  private eventStreams: Set<RemootioEventStream<any>>;
+  private metricCounters: Pick<
+    RemootioMetrics,
+    'connects' | 'reconnectAttempts' | 'pingTimeouts' | 'actionTimeouts' | 'decryptionFailures' | 'errorFrames'
+  >;
 
   /**
    * Constructor to create a RemootioDevice instance. You should create one instance per Remootio device you have.
@@ -120,91 +442,256 @@ class RemootioDevice extends EventEmitter {
    * @param {string} ApiSecretKey - API Secret Key of the device (as seen in the Remootio app). It is a hexstring representing a 256 bit long value e.g. "12b3f03211c384736b8a1906635f4abc90074e680138a689caf03485a971efb3"
    * @param {string} ApiAuthKey - API Auth Key of the device (as seen in the Remootio app). It is a hexstring representing a 256 bit long value e.g. "74ca13b56b3c898670a67e8f36f8b8a61340738c82617ba1398ae7ca62f1670a"
    * @param {number} [sendPingMessageEveryXMs=60000] - the API client sends a ping frame to the Remootio device every sendPingMessageEveryXMs milliseconds to keep the connection alive. Remootio closes the connection if no message is received for 120 seconds. If no message is received from Remootio within (sendPingMessageEveryXMs/2) milliseconds after PING frame is sent the API client considers the connection to be broken and closes it. It's not recommended to set sendPingMessageEveryXMs below 10000 (10 seconds).
+   *
+   * It can also be called with an options object: {host, port, apiSecretKey, apiAuthKey, url, createSocket, autoReconnect, pingIntervalMs, pingTimeoutMs, actionTimeoutMs, actionExpireAfterMs, logger, logLevel, traceFrames, helloOnConnect, resyncOnMissedEvents}
+   * port, url, createSocket and autoReconnect are the defaults of connect(), pingIntervalMs and pingTimeoutMs replace sendPingMessageEveryXMs and sendPingMessageEveryXMs/2,
+   * actionTimeoutMs and actionExpireAfterMs are the defaults of the timeoutMs and expireAfterMs options of the actions, logger receives the log messages of the connection lifecycle
+   * at or above logLevel with the secrets redacted (see logging.ts), if traceFrames is true every frame sent and received is logged at the debug level too,
+   * if helloOnConnect is true a HELLO frame is sent upon connecting (before the connected event), so the unsupported actions are rejected once the SERVER_HELLO reply arrives,
+   * if resyncOnMissedEvents is true (the default) a QUERY action is sent when the event counter shows that some events were missed
+   * @throws {InvalidConfigError} - if an option is missing or invalid (e.g. the API keys are not 64 character hexstrings)
    */
-  constructor(DeviceIp: string, ApiSecretKey: string, ApiAuthKey: string, sendPingMessageEveryXMs?: number) {
+  constructor(options: RemootioDevice.Options);
+  constructor(DeviceIp: string, ApiSecretKey: string, ApiAuthKey: string, sendPingMessageEveryXMs?: number);
+  constructor(
+    optionsOrDeviceIp: RemootioDevice.Options | string,
+    ApiSecretKey?: string,
+    ApiAuthKey?: string,
+    sendPingMessageEveryXMs?: number
+  ) {
     super();
-    //Input check
-    let hexstringRe = /[0-9A-Fa-f]{64}/g;
-    if (!hexstringRe.test(ApiSecretKey)) {
-      console.error('ApiSecretKey must be a hexstring representing a 256bit long byteArray');
-    }
-    hexstringRe = /[0-9A-Fa-f]{64}/g;
-    if (!hexstringRe.test(ApiAuthKey)) {
-      console.error('ApiAuthKey must be a hexstring representing a 256bit long byteArray');
-    }
+    //Input check - throws an InvalidConfigError if the keys or the other options are not valid
+    const options: RemootioDevice.Options =
+      typeof optionsOrDeviceIp == 'string'
+        ? {
+            host: optionsOrDeviceIp,
+            apiSecretKey: ApiSecretKey as string,
+            apiAuthKey: ApiAuthKey as string,
+            pingIntervalMs: sendPingMessageEveryXMs || undefined
+          }
+        : optionsOrDeviceIp;
+    validateDeviceOptions(options);
     //Set config
-    this.apiSecretKey = ApiSecretKey;
-    this.apiAuthKey = ApiAuthKey;
-    this.deviceIp = DeviceIp;
+    this.apiSecretKey = options.apiSecretKey;
+    this.apiAuthKey = options.apiAuthKey;
+    this.deviceIp = options.host ?? '';
     this.websocketClient = undefined;
+    this.createSocket = options.createSocket ?? createWebSocket; //creates the socket used to connect to the device, can be replaced using the options of connect()
+    this.url = options.url; //the url of the websocket API of the device, defaults to ws://DeviceIp:port/
+    this.logger =
+      options.logger != undefined
+        ? new RedactingLogger(options.logger, {
+            level: options.logLevel,
+            secrets: () => [this.apiSecretKey, this.apiAuthKey, this.apiSessionKey]
+          })
+        : undefined; //the secrets are redacted from the messages passed to options.logger
+    this.traceFrames = options.traceFrames ?? false; //log every frame sent and received (wire trace)
     //Session related data - will be filled out by the code
     this.apiSessionKey = undefined; //base64 encoded
     this.lastActionId = undefined;
 
-    this.autoReconnect = false; //Reconnect automatically if connection is lost
-    this.port = 8080;
+    this.autoReconnect = options.autoReconnect != undefined && options.autoReconnect !== false; //Reconnect automatically if connection is lost
+    this.reconnectOptions = {
+      ...defaultReconnectOptions,
+      ...(typeof options.autoReconnect == 'object' ? options.autoReconnect : {})
+    }; //The reconnect policy used if autoReconnect is enabled
+    this.reconnectAttempt = 0; //The number of consecutive reconnect attempts since the connection was lost
+    this.reconnectTimeoutHandle = undefined; //The next reconnect attempt is scheduled using a timeout
+    this.port = options.port ?? 8080;
 
-    if (sendPingMessageEveryXMs) {
-      this.sendPingMessageEveryXMs = sendPingMessageEveryXMs; //in ms , send a ping message every PingMessagePeriodicity time, a PONG reply is expected
-    } else {
-      this.sendPingMessageEveryXMs = 60000;
-    }
+    this.sendPingMessageEveryXMs = options.pingIntervalMs ?? 60000; //in ms , send a ping message every PingMessagePeriodicity time, a PONG reply is expected
 
     this.sendPingMessageIntervalHandle = undefined; //we fire up a setInterval upon connection to the device to send ping messages every x seconds
-    this.pingReplyTimeoutXMs = this.sendPingMessageEveryXMs / 2; //in ms, if a PONG frame (or any other frame) doesn't arrive pingReplyTimeoutXMs milliseconds after we send a PING frame, we assume the connection is broken
+    this.pingReplyTimeoutXMs = options.pingTimeoutMs ?? this.sendPingMessageEveryXMs / 2; //in ms, if a PONG frame (or any other frame) doesn't arrive pingReplyTimeoutXMs milliseconds after we send a PING frame, we assume the connection is broken
     this.pingReplyTimeoutHandle = undefined; //We check for pong response for all our ping messages, if they don't arrive we assume the connection is broken and close it
     this.waitingForAuthenticationQueryActionResponse = false; //needed to emit the 'authenticated' even on the successful response to the QUERY action sent in the authentication flow
+    this.actionResponseTimeoutXMs = options.actionTimeoutMs ?? 10000; //in ms, the promises returned by query(), trigger(), open() etc. are rejected if no response arrives in this time
+    this.actionExpireAfterXMs = options.actionExpireAfterMs ?? 30000; //in ms, the queued actions are dropped if they couldn't be sent in this time
+    this.actionQueue = []; //actions waiting to be sent, they are sent one by one once the session is authenticated
+    this.inFlightAction = undefined; //the action sent last, waiting for its response
+    this.currentDoorState = 'unknown'; //updated from the gate status in every response and event
+    this.helloOnConnect = options.helloOnConnect ?? false; //send a HELLO frame upon connecting to the device
+    this.resyncOnMissedEvents = options.resyncOnMissedEvents ?? true; //query the gate status if some events were missed
+    this.lastEventCnt = undefined; //the counter of the last event received, used to detect the missed events
+    this.deviceBootTimeMs = undefined; //the wall-clock time the device was started, estimated from the uptime (t100ms) in the responses and events
+    this.lastT100ms = undefined; //the last uptime received, if the uptime goes backwards the device was restarted
+    this.reportedRestartBootTimeMs = undefined; //the boot time of the last restart reported in the deviceRestarted event
+    this.serverHello = undefined; //the info in the last SERVER_HELLO frame, the unsupported actions are rejected once it's known
+    this.pingSentAtMs = undefined; //the time the last PING frame was sent, used to measure the round-trip latency when the PONG frame arrives
+    this.lastMessageTimeMs = undefined; //the time the last frame was received
+    this.pingRoundTrip = new LatencyRecorder(); //PING->PONG round-trip latencies
+    this.actionLatency = new LatencyRecorder(); //action request->response latencies
+    this.eventStreams = new Set(); //the streams returned by events(), every normalized event is pushed to them
+    this.metricCounters = {
+      connects: 0,
+      reconnectAttempts: 0,
+      pingTimeouts: 0,
+      actionTimeouts: 0,
+      decryptionFailures: 0,
+      errorFrames: 0
+    }; //the counters of getMetrics()
   }
 
   /**
    * Connect to the Remootio device's websocket API
-   * @param {boolean} autoReconnect - If autoReconnect is true, the API client will try to reconnect to the device everytime the connection is lost (recommended)
+   * @param {boolean|Object} autoReconnect - If autoReconnect is true, the API client will try to reconnect to the device everytime the connection is lost (recommended)
+   * It can also be an object to configure the reconnect policy: {initialDelayMs, multiplier, maxDelayMs, jitter, maxAttempts}
+   * The client waits initialDelayMs before the first reconnect attempt, and multiplies the delay by multiplier after every failed attempt (up to maxDelayMs).
+   * The delay is randomized by +/- jitter (a fraction of the delay), and the client gives up after maxAttempts consecutive failed attempts.
    * @param {number} port - The port that the device is listening to
+   *
+   * If it's called without parameters the options passed to the constructor are used.
+   * It can also be called with an options object: {autoReconnect, port, url, createSocket}
+   * url - the url of the websocket API, e.g. wss://proxy.example.com/remootio (defaults to ws://DeviceIp:port/)
+   * createSocket - a function creating the socket for the url, e.g. (url) => new WebSocket(url, { agent: agent, headers: headers }) (defaults to a WebSocket of the ws package)
    */
-  public connect(autoReconnect: boolean, port?: number): void {
-    if (autoReconnect == true) {
+  public connect(autoReconnect?: boolean | RemootioDevice.ReconnectOptions, port?: number): void;
+  public connect(options: RemootioDevice.ConnectOptions): void;
+  public connect(
+    autoReconnectOrOptions?: boolean | RemootioDevice.ReconnectOptions | RemootioDevice.ConnectOptions,
+    port?: number
+  ): void {
+    let autoReconnect: boolean | RemootioDevice.ReconnectOptions | undefined;
+    if (typeof autoReconnectOrOptions == 'object' && isConnectOptions(autoReconnectOrOptions)) {
+      autoReconnect = autoReconnectOrOptions.autoReconnect;
+      port = autoReconnectOrOptions.port;
+      this.url = autoReconnectOrOptions.url ?? this.url;
+      this.createSocket = autoReconnectOrOptions.createSocket ?? this.createSocket;
+    } else {
+      autoReconnect = autoReconnectOrOptions;
+    }
+    if (autoReconnect) {
       this.autoReconnect = true;
+      this.reconnectOptions = {
+        ...defaultReconnectOptions,
+        ...(typeof autoReconnect == 'object' ? autoReconnect : {})
+      };
     }
     if (port) {
       this.port = port;
     }
 
+    this.clearReconnectTimeout();
+    this.openConnection();
+  }
+
+  /**
+   * Cancels the pending reconnect attempt (if there is any). The client won't reconnect, so the queued actions are rejected and the event streams end.
+   * @returns {boolean} - true if a reconnect attempt was pending
+   */
+  cancelReconnect(): boolean {
+    if (!this.clearReconnectTimeout()) {
+      return false;
+    }
+    this.rejectQueuedActions(new NotConnectedError('The reconnect attempt was cancelled before the action was sent'));
+    this.endEventStreams();
+    return true;
+  }
+
+  private clearReconnectTimeout(): boolean {
+    this.reconnectAttempt = 0;
+    if (this.reconnectTimeoutHandle != undefined) {
+      clearTimeout(this.reconnectTimeoutHandle);
+      this.reconnectTimeoutHandle = undefined;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Schedules the next reconnect attempt according to the reconnect policy, or gives up after maxAttempts failed attempts
+   */
+  private scheduleReconnect(): void {
+    const options = this.reconnectOptions;
+    if (this.reconnectAttempt >= options.maxAttempts) {
+      const attempts = this.reconnectAttempt;
+      this.reconnectAttempt = 0;
+      this.rejectQueuedActions(new NotConnectedError('Failed to reconnect to the device'));
+      this.logger?.error('Failed to reconnect to ' + this.connectionUrl + ' after ' + attempts + ' attempts');
+      this.endEventStreams();
+      this.emit('reconnectFailed', attempts);
+      return;
+    }
+    this.reconnectAttempt++;
+
+    let delayMs = Math.min(
+      options.initialDelayMs * Math.pow(options.multiplier, this.reconnectAttempt - 1),
+      options.maxDelayMs
+    );
+    delayMs = delayMs + delayMs * options.jitter * (Math.random() * 2 - 1); //Randomize the delay so many clients don't reconnect at the same time
+    delayMs = Math.round(Math.max(0, Math.min(delayMs, options.maxDelayMs)));
+
+    this.logger?.info(
+      'Reconnecting to ' + this.connectionUrl + ' in ' + delayMs + ' ms (attempt ' + this.reconnectAttempt + ')'
+    );
+    this.metricCounters.reconnectAttempts++;
+    this.emit('reconnecting', this.reconnectAttempt, delayMs);
+    this.reconnectTimeoutHandle = setTimeout(() => {
+      this.reconnectTimeoutHandle = undefined;
+      this.openConnection();
+    }, delayMs);
+  }
+
+  //The url of the websocket API of the device
+  private get connectionUrl(): string {
+    return this.url ?? 'ws://' + this.deviceIp + ':' + this.port.toString() + '/';
+  }
+
+  /**
+   * Opens the websocket connection to the Remootio device, it's used by connect() and the reconnect attempts
+   */
+  private openConnection(): void {
     //Set session data to NULL
     this.apiSessionKey = undefined;
     this.lastActionId = undefined;
     this.waitingForAuthenticationQueryActionResponse = undefined;
 
     //We connect to the API
-    this.websocketClient = new WebSocket('ws://' + this.deviceIp + ':' + this.port.toString() + '/');
+    const websocketClient = this.createSocket(this.connectionUrl);
+    this.websocketClient = websocketClient;
+    this.logger?.debug('Connecting to ' + this.connectionUrl);
     this.emit('connecting');
 
-    this.websocketClient.on('open', () => {
+    websocketClient.onopen = () => {
+      this.reconnectAttempt = 0; //The connection is established, so the next reconnect attempt starts with the initial delay again
+      this.logger?.info('Connected to ' + this.connectionUrl);
+      this.metricCounters.connects++;
+      if (this.helloOnConnect) {
+        //The SERVER_HELLO reply tells which actions the device supports
+        this.sendHello();
+      }
       this.emit('connected');
 
       //We send a ping message every 60 seconds to keep the connection alive
       //If the Remootio API gets no message for 120 seconds, it closes the connection
       this.sendPingMessageIntervalHandle = setInterval(() => {
-        if (this.websocketClient?.readyState == WebSocket.OPEN) {
+        if (this.websocketClient?.readyState == SocketReadyState.OPEN) {
           //Create a timeout that is cleared once a PONG message is received - if it doesn't arrive, we assume the connection is broken
           this.pingReplyTimeoutHandle = setTimeout(() => {
-            this.emit(
-              'error',
-              'No response for PING message in ' + this.pingReplyTimeoutXMs + ' ms. Connection is broken.'
+            this.logger?.warn(
+              'No response for PING message in ' + this.pingReplyTimeoutXMs + ' ms, closing the connection'
             );
+            this.metricCounters.pingTimeouts++;
+            this.emit('error', new PingTimeoutError(this.pingReplyTimeoutXMs));
             if (this.websocketClient) {
-              this.websocketClient.terminate();
+              if (this.websocketClient.terminate != undefined) {
+                this.websocketClient.terminate();
+              } else {
+                this.websocketClient.close();
+              }
               this.pingReplyTimeoutHandle = undefined;
             }
           }, this.pingReplyTimeoutXMs);
           this.sendPing();
         }
       }, this.sendPingMessageEveryXMs);
-    });
+    };
 
-    this.websocketClient.on('message', (data: any) => {
+    websocketClient.onmessage = (event: { data: unknown }) => {
       try {
         //We process the messsage received from the API
-        const rcvMsgJson: ReceivedFrames = JSON.parse(data.toString()); //It must be JSON format
+        const rcvMsgJson: ReceivedFrames = JSON.parse(String(event.data)); //It must be JSON format
+        this.lastMessageTimeMs = Date.now();
 
         //If we get any reply after our PING message (not only PONG) we clear the pingReplyTimeout
         if (this.pingReplyTimeoutHandle != undefined) {
@@ -215,12 +702,14 @@ class RemootioDevice extends EventEmitter {
         //we process the incoming frames
         if (rcvMsgJson && rcvMsgJson.type == 'ENCRYPTED') {
           //if it's an encrypted frame we decrypt it and then this.emit the event
-          const decryptedPayload = apicrypto.remootioApiDecryptEncrypedFrame(
+          const decryptionResult = apicrypto.remootioApiTryDecryptEncryptedFrame(
             rcvMsgJson,
             this.apiSecretKey,
             this.apiAuthKey,
             this.apiSessionKey
           );
+          const decryptedPayload = decryptionResult.success ? decryptionResult.payload : undefined;
+          this.traceFrame('Received', rcvMsgJson, decryptedPayload);
           //we this.emit the encrypted frames with decrypted payload
           this.emit('incomingmessage', rcvMsgJson, decryptedPayload);
 
@@ -232,7 +721,7 @@ class RemootioDevice extends EventEmitter {
               this.lastActionId = decryptedPayload.challenge.initialActionId; //and the actionId (frame counter for actions)
 
               this.waitingForAuthenticationQueryActionResponse = true;
-              this.sendQuery();
+              this.sendAuthenticationQuery();
             }
 
             if ('response' in decryptedPayload && decryptedPayload.response.id != undefined) {
@@ -246,9 +735,25 @@ class RemootioDevice extends EventEmitter {
                   this.lastActionId = decryptedPayload.response.id; //We update the lastActionId
                 }
               } else {
-                console.warn('Unexpected error - lastActionId is undefined');
+                this.emit(
+                  'error',
+                  new NotAuthenticatedError('Unexpected error - received a response but lastActionId is undefined')
+                );
               }
 
+              //every response contains the uptime of the device
+              this.trackUptime(decryptedPayload.response.t100ms, false);
+
+              //every response contains the gate status reported by the sensor
+              this.updateDoorState(
+                decryptedPayload.response.state,
+                decryptedPayload.response.type,
+                decryptedPayload.response.relayTriggered
+              );
+
+              //if it's the response to the action in flight we settle its promise
+              this.settleInFlightAction(decryptedPayload);
+
               //if it's the response to our QUERY action sent during the authentication flow the 'authenticated' event should be emitted
               if (
                 decryptedPayload.response.type == 'QUERY' &&
@@ -257,45 +762,117 @@ class RemootioDevice extends EventEmitter {
                 this.waitingForAuthenticationQueryActionResponse = false;
                 this.emit('authenticated');
               }
+
+              //the next queued action can be sent (or the queued actions can be sent now that the session is authenticated)
+              this.processActionQueue();
             }
-          } else {
-            this.emit('error', 'Authentication or encryption error');
+
+            if ('event' in decryptedPayload) {
+              //every event contains the uptime of the device, a Restart event is sent after the device restarted
+              this.trackUptime(decryptedPayload.event.t100ms, decryptedPayload.event.type == 'Restart');
+
+              //every event contains the gate status reported by the sensor, RelayTrigger events are sent if someone else triggered the output
+              this.updateDoorState(
+                decryptedPayload.event.state,
+                decryptedPayload.event.type,
+                decryptedPayload.event.type == 'RelayTrigger'
+              );
+
+              //the event counter shows if some events were lost (e.g. while the connection was down)
+              const missedEventCount = this.trackEventCounter(decryptedPayload.event.cnt);
+
+              //we emit the normalized event, and the event dedicated to its type (e.g. 'leftOpen' for LeftOpen events)
+              const event = normalizeEvent(decryptedPayload, this.deviceBootTimeMs);
+              this.emit('event', event);
+              this.eventStreams.forEach((stream) => stream.push(event));
+              if (event.type in emittedEventNames) {
+                super.emit(emittedEventNames[event.type], event);
+              }
+
+              if (missedEventCount > 0 && this.resyncOnMissedEvents) {
+                //the missed events may have changed the gate status, so we query it again
+                this.sendAction('QUERY');
+              }
+            }
+          } else if (!decryptionResult.success) {
+            this.metricCounters.decryptionFailures++;
+            this.emit('error', new DecryptionError(decryptionResult.reason));
           }
         } else {
           //we this.emit the normal frames
+          this.traceFrame('Received', rcvMsgJson);
           this.emit('incomingmessage', rcvMsgJson, undefined);
+
+          if (rcvMsgJson && rcvMsgJson.type == 'SERVER_HELLO') {
+            //the SERVER_HELLO frame contains the API version (and the serial number and the version of newer devices)
+            this.serverHello = {
+              apiVersion: rcvMsgJson.apiVersion,
+              serialNumber: 'serialNumber' in rcvMsgJson ? rcvMsgJson.serialNumber : undefined,
+              remootioVersion: 'remootioVersion' in rcvMsgJson ? rcvMsgJson.remootioVersion : undefined
+            };
+            this.emit('hello', { ...this.serverHello });
+          }
+
+          if (rcvMsgJson && rcvMsgJson.type == 'PONG' && this.pingSentAtMs != undefined) {
+            //the PONG frame answers the last PING frame
+            this.pingRoundTrip.record(Date.now() - this.pingSentAtMs);
+            this.pingSentAtMs = undefined;
+          }
+
+          if (rcvMsgJson && rcvMsgJson.type == 'ERROR') {
+            //the ERROR frames sent by the device (e.g. 'authentication error') are emitted as errors too,
+            //and the action in flight is rejected with them as the device won't respond to it
+            this.metricCounters.errorFrames++;
+            const error = new DeviceErrorFrame(rcvMsgJson.errorMessage);
+            this.rejectInFlightAction(error);
+            this.emit('error', error);
+          }
         }
       } catch (e: any) {
-        this.emit('error', e);
+        this.emit('error', e instanceof Error ? e : new InvalidFrameError(String(e)));
       }
-    });
+    };
 
-    this.websocketClient.on('close', () => {
+    websocketClient.onclose = () => {
       //Clear the ping message interval if the connection is lost
       if (this.sendPingMessageIntervalHandle != undefined) {
         clearInterval(this.sendPingMessageIntervalHandle);
         this.sendPingMessageIntervalHandle = undefined;
       }
+      this.pingSentAtMs = undefined;
 
-      if (this.autoReconnect == true ) {
-        this.connect(this.autoReconnect, this.port);
+      //The response to the action sent on this connection will never arrive
+      this.requeueOrRejectInFlightAction();
+      if (this.autoReconnect != true) {
+        this.rejectQueuedActions(new ConnectionClosedError('The connection was closed before the action was sent'));
+        this.endEventStreams();
       }
 
+      this.logger?.info('Disconnected from ' + this.connectionUrl);
       this.emit('disconnect');
-    });
 
-    this.websocketClient.on('error', () => {
+      if (this.autoReconnect == true) {
+        this.scheduleReconnect();
+      }
+    };
+
+    websocketClient.onerror = () => {
       //Connection error
-    });
+    };
   }
 
   /**
    * Disconnect from the Remootio device's websocket API
    * it sents autoConnect to false, so even if you have enabled it in your connect method it will not reconnect automatically.
+   * It also cancels the pending reconnect attempt (if there is any).
    */
   disconnect(): void {
+    this.clearReconnectTimeout();
+    this.autoReconnect = false; //We disable autoreconnect if we disconnect due to user will
+    this.requeueOrRejectInFlightAction();
+    this.rejectQueuedActions(new ConnectionClosedError('The client was disconnected before the action was sent'));
+    this.endEventStreams();
     if (this.websocketClient != undefined) {
-      this.autoReconnect = false; //We disable autoreconnect if we disconnect due to user will
       this.websocketClient.close();
     }
   }
@@ -308,14 +885,43 @@ class RemootioDevice extends EventEmitter {
    * }
    */
   sendFrame(frameJson: SentFrames): void {
-    if (this.websocketClient != undefined && this.websocketClient.readyState == WebSocket.OPEN) {
+    if (this.websocketClient != undefined && this.websocketClient.readyState == SocketReadyState.OPEN) {
       this.websocketClient.send(JSON.stringify(frameJson));
+      this.traceFrame('Sent', frameJson);
       this.emit('outgoingmessage', frameJson, undefined);
     } else {
-      console.warn('The websocket client is not connected');
+      throw new NotConnectedError();
     }
   }
 
+  /**
+   * Turns the wire trace on or off: if it's on, every frame sent and received is logged at the debug level (with the decrypted payloads)
+   * The IVs, MACs and keys are redacted, but the decrypted payloads show the actions and events, so it's meant for debugging
+   * @param {boolean} enabled - see the traceFrames option
+   */
+  setFrameTracing(enabled: boolean): void {
+    this.traceFrames = enabled;
+  }
+
+  /**
+   * Logs a frame sent or received if the wire trace is on
+   */
+  private traceFrame(
+    direction: 'Sent' | 'Received',
+    frame: SentFrames | ReceivedFrames | undefined,
+    decryptedPayload?: SentEcryptedFrameContent | ReceivedEncryptedFrameContent
+  ): void {
+    if (!this.traceFrames || this.logger == undefined || !this.logger.isLevelEnabled('debug')) {
+      return;
+    }
+    this.logger.debug(
+      direction +
+        ' frame: ' +
+        JSON.stringify(redactSecrets(frame)) +
+        (decryptedPayload != undefined ? ' decrypted: ' + JSON.stringify(redactSecrets(decryptedPayload)) : '')
+    );
+  }
+
   /**
    * Sends an ENCRYPTED frame with an arbitrary payload to the Remootio device's websocket API
    * @param {Object} unencryptedPayload - Is a javascript object that will be encrypted and placed into the ENCRYPTED frame's frame.data.payload. An example for a QUERY action is:
@@ -327,7 +933,7 @@ class RemootioDevice extends EventEmitter {
    * } where lastActionId must be an increment modulo 0x7FFFFFFF of the last action id (you can get this using the lastActionId property of the RemootioDevice class)
    */
   sendEncryptedFrame(unencryptedPayload: RemootioAction): void {
-    if (this.websocketClient != undefined && this.websocketClient.readyState == WebSocket.OPEN) {
+    if (this.websocketClient != undefined && this.websocketClient.readyState == SocketReadyState.OPEN) {
       if (this.apiSessionKey != undefined) {
         //Upon connecting, send the AUTH frame immediately to authenticate the session
         const encryptedFrame = apicrypto.remootioApiConstructEncrypedFrame(
@@ -337,12 +943,13 @@ class RemootioDevice extends EventEmitter {
           this.apiSessionKey
         );
         this.websocketClient.send(JSON.stringify(encryptedFrame));
+        this.traceFrame('Sent', encryptedFrame, unencryptedPayload);
         this.emit('outgoingmessage', encryptedFrame, unencryptedPayload);
       } else {
-        console.warn('Authenticate session first to send this message');
+        throw new NotAuthenticatedError();
       }
     } else {
-      console.warn('The websocket client is not connected');
+      throw new NotConnectedError();
     }
   }
 
@@ -358,6 +965,7 @@ class RemootioDevice extends EventEmitter {
 
   /**
    * Sends a HELLO frame to the Remootio device API. The expected response is a SERVER_HELLO frame
+   * The SERVER_HELLO frame is emitted in the hello event and stored in the deviceInfo property, the actions the device doesn't support are refused afterwards
    */
   sendHello(): void {
     this.sendFrame({
@@ -372,6 +980,7 @@ class RemootioDevice extends EventEmitter {
     this.sendFrame({
       type: 'PING'
     });
+    this.pingSentAtMs = Date.now();
   }
 
   /**
@@ -379,16 +988,7 @@ class RemootioDevice extends EventEmitter {
    * The response ENCRYPTED frame contains the gate status (open/closed)
    */
   sendQuery(): void {
-    if (this.lastActionId != undefined) {
-      this.sendEncryptedFrame({
-        action: {
-          type: 'QUERY',
-          id: (this.lastActionId + 1) % 0x7fffffff //set frame counter to be last frame id + 1
-        }
-      });
-    } else {
-      console.warn('Unexpected error - lastActionId is undefined');
-    }
+    this.sendAction('QUERY');
   }
 
   /**
@@ -396,16 +996,7 @@ class RemootioDevice extends EventEmitter {
    * This action triggers the output of the Remootio device. (so it opens/closes your gate or garage door depending on how your gate or garage door opener is set up)
    */
   sendTrigger(): void {
-    if (this.lastActionId != undefined) {
-      this.sendEncryptedFrame({
-        action: {
-          type: 'TRIGGER',
-          id: (this.lastActionId + 1) % 0x7fffffff //set frame counter to be last frame id + 1
-        }
-      });
-    } else {
-      console.warn('Unexpected error - lastActionId is undefined');
-    }
+    this.sendAction('TRIGGER');
   }
 
   /**
@@ -415,16 +1006,7 @@ class RemootioDevice extends EventEmitter {
    * Only supported in API version 2 or above
    */
   sendTriggerSecondary(): void {
-    if (this.lastActionId != undefined) {
-      this.sendEncryptedFrame({
-        action: {
-          type: 'TRIGGER_SECONDARY',
-          id: (this.lastActionId + 1) % 0x7fffffff //set frame counter to be last frame id + 1
-        }
-      });
-    } else {
-      console.warn('Unexpected error - lastActionId is undefined');
-    }
+    this.sendAction('TRIGGER_SECONDARY');
   }
 
   /**
@@ -433,16 +1015,7 @@ class RemootioDevice extends EventEmitter {
    * This action returns an error response if there is no gate status sensor installed.
    */
   sendOpen(): void {
-    if (this.lastActionId != undefined) {
-      this.sendEncryptedFrame({
-        action: {
-          type: 'OPEN',
-          id: (this.lastActionId + 1) % 0x7fffffff //set frame counter to be last frame id + 1
-        }
-      });
-    } else {
-      console.warn('Unexpected error - lastActionId is undefined');
-    }
+    this.sendAction('OPEN');
   }
 
   /**
@@ -451,16 +1024,7 @@ class RemootioDevice extends EventEmitter {
    * This action returns an error response if there is no gate status sensor installed.
    */
   sendClose(): void {
-    if (this.lastActionId != undefined) {
-      this.sendEncryptedFrame({
-        action: {
-          type: 'CLOSE',
-          id: (this.lastActionId + 1) % 0x7fffffff //set frame counter to be last frame id + 1
-        }
-      });
-    } else {
-      console.warn('Unexpected error - lastActionId is undefined');
-    }
+    this.sendAction('CLOSE');
   }
 
   /**
@@ -468,34 +1032,14 @@ class RemootioDevice extends EventEmitter {
    * This action triggers the output of the Remootio device and holds it active for the duration specified in minutes
    */
   holdTriggerOutputActive(durationMins: number): void {
-    if (this.lastActionId != undefined) {
-      this.sendEncryptedFrame({
-        action: {
-          type: 'TRIGGER',
-          duration: durationMins,
-          id: (this.lastActionId + 1) % 0x7fffffff //set frame counter to be last frame id + 1
-        }
-      });
-    } else {
-      console.warn('Unexpected error - lastActionId is undefined');
-    }
+    this.sendAction('TRIGGER', durationMins);
   }
   /**
    * Sends a TRIGGER_SECONDARY action with hold active duration in an ENCRYPTED frame to the Remootio device API.
    * This action triggers the secondary output of the Remootio device and holds it active for the duration specified in minutes
    */
   holdTriggerSecondaryOutputActive(durationMins: number): void {
-    if (this.lastActionId != undefined) {
-      this.sendEncryptedFrame({
-        action: {
-          type: 'TRIGGER_SECONDARY',
-          duration: durationMins,
-          id: (this.lastActionId + 1) % 0x7fffffff //set frame counter to be last frame id + 1
-        }
-      });
-    } else {
-      console.warn('Unexpected error - lastActionId is undefined');
-    }
+    this.sendAction('TRIGGER_SECONDARY', durationMins);
   }
 
   /**
@@ -503,17 +1047,7 @@ class RemootioDevice extends EventEmitter {
    * This action triggers the open direction output of the Remootio device and holds it active for the duration specified in minutes
    */
   holdOpenOutputActive(durationMins: number): void {
-    if (this.lastActionId != undefined) {
-      this.sendEncryptedFrame({
-        action: {
-          type: 'OPEN',
-          duration: durationMins,
-          id: (this.lastActionId + 1) % 0x7fffffff //set frame counter to be last frame id + 1
-        }
-      });
-    } else {
-      console.warn('Unexpected error - lastActionId is undefined');
-    }
+    this.sendAction('OPEN', durationMins);
   }
 
   /**
@@ -521,17 +1055,7 @@ class RemootioDevice extends EventEmitter {
    * This action triggers the close direction output of the Remootio device and holds it active for the duration specified in minutes
    */
   holdCloseOutputActive(durationMins: number): void {
-    if (this.lastActionId != undefined) {
-      this.sendEncryptedFrame({
-        action: {
-          type: 'CLOSE',
-          duration: durationMins,
-          id: (this.lastActionId + 1) % 0x7fffffff //set frame counter to be last frame id + 1
-        }
-      });
-    } else {
-      console.warn('Unexpected error - lastActionId is undefined');
-    }
+    this.sendAction('CLOSE', durationMins);
   }
 
   /**
@@ -539,27 +1063,636 @@ class RemootioDevice extends EventEmitter {
    * This action triggers a restart of the Remootio device.
    */
   sendRestart(): void {
-    if (this.lastActionId != undefined) {
-      this.sendEncryptedFrame({
-        action: {
-          type: 'RESTART',
-          id: (this.lastActionId + 1) % 0x7fffffff //set frame counter to be last frame id + 1
+    this.sendAction('RESTART');
+  }
+
+  /**
+   * Sends a QUERY action and resolves with the response of the Remootio device to it.
+   * The promise is rejected if the device reports that the action was not successful, no response arrives in time or the connection is lost.
+   * @param {Object} [options] - timeoutMs: how long to wait for the response (defaults to 10000 ms), expireAfterMs: how long the action can wait in the queue (defaults to 30000 ms),
+   * replayOnReconnect: send the action again after reconnecting if the connection is lost before its response arrives
+   */
+  query(options?: RemootioDevice.ActionOptions): Promise<RemootioActionResponse> {
+    return this.sendActionAndWaitForResponse('QUERY', undefined, options);
+  }
+
+  /**
+   * Sends a TRIGGER action and resolves with the response of the Remootio device to it.
+   * @param {Object} [options] - durationMins: holds the output active for durationMins minutes, timeoutMs: how long to wait for the response
+   */
+  trigger(options?: RemootioDevice.DurationActionOptions): Promise<RemootioActionResponse> {
+    return this.sendActionAndWaitForResponse('TRIGGER', options?.durationMins, options);
+  }
+
+  /**
+   * Sends a TRIGGER_SECONDARY action and resolves with the response of the Remootio device to it.
+   * Only supported in API version 2 or above
+   * @param {Object} [options] - durationMins: holds the output active for durationMins minutes, timeoutMs: how long to wait for the response
+   */
+  triggerSecondary(options?: RemootioDevice.DurationActionOptions): Promise<RemootioActionResponse> {
+    return this.sendActionAndWaitForResponse('TRIGGER_SECONDARY', options?.durationMins, options);
+  }
+
+  /**
+   * Sends an OPEN action and resolves with the response of the Remootio device to it.
+   * The device responds with success: false (so the promise is rejected) if there is no gate status sensor installed.
+   * @param {Object} [options] - durationMins: holds the output active for durationMins minutes, timeoutMs: how long to wait for the response
+   */
+  open(options?: RemootioDevice.DurationActionOptions): Promise<RemootioActionResponse> {
+    return this.sendActionAndWaitForResponse('OPEN', options?.durationMins, options);
+  }
+
+  /**
+   * Sends a CLOSE action and resolves with the response of the Remootio device to it.
+   * The device responds with success: false (so the promise is rejected) if there is no gate status sensor installed.
+   * @param {Object} [options] - durationMins: holds the output active for durationMins minutes, timeoutMs: how long to wait for the response
+   */
+  close(options?: RemootioDevice.DurationActionOptions): Promise<RemootioActionResponse> {
+    return this.sendActionAndWaitForResponse('CLOSE', options?.durationMins, options);
+  }
+
+  /**
+   * Sends a RESTART action and resolves with the response of the Remootio device to it.
+   * @param {Object} [options] - timeoutMs: how long to wait for the response (defaults to 10000 ms)
+   */
+  restart(options?: RemootioDevice.ActionOptions): Promise<RemootioActionResponse> {
+    return this.sendActionAndWaitForResponse('RESTART', undefined, options);
+  }
+
+  /**
+   * Makes sure the gate is open: sends an OPEN action unless the sensor reports that the gate is open already, and waits for the sensor to report the open state.
+   * @param {Object} [options] - travelTimeMs: how long to wait for the open state (defaults to 60000 ms), triggerIfNoSensor: send a TRIGGER action if there is no sensor,
+   * and the options of the actions (timeoutMs, expireAfterMs, replayOnReconnect)
+   * @returns {Promise<Object>} - {state, actionSent, verified, actionResponse}, rejected with a StateNotReachedError if the gate didn't open
+   */
+  ensureOpen(options?: RemootioDevice.EnsureStateOptions): Promise<RemootioDevice.EnsureStateResult> {
+    return this.ensureState('open', options ?? {});
+  }
+
+  /**
+   * Makes sure the gate is closed: sends a CLOSE action unless the sensor reports that the gate is closed already, and waits for the sensor to report the closed state.
+   * @param {Object} [options] - travelTimeMs: how long to wait for the closed state (defaults to 60000 ms), triggerIfNoSensor: send a TRIGGER action if there is no sensor,
+   * and the options of the actions (timeoutMs, expireAfterMs, replayOnReconnect)
+   * @returns {Promise<Object>} - {state, actionSent, verified, actionResponse}, rejected with a StateNotReachedError if the gate didn't close
+   */
+  ensureClosed(options?: RemootioDevice.EnsureStateOptions): Promise<RemootioDevice.EnsureStateResult> {
+    return this.ensureState('closed', options ?? {});
+  }
+
+  /**
+   * Queries the state reported by the sensor, sends the action if the gate is not in the target state, and waits for the StateChange event to the target state
+   */
+  private async ensureState(
+    targetState: 'open' | 'closed',
+    options: RemootioDevice.EnsureStateOptions
+  ): Promise<RemootioDevice.EnsureStateResult> {
+    const queryResponse = await this.query(options);
+    const state = queryResponse.response.state;
+    if (state == targetState) {
+      return { state: state, actionSent: false, verified: true, actionResponse: queryResponse };
+    }
+    if (state == 'no sensor') {
+      if (options.triggerIfNoSensor != true) {
+        throw new StateNotReachedError(
+          targetState,
+          state,
+          'The ' + targetState + ' state can not be verified without a gate status sensor'
+        );
+      }
+      const triggerResponse = await this.trigger(options);
+      return { state: state, actionSent: true, verified: false, actionResponse: triggerResponse };
+    }
+
+    const travelTimeMs = options.travelTimeMs ?? 60000;
+    return new Promise((resolve, reject) => {
+      let lastState: SensorStates = state;
+      let actionResponse: RemootioActionResponse | undefined;
+      let settled = false;
+      //The StateChange event may arrive before the response to the action, so both are waited for
+      const finish = (error?: Error) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timeoutHandle);
+        this.removeListener('sensorStateChange', onStateChange);
+        this.removeListener('disconnect', onDisconnect);
+        if (error != undefined) {
+          reject(error);
+        } else if (actionResponse != undefined) {
+          resolve({ state: targetState, actionSent: true, verified: true, actionResponse: actionResponse });
+        }
+      };
+      const onStateChange = (event: RemootioEventOfType<'StateChange'>) => {
+        lastState = event.state;
+        if (lastState == targetState && actionResponse != undefined) {
+          finish();
         }
-      });
+      };
+      const onDisconnect = () =>
+        finish(
+          new ConnectionClosedError('The connection was closed before the gate reached the ' + targetState + ' state')
+        );
+      const timeoutHandle = setTimeout(
+        () =>
+          finish(
+            new StateNotReachedError(
+              targetState,
+              lastState,
+              'The gate did not reach the ' +
+                targetState +
+                ' state in ' +
+                travelTimeMs +
+                ' ms (the sensor reports ' +
+                lastState +
+                ')'
+            )
+          ),
+        travelTimeMs
+      );
+      this.on('sensorStateChange', onStateChange);
+      this.on('disconnect', onDisconnect);
+
+      const action = targetState == 'open' ? this.open(options) : this.close(options);
+      action.then((response) => {
+        actionResponse = response;
+        if (lastState == targetState || response.response.state == targetState) {
+          finish();
+        }
+      }, finish);
+    });
+  }
+
+  /**
+   * Adds the listeners of the events of the device
+   * @param {Object} listeners - the listeners by event name e.g. { event: (event) => ..., stateChanged: (previousState, currentState, cause) => ... }
+   * @returns {Function} - removes the listeners added
+   */
+  subscribe(listeners: RemootioDevice.EventListeners): () => void {
+    const entries = Object.entries(listeners) as [keyof RemootioDeviceEvents, (...args: any[]) => void][];
+    entries.forEach(([eventName, listener]) => this.on(eventName, listener));
+    return () => entries.forEach(([eventName, listener]) => this.removeListener(eventName, listener));
+  }
+
+  /**
+   * Returns an async iterable of the normalized events (the events emitted as 'event')
+   * @param {Object} [options] - types: only stream the events of these types e.g. ['StateChange', 'LeftOpen'], signal: an AbortSignal ending the stream,
+   * bufferSize: the maximum number of the events waiting to be read (defaults to 1000, the oldest ones are dropped above it)
+   * @returns {RemootioEventStream} - ends when the signal is aborted, the loop is left, disconnect() is called or the connection is lost without autoReconnect
+   */
+  events<T extends EventTypeNames = EventTypeNames>(
+    options?: EventStreamOptions<T>
+  ): RemootioEventStream<RemootioEventOfType<T>> {
+    //The stream is passed to the callback, because it's called by the constructor if the signal is already aborted
+    const stream: RemootioEventStream<RemootioEventOfType<T>> = new RemootioEventStream(options ?? {}, (endedStream) =>
+      this.eventStreams.delete(endedStream)
+    );
+    if (!stream.ended) {
+      this.eventStreams.add(stream);
+    }
+    return stream;
+  }
+
+  /**
+   * Waits for a normalized event matching the predicate
+   * @param {Function} predicate - called with every event, the first event it returns true for resolves the promise
+   * @param {number} [timeoutMs] - how long to wait for the event (waits without a time limit if it's not set)
+   * @returns {Promise<Object>} - the event, rejected with a WaitTimeoutError on timeout and with a ConnectionClosedError if the event stream ended first
+   */
+  waitFor<E extends RemootioEvent>(predicate: (event: RemootioEvent) => event is E, timeoutMs?: number): Promise<E>;
+  waitFor(predicate: (event: RemootioEvent) => boolean, timeoutMs?: number): Promise<RemootioEvent>;
+  async waitFor(predicate: (event: RemootioEvent) => boolean, timeoutMs?: number): Promise<RemootioEvent> {
+    const stream = this.events();
+    let timedOut = false;
+    const timeoutHandle =
+      timeoutMs != undefined
+        ? setTimeout(() => {
+            timedOut = true;
+            stream.end();
+          }, timeoutMs)
+        : undefined;
+    try {
+      for await (const event of stream) {
+        if (predicate(event)) {
+          return event;
+        }
+      }
+    } finally {
+      if (timeoutHandle != undefined) {
+        clearTimeout(timeoutHandle);
+      }
+    }
+    throw timedOut
+      ? new WaitTimeoutError(timeoutMs as number)
+      : new ConnectionClosedError('The connection was closed before a matching event arrived');
+  }
+
+  /**
+   * Ends the streams returned by events(), the events already buffered can still be read
+   */
+  private endEventStreams(): void {
+    [...this.eventStreams].forEach((stream) => stream.end());
+  }
+
+  /**
+   * Updates the door state using the gate status reported by the device. If the output was triggered, the door is assumed to be opening or closing
+   * until the sensor reports the other state (or a StateChange event arrives).
+   * @param {string} reportedState - the gate status in the response or event
+   * @param {string} cause - the type of the response or event
+   * @param {boolean} relayTriggered - true if the output moving the gate was triggered
+   */
+  private updateDoorState(
+    reportedState: SensorStates,
+    cause: RemootioDevice.DoorStateChangeCause,
+    relayTriggered: boolean
+  ): void {
+    const previousDoorState = this.currentDoorState;
+    let doorState: RemootioDevice.DoorState = reportedState;
+    if (reportedState != 'no sensor' && relayTriggered && cause != 'TRIGGER_SECONDARY') {
+      //The output was triggered so the gate starts moving
+      doorState = reportedState == 'open' ? 'closing' : 'opening';
+    } else if (
+      cause != 'StateChange' &&
+      ((previousDoorState == 'closing' && reportedState == 'open') ||
+        (previousDoorState == 'opening' && reportedState == 'closed'))
+    ) {
+      //The gate is still moving, the sensor didn't report the new state yet
+      doorState = previousDoorState;
+    }
+
+    if (doorState != previousDoorState) {
+      this.currentDoorState = doorState;
+      this.emit('stateChanged', previousDoorState, doorState, cause);
+    }
+  }
+
+  /**
+   * Stores the counter of the last event received, and emits the eventsMissed event if the counter jumped.
+   * The counter is kept across reconnects, so the events sent while the connection was down are detected too.
+   * If the counter goes backwards (e.g. the device restarted) it's used as the new starting point.
+   * @param {number} cnt - the counter of the event received
+   * @returns {number} - the number of the events missed before this event
+   */
+  private trackEventCounter(cnt: number): number {
+    const lastEventCnt = this.lastEventCnt;
+    this.lastEventCnt = cnt;
+    if (lastEventCnt == undefined || cnt <= lastEventCnt + 1) {
+      return 0;
+    }
+    const missedEventCount = cnt - lastEventCnt - 1;
+    this.logger?.warn(
+      missedEventCount + ' events were missed (event counter jumped from ' + lastEventCnt + ' to ' + cnt + ')'
+    );
+    this.emit('eventsMissed', missedEventCount, lastEventCnt, cnt);
+    return missedEventCount;
+  }
+
+  /**
+   * Updates the estimated boot time of the device using the uptime in a response or event, and detects the restarts of the device.
+   * The boot time is estimated as the time of arrival minus the uptime, the earliest estimate is kept since the network delay only makes it later.
+   * The uptime is kept across reconnects, so the restarts are detected when the client reconnects to a restarted device.
+   * @param {number} t100ms - the uptime of the device in 100 ms units
+   * @param {boolean} restartEvent - true if it's the uptime of a Restart event
+   */
+  private trackUptime(t100ms: number, restartEvent: boolean): void {
+    const bootTimeMs = Date.now() - t100ms * 100;
+    const uptimeWentBackwards = this.lastT100ms != undefined && t100ms < this.lastT100ms;
+    this.lastT100ms = t100ms;
+    if (this.deviceBootTimeMs == undefined || uptimeWentBackwards || bootTimeMs < this.deviceBootTimeMs) {
+      this.deviceBootTimeMs = bootTimeMs;
+    }
+
+    //The Restart event is not reported again if the restart was already detected from the uptime (and vice versa)
+    const alreadyReported =
+      this.reportedRestartBootTimeMs != undefined &&
+      Math.abs(this.reportedRestartBootTimeMs - bootTimeMs) < restartDetectionToleranceMs;
+    if ((uptimeWentBackwards || restartEvent) && !alreadyReported) {
+      this.reportedRestartBootTimeMs = bootTimeMs;
+      this.logger?.warn('The device was restarted at ' + new Date(this.deviceBootTimeMs).toISOString());
+      this.emit('deviceRestarted', new Date(this.deviceBootTimeMs), uptimeWentBackwards ? 'uptime' : 'event');
+    }
+  }
+
+  /**
+   * Converts the uptime of the device (the t100ms field of the responses and events) to wall-clock time
+   * @param {number} t100ms - the uptime of the device in 100 ms units
+   * @returns {Date|undefined} - the wall-clock time, or undefined if the boot time of the device is not known yet (no response or event was received)
+   */
+  uptimeToDate(t100ms: number): Date | undefined {
+    if (this.deviceBootTimeMs == undefined) {
+      return undefined;
+    }
+    return new Date(this.deviceBootTimeMs + t100ms * 100);
+  }
+
+  /**
+   * Creates the payload of an action using the next action id (lastActionId + 1 modulo 0x7FFFFFFF), lastActionId is advanced once the action is sent
+   * Returns undefined if the session is not authenticated (so lastActionId is undefined)
+   */
+  private buildAction(type: ActionTypes, durationMins?: number): RemootioAction | undefined {
+    if (this.lastActionId == undefined) {
+      return undefined;
+    }
+    const id = (this.lastActionId + 1) % 0x7fffffff; //set frame counter to be last frame id + 1
+    if (durationMins != undefined && type != 'QUERY' && type != 'RESTART') {
+      return { action: { type: type, duration: durationMins, id: id } };
+    }
+    return { action: { type: type, id: id } };
+  }
+
+  /**
+   * Sends the QUERY action that finishes the authentication flow. It bypasses the queue, the queued actions are sent once its response arrives.
+   */
+  private sendAuthenticationQuery(): void {
+    const action = this.buildAction('QUERY');
+    if (action == undefined) {
+      throw new NotAuthenticatedError('Unexpected error - lastActionId is undefined');
+    }
+    this.sendEncryptedFrame(action);
+    this.lastActionId = action.action.id;
+  }
+
+  /**
+   * Puts an action into the queue, the sendQuery, sendTrigger, sendOpen, sendClose, sendRestart and hold*OutputActive functions use this.
+   * The failures are emitted as errors, except the unsuccessful responses (those can be seen in the incomingmessage event) and the lost connections (those emit the disconnect event).
+   */
+  private sendAction(type: ActionTypes, durationMins?: number): void {
+    if (!this.canQueueActions()) {
+      throw new NotConnectedError();
+    }
+    const unsupportedActionError = this.checkActionSupported(type, durationMins);
+    if (unsupportedActionError != undefined) {
+      throw unsupportedActionError;
+    }
+    this.sendActionAndWaitForResponse(type, durationMins).catch((error) => {
+      if (error instanceof ActionTimeoutError || error instanceof ActionExpiredError) {
+        this.emit('error', error);
+      }
+    });
+  }
+
+  /**
+   * Puts an action into the queue and returns a promise that is settled once the response to it arrives
+   */
+  private sendActionAndWaitForResponse(
+    type: ActionTypes,
+    durationMins?: number,
+    options?: RemootioDevice.ActionOptions
+  ): Promise<RemootioActionResponse> {
+    return new Promise((resolve, reject) => {
+      if (!this.canQueueActions()) {
+        reject(new NotConnectedError());
+        return;
+      }
+      const unsupportedActionError = this.checkActionSupported(type, durationMins);
+      if (unsupportedActionError != undefined) {
+        reject(unsupportedActionError);
+        return;
+      }
+      const queuedAction: QueuedAction = {
+        type: type,
+        durationMins: durationMins,
+        options: options ?? {},
+        resolve: resolve,
+        reject: reject
+      };
+      this.enqueueAction(queuedAction);
+      this.processActionQueue();
+    });
+  }
+
+  /**
+   * Checks if the device supports the action according to its SERVER_HELLO frame (every action is allowed until the SERVER_HELLO frame arrives)
+   * @returns {UnsupportedActionError|undefined} - the error to reject the action with if it's not supported
+   */
+  private checkActionSupported(type: ActionTypes, durationMins?: number): UnsupportedActionError | undefined {
+    const deviceInfo = this.serverHello;
+    if (deviceInfo == undefined) {
+      return undefined;
+    }
+    if (type == 'TRIGGER_SECONDARY' && deviceInfo.apiVersion < 2) {
+      return new UnsupportedActionError(
+        type,
+        'it needs API version 2, the device uses API version ' + deviceInfo.apiVersion
+      );
+    }
+    if (type == 'TRIGGER_SECONDARY' && deviceInfo.remootioVersion == 'remootio-1') {
+      return new UnsupportedActionError(type, 'Remootio 1 devices have no secondary output');
+    }
+    if (durationMins != undefined && deviceInfo.apiVersion < 2) {
+      return new UnsupportedActionError(
+        type,
+        'holding the output active needs API version 2, the device uses API version ' + deviceInfo.apiVersion
+      );
+    }
+    return undefined;
+  }
+
+  /**
+   * Actions can be queued while the client is connected, connecting or waiting to reconnect
+   */
+  private canQueueActions(): boolean {
+    return (
+      this.reconnectTimeoutHandle != undefined ||
+      (this.websocketClient != undefined &&
+        (this.websocketClient.readyState == SocketReadyState.CONNECTING ||
+          this.websocketClient.readyState == SocketReadyState.OPEN))
+    );
+  }
+
+  /**
+   * Puts the action at the end (or at the front if it's replayed) of the queue, and starts its expiry timeout
+   */
+  private enqueueAction(queuedAction: QueuedAction, replayed = false): void {
+    const expireAfterXMs = queuedAction.options.expireAfterMs ?? this.actionExpireAfterXMs;
+    queuedAction.id = undefined;
+    queuedAction.timeoutHandle = setTimeout(() => {
+      this.actionQueue = this.actionQueue.filter((action) => action !== queuedAction);
+      queuedAction.reject(new ActionExpiredError(queuedAction.type, expireAfterXMs));
+    }, expireAfterXMs);
+    if (replayed) {
+      this.actionQueue.unshift(queuedAction);
     } else {
-      console.warn('Unexpected error - lastActionId is undefined');
+      this.actionQueue.push(queuedAction);
     }
   }
 
+  /**
+   * Sends the next queued action if the session is authenticated and no other action is waiting for its response.
+   * The actions are sent one by one, so each of them gets the next action id.
+   */
+  private processActionQueue(): void {
+    if (
+      this.inFlightAction != undefined ||
+      !this.isAuthenticated ||
+      this.waitingForAuthenticationQueryActionResponse != false
+    ) {
+      return;
+    }
+    const queuedAction = this.actionQueue.shift();
+    if (queuedAction == undefined) {
+      return;
+    }
+    if (queuedAction.timeoutHandle != undefined) {
+      clearTimeout(queuedAction.timeoutHandle);
+    }
+    //The SERVER_HELLO frame may have arrived since the action was queued
+    const unsupportedActionError = this.checkActionSupported(queuedAction.type, queuedAction.durationMins);
+    if (unsupportedActionError != undefined) {
+      queuedAction.reject(unsupportedActionError);
+      this.processActionQueue();
+      return;
+    }
+
+    const action = this.buildAction(queuedAction.type, queuedAction.durationMins);
+    if (action == undefined) {
+      queuedAction.reject(new NotAuthenticatedError('Unexpected error - lastActionId is undefined'));
+      this.processActionQueue();
+      return;
+    }
+    const id = action.action.id;
+    const timeoutXMs = queuedAction.options.timeoutMs ?? this.actionResponseTimeoutXMs;
+    queuedAction.id = id;
+    queuedAction.timeoutHandle = setTimeout(() => {
+      this.inFlightAction = undefined;
+      this.metricCounters.actionTimeouts++;
+      queuedAction.reject(new ActionTimeoutError(queuedAction.type, id, timeoutXMs));
+      this.processActionQueue();
+    }, timeoutXMs);
+    this.inFlightAction = queuedAction;
+
+    try {
+      this.sendEncryptedFrame(action);
+      //The device expects the next id for the next action even if no response arrives to this one (e.g. it times out)
+      this.lastActionId = id;
+      queuedAction.sentAtMs = Date.now();
+    } catch (e: any) {
+      clearTimeout(queuedAction.timeoutHandle);
+      this.inFlightAction = undefined;
+      queuedAction.reject(e);
+      this.processActionQueue();
+    }
+  }
+
+  /**
+   * Settles the promise of the action in flight if the response belongs to it
+   */
+  private settleInFlightAction(actionResponse: RemootioActionResponse): void {
+    const inFlightAction = this.inFlightAction;
+    if (inFlightAction == undefined || inFlightAction.id != actionResponse.response.id) {
+      return;
+    }
+    if (inFlightAction.timeoutHandle != undefined) {
+      clearTimeout(inFlightAction.timeoutHandle);
+    }
+    this.inFlightAction = undefined;
+    if (inFlightAction.sentAtMs != undefined) {
+      this.actionLatency.record(Date.now() - inFlightAction.sentAtMs);
+    }
+
+    if (actionResponse.response.success == true) {
+      const time = this.uptimeToDate(actionResponse.response.t100ms);
+      inFlightAction.resolve(time != undefined ? { ...actionResponse, time: time } : actionResponse);
+    } else {
+      inFlightAction.reject(new ActionFailedError(inFlightAction.type, actionResponse.response));
+    }
+  }
+
+  /**
+   * Rejects the promise of the action in flight (e.g. when the device answered it with an ERROR frame), and sends the next queued action
+   */
+  private rejectInFlightAction(error: Error): void {
+    const inFlightAction = this.inFlightAction;
+    if (inFlightAction == undefined) {
+      return;
+    }
+    if (inFlightAction.timeoutHandle != undefined) {
+      clearTimeout(inFlightAction.timeoutHandle);
+    }
+    this.inFlightAction = undefined;
+    inFlightAction.reject(error);
+    this.processActionQueue();
+  }
+
+  /**
+   * When the connection is lost, the action in flight is put back to the front of the queue if it should be replayed after reconnecting, otherwise it's rejected
+   */
+  private requeueOrRejectInFlightAction(): void {
+    const inFlightAction = this.inFlightAction;
+    if (inFlightAction == undefined) {
+      return;
+    }
+    if (inFlightAction.timeoutHandle != undefined) {
+      clearTimeout(inFlightAction.timeoutHandle);
+    }
+    this.inFlightAction = undefined;
+
+    if (inFlightAction.options.replayOnReconnect == true && this.autoReconnect == true) {
+      this.enqueueAction(inFlightAction, true);
+    } else {
+      inFlightAction.reject(new ConnectionClosedError());
+    }
+  }
+
+  /**
+   * Rejects the promises of all actions waiting in the queue (e.g. when the connection is lost and the client won't reconnect)
+   */
+  private rejectQueuedActions(error: Error): void {
+    const queuedActions = this.actionQueue;
+    this.actionQueue = [];
+    queuedActions.forEach((queuedAction) => {
+      if (queuedAction.timeoutHandle != undefined) {
+        clearTimeout(queuedAction.timeoutHandle);
+      }
+      queuedAction.reject(error);
+    });
+  }
+
+  /**
+   * Gets a snapshot of the connection health metrics. The counters and the latencies are kept across reconnects.
+   * @returns {Object} - the metrics, see RemootioMetrics in metrics.ts
+   */
+  getMetrics(): RemootioMetrics {
+    return {
+      connected: this.isConnected,
+      authenticated: this.isAuthenticated,
+      pingRoundTrip: this.pingRoundTrip.snapshot(),
+      actionLatency: this.actionLatency.snapshot(),
+      ...this.metricCounters,
+      lastMessageTime: this.lastMessageTimeMs != undefined ? new Date(this.lastMessageTimeMs) : undefined,
+      timeSinceLastMessageMs: this.lastMessageTimeMs != undefined ? Date.now() - this.lastMessageTimeMs : undefined
+    };
+  }
+
   //Get method for the isConnected property
   get isConnected(): boolean {
-    if (this.websocketClient != undefined && this.websocketClient.readyState == WebSocket.OPEN) {
+    if (this.websocketClient != undefined && this.websocketClient.readyState == SocketReadyState.OPEN) {
       return true;
     } else {
       return false;
     }
   }
 
+  //Get method for the doorState property
+  get doorState(): RemootioDevice.DoorState {
+    return this.currentDoorState;
+  }
+
+  //Get method for the deviceBootTime property
+  get deviceBootTime(): Date | undefined {
+    return this.deviceBootTimeMs != undefined ? new Date(this.deviceBootTimeMs) : undefined;
+  }
+
+  //Get method for the deviceInfo property
+  get deviceInfo(): RemootioDevice.DeviceInfo | undefined {
+    return this.serverHello != undefined ? { ...this.serverHello } : undefined;
+  }
+
+  //Get method for the pendingActionCount property
+  get pendingActionCount(): number {
+    return this.actionQueue.length + (this.inFlightAction != undefined ? 1 : 0);
+  }
+
   //Get method for the lastActionId property
   get theLastActionId(): number | undefined {
     return this.lastActionId;
@@ -567,7 +1700,7 @@ class RemootioDevice extends EventEmitter {
 
   //Get method for the isAuthenticated property
   get isAuthenticated(): boolean {
-    if (this.websocketClient != undefined && this.websocketClient.readyState == WebSocket.OPEN) {
+    if (this.websocketClient != undefined && this.websocketClient.readyState == SocketReadyState.OPEN) {
       if (this.apiSessionKey != undefined) {
         //If the session is authenticated, the apiSessionKey must be defined
         return true;
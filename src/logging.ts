@@ -0,0 +1,109 @@
+/**
+ * This module contains the logger used by the RemootioDevice class. It wraps the logger passed in the logger option (console, pino, winston, ...):
+ * - the messages below the logLevel option are dropped (the logger may filter them further)
+ * - the secrets are redacted from every message: the fields named like secrets (see redactedFields) and the values of the API keys and the session key
+ *
+ * If the traceFrames option is set (or setFrameTracing(true) is called) every frame sent and received is logged at the debug level, the ENCRYPTED frames
+ * with their decrypted payload too, e.g.
+ * Received frame: {"type":"ENCRYPTED","data":{"iv":"[REDACTED]","payload":"..."},"mac":"[REDACTED]"} decrypted: {"response":{"type":"QUERY",...}}
+ */
+
+import RemootioDevice = require('./index');
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+export const logLevels: LogLevel[] = ['debug', 'info', 'warn', 'error', 'silent'];
+
+//The fields whose values are replaced by the redacted placeholder wherever they are in the logged objects
+export const redactedFields = ['apiSecretKey', 'apiAuthKey', 'sessionKey', 'mac', 'iv'];
+
+const redactedPlaceholder = '[REDACTED]';
+
+/**
+ * Returns a copy of the value with the fields named like secrets (see redactedFields) redacted
+ * @param {*} value - e.g. a frame or a decrypted payload
+ */
+export function redactSecrets<T>(value: T): T {
+  if (Array.isArray(value)) {
+    return (value.map((item) => redactSecrets(item)) as unknown) as T;
+  }
+  if (typeof value == 'object' && value != null && !(value instanceof Error)) {
+    const result: Record<string, unknown> = {};
+    Object.entries(value).forEach(([key, fieldValue]) => {
+      result[key] =
+        redactedFields.includes(key) && fieldValue != undefined ? redactedPlaceholder : redactSecrets(fieldValue);
+    });
+    return result as T;
+  }
+  return value;
+}
+
+export interface RedactingLoggerOptions {
+  level?: LogLevel; //The messages below this level are dropped (defaults to debug)
+  secrets?: () => (string | undefined)[]; //Returns the secret values redacted from the messages (e.g. the API keys and the current session key)
+}
+
+/**
+ * RedactingLogger passes the messages at or above its level to the wrapped logger with the secrets redacted
+ */
+export class RedactingLogger implements RemootioDevice.Logger {
+  private logger: RemootioDevice.Logger;
+  private levelIndex: number;
+  private secrets: () => (string | undefined)[];
+
+  /**
+   * @param {Object} logger - the wrapped logger e.g. console or a pino or winston logger
+   * @param {Object} [options] - {level, secrets}
+   */
+  constructor(logger: RemootioDevice.Logger, options: RedactingLoggerOptions = {}) {
+    this.logger = logger;
+    this.levelIndex = logLevels.indexOf(options.level ?? 'debug');
+    this.secrets = options.secrets ?? (() => []);
+  }
+
+  debug(message: string, ...args: unknown[]): void {
+    this.log('debug', message, args);
+  }
+
+  info(message: string, ...args: unknown[]): void {
+    this.log('info', message, args);
+  }
+
+  warn(message: string, ...args: unknown[]): void {
+    this.log('warn', message, args);
+  }
+
+  error(message: string, ...args: unknown[]): void {
+    this.log('error', message, args);
+  }
+
+  /**
+   * Checks if the messages of a level are passed to the wrapped logger (e.g. to skip building expensive messages)
+   */
+  isLevelEnabled(level: Exclude<LogLevel, 'silent'>): boolean {
+    return logLevels.indexOf(level) >= this.levelIndex;
+  }
+
+  /**
+   * Replaces the secret values in a string by the redacted placeholder
+   */
+  redact(text: string): string {
+    return this.secrets().reduce<string>(
+      (redactedText, secret) =>
+        secret != undefined && secret != ''
+          ? redactedText.replace(new RegExp(secret.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), redactedPlaceholder)
+          : redactedText,
+      text
+    );
+  }
+
+  private log(level: Exclude<LogLevel, 'silent'>, message: string, args: unknown[]): void {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+    this.logger[level](
+      this.redact(message),
+      ...args.map((arg) => (typeof arg == 'string' ? this.redact(arg) : redactSecrets(arg)))
+    );
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * This module contains the connection health metrics of the RemootioDevice class (see getMetrics() in index.ts),
+ * and formats them in the Prometheus text exposition format, so flaky connections can be alerted on.
+ *
+ * The latencies are measured in milliseconds, and exposed as Prometheus histograms in seconds:
+ * remootio_ping_round_trip_seconds - PING frame sent -> PONG frame received
+ * remootio_action_latency_seconds - action sent -> response received (successful and failed responses, not timeouts)
+ */
+
+//The upper bounds of the latency histogram buckets in ms
+export const latencyBucketsMs = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+export interface LatencyMetrics {
+  count: number; //The number of the measurements
+  sumMs: number; //The sum of the measurements in ms
+  minMs?: number;
+  maxMs?: number;
+  lastMs?: number; //The last measurement
+  buckets: number[]; //The number of the measurements not greater than the bounds in latencyBucketsMs (cumulative, like the Prometheus histograms)
+}
+
+export interface RemootioMetrics {
+  connected: boolean;
+  authenticated: boolean;
+  pingRoundTrip: LatencyMetrics; //PING frame sent -> PONG frame received
+  actionLatency: LatencyMetrics; //Action sent -> response received
+  connects: number; //The number of the connections established
+  reconnectAttempts: number; //The number of the reconnect attempts scheduled
+  pingTimeouts: number; //The number of the connections closed because no response arrived for a PING frame
+  actionTimeouts: number; //The number of the actions without a response in time
+  decryptionFailures: number; //The number of the ENCRYPTED frames that couldn't be decrypted
+  errorFrames: number; //The number of the ERROR frames received
+  lastMessageTime?: Date; //The time the last frame was received
+  timeSinceLastMessageMs?: number; //The time elapsed since the last frame was received
+}
+
+export interface MetricsSample {
+  labels: Record<string, string>; //e.g. { device: 'garage' }
+  metrics: RemootioMetrics;
+}
+
+/**
+ * LatencyRecorder collects latency measurements into a histogram
+ */
+export class LatencyRecorder {
+  private latency: LatencyMetrics;
+
+  constructor() {
+    this.latency = { count: 0, sumMs: 0, buckets: latencyBucketsMs.map(() => 0) };
+  }
+
+  /**
+   * Records a measurement
+   * @param {number} latencyMs - the latency in ms
+   */
+  record(latencyMs: number): void {
+    const latency = this.latency;
+    latency.count++;
+    latency.sumMs += latencyMs;
+    latency.minMs = latency.minMs == undefined ? latencyMs : Math.min(latency.minMs, latencyMs);
+    latency.maxMs = latency.maxMs == undefined ? latencyMs : Math.max(latency.maxMs, latencyMs);
+    latency.lastMs = latencyMs;
+    latencyBucketsMs.forEach((boundMs, index) => {
+      if (latencyMs <= boundMs) {
+        latency.buckets[index]++;
+      }
+    });
+  }
+
+  /**
+   * Gets a copy of the measurements collected
+   */
+  snapshot(): LatencyMetrics {
+    return { ...this.latency, buckets: [...this.latency.buckets] };
+  }
+}
+
+type MetricType = 'counter' | 'gauge' | 'histogram';
+
+//The counters and gauges of the exposition: name, type, help, value
+const simpleMetrics: [string, MetricType, string, (metrics: RemootioMetrics) => number | undefined][] = [
+  ['remootio_connected', 'gauge', 'Whether the client is connected to the device', (m) => (m.connected ? 1 : 0)],
+  ['remootio_authenticated', 'gauge', 'Whether the session is authenticated', (m) => (m.authenticated ? 1 : 0)],
+  ['remootio_connects_total', 'counter', 'Connections established to the device', (m) => m.connects],
+  ['remootio_reconnect_attempts_total', 'counter', 'Reconnect attempts scheduled', (m) => m.reconnectAttempts],
+  ['remootio_ping_timeouts_total', 'counter', 'PING frames without a response in time', (m) => m.pingTimeouts],
+  ['remootio_action_timeouts_total', 'counter', 'Actions without a response in time', (m) => m.actionTimeouts],
+  [
+    'remootio_decryption_failures_total',
+    'counter',
+    'ENCRYPTED frames that could not be decrypted',
+    (m) => m.decryptionFailures
+  ],
+  ['remootio_error_frames_total', 'counter', 'ERROR frames received from the device', (m) => m.errorFrames],
+  [
+    'remootio_seconds_since_last_message',
+    'gauge',
+    'Seconds elapsed since the last frame was received from the device',
+    (m) => (m.timeSinceLastMessageMs != undefined ? m.timeSinceLastMessageMs / 1000 : undefined)
+  ]
+];
+
+const histogramMetrics: [string, string, (metrics: RemootioMetrics) => LatencyMetrics][] = [
+  ['remootio_ping_round_trip_seconds', 'PING to PONG round-trip latency', (m) => m.pingRoundTrip],
+  ['remootio_action_latency_seconds', 'Action request to response latency', (m) => m.actionLatency]
+];
+
+/**
+ * Formats the metrics in the Prometheus text exposition format (version 0.0.4)
+ * @param {Object|Object[]} metrics - the metrics of a device (see getMetrics()), or the metrics of more devices with their labels e.g. [{ labels: { device: 'garage' }, metrics: garage.getMetrics() }]
+ * @returns {string} - the exposition, serve it with the text/plain; version=0.0.4 content type
+ */
+export function formatPrometheusMetrics(metrics: RemootioMetrics | MetricsSample[]): string {
+  const samples: MetricsSample[] = Array.isArray(metrics) ? metrics : [{ labels: {}, metrics: metrics }];
+  const lines: string[] = [];
+  simpleMetrics.forEach(([name, type, help, getValue]) => {
+    lines.push('# HELP ' + name + ' ' + help, '# TYPE ' + name + ' ' + type);
+    samples.forEach((sample) => {
+      const value = getValue(sample.metrics);
+      if (value != undefined) {
+        lines.push(name + formatLabels(sample.labels) + ' ' + formatValue(value));
+      }
+    });
+  });
+  histogramMetrics.forEach(([name, help, getLatency]) => {
+    lines.push('# HELP ' + name + ' ' + help, '# TYPE ' + name + ' histogram');
+    samples.forEach((sample) => {
+      const latency = getLatency(sample.metrics);
+      latencyBucketsMs.forEach((boundMs, index) => {
+        lines.push(
+          name +
+            '_bucket' +
+            formatLabels({ ...sample.labels, le: formatValue(boundMs / 1000) }) +
+            ' ' +
+            latency.buckets[index]
+        );
+      });
+      lines.push(name + '_bucket' + formatLabels({ ...sample.labels, le: '+Inf' }) + ' ' + latency.count);
+      lines.push(name + '_sum' + formatLabels(sample.labels) + ' ' + formatValue(latency.sumMs / 1000));
+      lines.push(name + '_count' + formatLabels(sample.labels) + ' ' + latency.count);
+    });
+  });
+  return lines.join('\n') + '\n';
+}
+
+function formatLabels(labels: Record<string, string>): string {
+  const entries = Object.entries(labels);
+  if (entries.length == 0) {
+    return '';
+  }
+  return (
+    '{' +
+    entries
+      .map(
+        ([name, value]) => name + '="' + value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"') + '"'
+      )
+      .join(',') +
+    '}'
+  );
+}
+
+function formatValue(value: number): string {
+  return Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN';
+}
@@ -0,0 +1,247 @@
+/**
+ * This module implements an MQTT bridge for a RemootioDevice. It publishes the door state, the connection status and the events of the device,
+ * executes the commands received on the command topic, and publishes the Home Assistant MQTT discovery config of a cover entity.
+ *
+ * The bridge doesn't depend on an MQTT library, it uses the client you pass to it (e.g. the client returned by connect() of the mqtt package).
+ *
+ * Topics (<baseTopic> defaults to remootio/<deviceId>):
+ * <baseTopic>/state - the door state: open, closed, opening, closing, no sensor or unknown (retained)
+ * <baseTopic>/availability - online if the session is authenticated, offline otherwise (retained)
+ * <baseTopic>/status - {"connected": true, "authenticated": true} (retained)
+ * <baseTopic>/event - the normalized events of the device as JSON e.g. {"type": "LeftOpen", "cnt": 12, ...}
+ * <baseTopic>/command - the bridge subscribes to this topic, the payload can be OPEN, CLOSE or TRIGGER
+ * <discoveryPrefix>/cover/<deviceId>/config - the Home Assistant discovery config (retained)
+ */
+
+import { EventEmitter } from 'events';
+import RemootioDevice = require('./index');
+import { emitErrorIfListened, InvalidCommandError } from './errors';
+import { RemootioActionResponse } from './frames';
+
+/**
+ * The part of the MQTT client used by the bridge, the MqttClient class of the mqtt package implements it
+ */
+export interface MqttClientLike {
+  connected: boolean;
+  publish(topic: string, message: string, options: { qos?: 0 | 1 | 2; retain?: boolean }): unknown;
+  subscribe(topic: string, options: { qos: 0 | 1 | 2 }): unknown;
+  unsubscribe(topic: string): unknown;
+  on(event: 'message', listener: (topic: string, payload: Buffer) => void): unknown;
+  on(event: 'connect', listener: () => void): unknown;
+  removeListener(event: string, listener: (...args: any[]) => void): unknown;
+}
+
+export interface RemootioMqttTopics {
+  state: string;
+  availability: string;
+  status: string;
+  event: string;
+  command: string;
+}
+
+export interface RemootioMqttBridgeOptions {
+  device: RemootioDevice; //The device whose state is published and which the commands are sent to
+  client: MqttClientLike; //The MQTT client
+  deviceId: string; //Unique id of the device used in the default topics and the Home Assistant unique_id e.g. "main-gate"
+  name?: string; //The name of the entity in Home Assistant (defaults to the deviceId)
+  baseTopic?: string; //The prefix of the default topics (defaults to remootio/<deviceId>)
+  topics?: Partial<RemootioMqttTopics>; //Override some of the topics
+  discovery?: boolean; //Publish the Home Assistant discovery config (defaults to true)
+  discoveryPrefix?: string; //The discovery prefix of Home Assistant (defaults to homeassistant)
+  deviceClass?: 'garage' | 'gate'; //The device class of the cover entity (defaults to garage)
+  qos?: 0 | 1 | 2; //The QoS of the published messages and the subscription (defaults to 1)
+}
+
+export type RemootioMqttCommand = 'OPEN' | 'CLOSE' | 'TRIGGER';
+
+interface RemootioMqttBridgeEvents {
+  command: (command: RemootioMqttCommand, actionResponse: RemootioActionResponse) => void;
+  error: (error: Error) => void;
+}
+
+export declare interface RemootioMqttBridge {
+  on<E extends keyof RemootioMqttBridgeEvents>(event: E, listener: RemootioMqttBridgeEvents[E]): this;
+  emit<E extends keyof RemootioMqttBridgeEvents>(event: E, ...args: Parameters<RemootioMqttBridgeEvents[E]>): boolean;
+}
+
+const commands = ['OPEN', 'CLOSE', 'TRIGGER'];
+
+/**
+ * RemootioMqttBridge publishes the state and the events of a RemootioDevice to MQTT topics, and sends the commands received via MQTT to the device.
+ *
+ * *** Methods ***
+ * @method start() - subscribes to the command topic, publishes the discovery config and the current state
+ * @method stop() - publishes offline availability, unsubscribes from the command topic and stops publishing
+ * @method getDiscoveryConfig() - gets the Home Assistant discovery config of the cover entity
+ *
+ * *** Properties ***
+ * @property topics - the topics used by the bridge
+ *
+ * *** Events ***
+ * @event command - when a command received via MQTT was executed with the command and the response of the device as parameters
+ * @event error - when a command fails or an invalid command is received, with an Error object as a parameter (InvalidCommandError for the invalid commands).
+ * The commands come from any client of the broker, so the errors are only emitted if the error event has a listener (they can't crash the process).
+ */
+export class RemootioMqttBridge extends EventEmitter {
+  private options: RemootioMqttBridgeOptions;
+  private bridgeTopics: RemootioMqttTopics;
+  private started: boolean;
+  private unsubscribe?: () => void; //removes the listeners of the device events
+  private clientListeners: [string, (...args: any[]) => void][];
+
+  constructor(options: RemootioMqttBridgeOptions) {
+    super();
+    this.options = options;
+    const baseTopic = options.baseTopic ?? 'remootio/' + options.deviceId;
+    this.bridgeTopics = {
+      state: baseTopic + '/state',
+      availability: baseTopic + '/availability',
+      status: baseTopic + '/status',
+      event: baseTopic + '/event',
+      command: baseTopic + '/command',
+      ...options.topics
+    };
+    this.started = false;
+
+    this.clientListeners = [
+      ['connect', () => this.publishAll()], //The retained messages are published again if the MQTT client reconnects
+      ['message', (topic: string, payload: Buffer) => this.handleMessage(topic, payload)]
+    ];
+  }
+
+  /**
+   * Starts the bridge: subscribes to the command topic, publishes the discovery config, the door state and the status of the device
+   */
+  start(): void {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+    const publishStatus = () => this.publishStatus();
+    this.unsubscribe = this.options.device.subscribe({
+      authenticated: publishStatus,
+      disconnect: publishStatus,
+      connected: publishStatus,
+      stateChanged: () => this.publishState(),
+      event: (event) => this.publish(this.bridgeTopics.event, JSON.stringify(event), false)
+    });
+    this.clientListeners.forEach(([eventName, listener]) => this.options.client.on(eventName as 'message', listener));
+    this.options.client.subscribe(this.bridgeTopics.command, { qos: this.options.qos ?? 1 });
+    if (this.options.client.connected) {
+      this.publishAll();
+    }
+  }
+
+  /**
+   * Stops the bridge: publishes offline availability, unsubscribes from the command topic and stops publishing
+   */
+  stop(): void {
+    if (!this.started) {
+      return;
+    }
+    this.publish(this.bridgeTopics.availability, 'offline', true);
+    this.started = false;
+    this.unsubscribe?.();
+    this.unsubscribe = undefined;
+    this.clientListeners.forEach(([eventName, listener]) => this.options.client.removeListener(eventName, listener));
+    this.options.client.unsubscribe(this.bridgeTopics.command);
+  }
+
+  /**
+   * Gets the Home Assistant MQTT discovery config of the cover entity
+   */
+  getDiscoveryConfig(): Record<string, unknown> {
+    const uniqueId = 'remootio_' + this.options.deviceId;
+    const name = this.options.name ?? this.options.deviceId;
+    return {
+      name: name,
+      unique_id: uniqueId,
+      device_class: this.options.deviceClass ?? 'garage',
+      command_topic: this.bridgeTopics.command,
+      state_topic: this.bridgeTopics.state,
+      availability_topic: this.bridgeTopics.availability,
+      payload_available: 'online',
+      payload_not_available: 'offline',
+      payload_open: 'OPEN',
+      payload_close: 'CLOSE',
+      payload_stop: null, //The gate can't be stopped using the API
+      state_open: 'open',
+      state_closed: 'closed',
+      state_opening: 'opening',
+      state_closing: 'closing',
+      qos: this.options.qos ?? 1,
+      device: {
+        identifiers: [uniqueId],
+        name: name,
+        manufacturer: 'Remootio'
+      }
+    };
+  }
+
+  //Get method for the topics property
+  get topics(): RemootioMqttTopics {
+    return { ...this.bridgeTopics };
+  }
+
+  private publishAll(): void {
+    if (this.options.discovery ?? true) {
+      const discoveryTopic =
+        (this.options.discoveryPrefix ?? 'homeassistant') + '/cover/' + this.options.deviceId + '/config';
+      this.publish(discoveryTopic, JSON.stringify(this.getDiscoveryConfig()), true);
+    }
+    this.publishStatus();
+    this.publishState();
+  }
+
+  private publishState(): void {
+    this.publish(this.bridgeTopics.state, this.options.device.doorState, true);
+  }
+
+  private publishStatus(): void {
+    const device = this.options.device;
+    this.publish(
+      this.bridgeTopics.status,
+      JSON.stringify({ connected: device.isConnected, authenticated: device.isAuthenticated }),
+      true
+    );
+    this.publish(this.bridgeTopics.availability, device.isAuthenticated ? 'online' : 'offline', true);
+  }
+
+  private publish(topic: string, message: string, retain: boolean): void {
+    if (this.started && this.options.client.connected) {
+      this.options.client.publish(topic, message, { qos: this.options.qos ?? 1, retain: retain });
+    }
+  }
+
+  /**
+   * Sends the command received on the command topic to the device
+   */
+  private handleMessage(topic: string, payload: Buffer): void {
+    if (topic != this.bridgeTopics.command) {
+      return;
+    }
+    const command = payload.toString('utf8').trim().toUpperCase();
+    if (!commands.includes(command)) {
+      emitErrorIfListened(
+        this,
+        new InvalidCommandError(command, 'Unknown command ' + command + ' received on ' + topic)
+      );
+      return;
+    }
+    this.sendCommand(command as RemootioMqttCommand).then(
+      (actionResponse) => this.emit('command', command as RemootioMqttCommand, actionResponse),
+      (error) => emitErrorIfListened(this, error)
+    );
+  }
+
+  private sendCommand(command: RemootioMqttCommand): Promise<RemootioActionResponse> {
+    switch (command) {
+      case 'OPEN':
+        return this.options.device.open();
+      case 'CLOSE':
+        return this.options.device.close();
+      case 'TRIGGER':
+        return this.options.device.trigger();
+    }
+  }
+}
@@ -0,0 +1,443 @@
+/**
+ * This module records the frames exchanged by a RemootioDevice with the Remootio device to an NDJSON file, and replays the recordings.
+ * It can be used to reproduce the behaviour of a device in the field (e.g. odd event orderings or authentication failures) without the device.
+ *
+ * The recordings contain the decrypted payloads of the ENCRYPTED frames, but not the encrypted data, the MACs and the session keys.
+ * The replayer plays back the recorded frames to a RemootioDevice connected to it (through an in-memory socket or its websocket server),
+ * encrypting them using its own keys, so the RemootioDevice emits the same events as it did during the recorded session.
+ */
+
+import WebSocket = require('ws');
+import { EventEmitter } from 'events';
+import { createWriteStream, readFileSync } from 'fs';
+import { Writable } from 'stream';
+import { randomBytes } from 'crypto';
+import * as apicrypto from './apicrypto';
+import RemootioDevice = require('./index');
+import { emitErrorIfListened } from './errors';
+import { createSocketPair, RemootioSocket, SocketReadyState } from './transport';
+import {
+  ChallengeFrame,
+  EncryptedFrame,
+  ReceivedEncryptedFrameContent,
+  ReceivedFrames,
+  SentEcryptedFrameContent,
+  SentFrames
+} from './frames';
+
+//The value of the redacted fields in the recordings
+export const redacted = '[REDACTED]';
+
+/**
+ * One line of a recording
+ * connected - the connection to the device was established
+ * disconnected - the connection was lost
+ * outgoing - a frame was sent to the device, payload is the unencrypted payload of ENCRYPTED frames
+ * incoming - a frame was received from the device, payload is the decrypted payload of ENCRYPTED frames (it's missing if the frame couldn't be decrypted)
+ */
+export interface RecordingEntry {
+  kind: 'connected' | 'disconnected' | 'outgoing' | 'incoming';
+  time: string; //ISO timestamp e.g. "2020-01-01T12:00:00.000Z"
+  elapsedMs: number; //milliseconds since the recording was started
+  frame?: SentFrames | ReceivedFrames | { type: 'ENCRYPTED' };
+  payload?: SentEcryptedFrameContent | ReceivedEncryptedFrameContent;
+}
+
+/**
+ * Reads a recording from an NDJSON file
+ * @param {string} path - the path of the file
+ */
+export function readRecording(path: string): RecordingEntry[] {
+  return parseRecording(readFileSync(path, 'utf8'));
+}
+
+/**
+ * Parses a recording in NDJSON format (one RecordingEntry per line)
+ */
+export function parseRecording(ndjson: string): RecordingEntry[] {
+  return ndjson
+    .split('\n')
+    .filter((line) => line.trim() != '')
+    .map((line) => JSON.parse(line));
+}
+
+//The encrypted data and the MAC are not recorded, and the session key is redacted from the challenge
+function redactFrame(
+  frame: SentFrames | ReceivedFrames | undefined
+): SentFrames | ReceivedFrames | { type: 'ENCRYPTED' } | undefined {
+  return frame?.type == 'ENCRYPTED' ? { type: 'ENCRYPTED' } : frame;
+}
+
+function redactPayload(
+  payload?: SentEcryptedFrameContent | ReceivedEncryptedFrameContent
+): SentEcryptedFrameContent | ReceivedEncryptedFrameContent | undefined {
+  if (payload != undefined && 'challenge' in payload) {
+    return { ...payload, challenge: { ...payload.challenge, sessionKey: redacted } };
+  }
+  return payload;
+}
+
+interface RemootioSessionRecorderEvents {
+  error: (error: Error) => void;
+}
+
+export declare interface RemootioSessionRecorder {
+  on<E extends keyof RemootioSessionRecorderEvents>(event: E, listener: RemootioSessionRecorderEvents[E]): this;
+  emit<E extends keyof RemootioSessionRecorderEvents>(
+    event: E,
+    ...args: Parameters<RemootioSessionRecorderEvents[E]>
+  ): boolean;
+}
+
+/**
+ * RemootioSessionRecorder writes the frames sent and received by a RemootioDevice to an NDJSON file.
+ * Start the recorder before calling connect(), so the authentication flow is recorded too (the replayer needs it).
+ *
+ * *** Methods ***
+ * @method start() - starts recording
+ * @method stop() - stops recording, resolves once the recording is written (the file is closed if the recorder opened it), rejects if the file couldn't be written
+ *
+ * *** Events ***
+ * @event error - when the file opened by the recorder can't be written (e.g. its directory doesn't exist), the recording is stopped
+ */
+export class RemootioSessionRecorder extends EventEmitter {
+  private device: RemootioDevice;
+  private output: Writable;
+  private ownsOutput: boolean;
+  private startTime: number;
+  private deviceListeners: [string, (...args: any[]) => void][];
+  private outputError?: Error; //The error of the file opened by the recorder
+
+  /**
+   * @param {RemootioDevice} device - the device to record
+   * @param {string|Writable} output - the path of the NDJSON file, or a writable stream
+   */
+  constructor(device: RemootioDevice, output: string | Writable) {
+    super();
+    this.device = device;
+    this.ownsOutput = typeof output == 'string';
+    this.output = typeof output == 'string' ? createWriteStream(output) : output;
+    if (this.ownsOutput) {
+      this.output.on('error', (error: Error) => this.handleOutputError(error));
+    }
+    this.startTime = Date.now();
+    this.deviceListeners = [
+      ['connected', () => this.write({ kind: 'connected' })],
+      ['disconnect', () => this.write({ kind: 'disconnected' })],
+      [
+        'outgoingmessage',
+        (frame?: SentFrames, payload?: SentEcryptedFrameContent) =>
+          this.write({ kind: 'outgoing', frame: redactFrame(frame), payload: redactPayload(payload) })
+      ],
+      [
+        'incomingmessage',
+        (frame: ReceivedFrames, payload?: ReceivedEncryptedFrameContent) =>
+          this.write({ kind: 'incoming', frame: redactFrame(frame), payload: redactPayload(payload) })
+      ]
+    ];
+  }
+
+  /**
+   * Starts recording
+   */
+  start(): void {
+    this.startTime = Date.now();
+    //The listeners are prepended, so the connected entry is recorded before the frames sent by the other connected listeners (e.g. AUTH)
+    this.deviceListeners.forEach(([eventName, listener]) => this.device.prependListener(eventName, listener));
+  }
+
+  /**
+   * Stops recording
+   */
+  stop(): Promise<void> {
+    this.removeListeners();
+    if (this.outputError != undefined) {
+      return Promise.reject(this.outputError);
+    }
+    if (!this.ownsOutput) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) =>
+      this.output.end(() => (this.outputError != undefined ? reject(this.outputError) : resolve()))
+    );
+  }
+
+  private removeListeners(): void {
+    this.deviceListeners.forEach(([eventName, listener]) => this.device.removeListener(eventName, listener));
+  }
+
+  private handleOutputError(error: Error): void {
+    this.outputError = error;
+    this.removeListeners();
+    //The error is also returned by stop(), so it doesn't crash the process if there is no listener
+    emitErrorIfListened(this, error);
+  }
+
+  private write(entry: Omit<RecordingEntry, 'time' | 'elapsedMs'>): void {
+    const now = Date.now();
+    const { kind, ...fields } = entry;
+    this.output.write(
+      JSON.stringify({ kind: kind, time: new Date(now).toISOString(), elapsedMs: now - this.startTime, ...fields }) +
+        '\n'
+    );
+  }
+}
+
+export interface RemootioSessionReplayerOptions {
+  recording: RecordingEntry[] | string; //The recording or the path of the NDJSON file
+  apiSecretKey: string; //The frames are encrypted using these keys, the RemootioDevice connecting to the replayer must use the same keys
+  apiAuthKey: string;
+  host?: string; //The address the websocket server of the replayer listens on (defaults to 127.0.0.1)
+  port?: number; //The port the websocket server of the replayer listens on (defaults to 0, so a free port is picked)
+  speed?: number; //1 replays the frames with the recorded delays, 2 twice as fast etc. (defaults to Infinity, so there are no delays)
+}
+
+interface RemootioSessionReplayerEvents {
+  listening: (port: number) => void;
+  entry: (entry: RecordingEntry) => void;
+  mismatch: (expected: RecordingEntry, frame: SentFrames, payload?: SentEcryptedFrameContent) => void;
+  finished: () => void;
+}
+
+export declare interface RemootioSessionReplayer {
+  on<E extends keyof RemootioSessionReplayerEvents>(event: E, listener: RemootioSessionReplayerEvents[E]): this;
+  emit<E extends keyof RemootioSessionReplayerEvents>(
+    event: E,
+    ...args: Parameters<RemootioSessionReplayerEvents[E]>
+  ): boolean;
+}
+
+/**
+ * RemootioSessionReplayer plays back a recording to the RemootioDevice connected to it, either through an in-memory socket
+ * (new RemootioDevice({ ..., createSocket: replayer.createSocket })) or through its websocket server (see start()).
+ * The incoming frames are sent in the recorded order. Before an outgoing frame of the recording the replayer waits for the client to send a frame,
+ * and emits a mismatch event if it's not the same type of frame (or action). The disconnected entries close the connection, and the replayer
+ * waits for the client to reconnect at the next connected entry. PING and PONG frames are not replayed, the replayer responds to the PING frames itself.
+ *
+ * *** Methods ***
+ * @method start() - starts the websocket server, resolves with the port the replayer listens on (not needed for the in-memory sockets)
+ * @method stop() - closes the connection and stops listening
+ * @method createSocket() - creates an in-memory socket connected to the replayer, pass it to the createSocket option of the RemootioDevice
+ *
+ * *** Events ***
+ * @event entry - when an entry of the recording was replayed
+ * @event mismatch - when the client sent a different frame than the recorded one with the expected entry, the frame and its decrypted payload as parameters
+ * @event finished - when every entry of the recording was replayed
+ */
+export class RemootioSessionReplayer extends EventEmitter {
+  private options: RemootioSessionReplayerOptions;
+  private entries: RecordingEntry[];
+  private position: number;
+  private server?: WebSocket.Server;
+  private socket?: RemootioSocket;
+  private sessionKey?: string;
+  private waitingForFrame: boolean;
+  private delayTimeoutHandle?: ReturnType<typeof setTimeout>;
+
+  constructor(options: RemootioSessionReplayerOptions) {
+    super();
+    this.options = options;
+    this.entries = (typeof options.recording == 'string' ? readRecording(options.recording) : options.recording).filter(
+      (entry) => entry.frame?.type != 'PING' && entry.frame?.type != 'PONG' //The keepalive frames depend on the timing of the client
+    );
+    this.position = 0;
+    this.waitingForFrame = false;
+  }
+
+  /**
+   * Starts the websocket server. Resolves with the port the replayer listens on.
+   */
+  start(): Promise<number> {
+    return new Promise((resolve, reject) => {
+      const server = new WebSocket.Server({ host: this.options.host ?? '127.0.0.1', port: this.options.port ?? 0 });
+      this.server = server;
+      server.once('error', reject);
+      server.once('listening', () => {
+        server.removeListener('error', reject);
+        this.emit('listening', this.port);
+        resolve(this.port);
+      });
+      server.on('connection', (socket: WebSocket) => this.handleConnection(socket));
+    });
+  }
+
+  /**
+   * Closes the connection and stops the websocket server
+   */
+  stop(): Promise<void> {
+    if (this.delayTimeoutHandle != undefined) {
+      clearTimeout(this.delayTimeoutHandle);
+      this.delayTimeoutHandle = undefined;
+    }
+    this.closeSocket();
+    return new Promise((resolve) => {
+      if (this.server == undefined) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      this.server = undefined;
+    });
+  }
+
+  /**
+   * Creates an in-memory socket connected to the replayer (the replayer doesn't need to be started for this).
+   * It can be passed to the RemootioDevice as new RemootioDevice({ ..., createSocket: replayer.createSocket })
+   */
+  createSocket = (): RemootioSocket => {
+    const [clientSocket, serverSocket] = createSocketPair();
+    this.handleConnection(serverSocket);
+    return clientSocket;
+  };
+
+  //Get method for the port property
+  get port(): number {
+    const address = this.server?.address();
+    if (address != undefined && typeof address != 'string') {
+      return address.port;
+    }
+    return this.options.port ?? 0;
+  }
+
+  //Get method for the finished property
+  get finished(): boolean {
+    return this.position >= this.entries.length;
+  }
+
+  private handleConnection(socket: RemootioSocket): void {
+    if (this.socket != undefined || this.entries[this.position]?.kind != 'connected') {
+      //The recording doesn't expect a new connection now
+      (socket.terminate ?? socket.close).call(socket);
+      return;
+    }
+    this.socket = socket;
+    this.sessionKey = undefined;
+    socket.onmessage = (event: { data: unknown }) => this.handleFrame(socket, event.data);
+    socket.onclose = () => {
+      if (this.socket == socket) {
+        this.socket = undefined;
+      }
+    };
+    if (socket.readyState == SocketReadyState.OPEN) {
+      this.advance();
+    } else {
+      //The in-memory sockets open asynchronously
+      socket.onopen = () => this.advance();
+    }
+  }
+
+  private closeSocket(): void {
+    if (this.socket != undefined) {
+      (this.socket.terminate ?? this.socket.close).call(this.socket);
+      this.socket = undefined;
+    }
+  }
+
+  private handleFrame(socket: RemootioSocket, data: unknown): void {
+    let frame: SentFrames;
+    try {
+      frame = JSON.parse(String(data));
+    } catch (e) {
+      return;
+    }
+    if (frame.type == 'PING') {
+      socket.send(JSON.stringify({ type: 'PONG' }));
+      return;
+    }
+    const payload =
+      frame.type == 'ENCRYPTED' && this.sessionKey != undefined
+        ? ((apicrypto.remootioApiDecryptEncrypedFrame(
+            frame,
+            this.options.apiSecretKey,
+            this.options.apiAuthKey,
+            this.sessionKey
+          ) as unknown) as SentEcryptedFrameContent | undefined)
+        : undefined;
+
+    const expected = this.entries[this.position];
+    if (!this.waitingForFrame || expected == undefined) {
+      this.emit('mismatch', expected, frame, payload);
+      return;
+    }
+    const expectedPayload = expected.payload as SentEcryptedFrameContent | undefined;
+    if (
+      expected.frame?.type != frame.type ||
+      (frame.type == 'ENCRYPTED' && expectedPayload?.action?.type != payload?.action?.type)
+    ) {
+      this.emit('mismatch', expected, frame, payload);
+    }
+    this.waitingForFrame = false;
+    this.advance();
+  }
+
+  /**
+   * Moves to the next entry, and plays back the entries until the next outgoing frame or connection
+   */
+  private advance(): void {
+    const entry = this.entries[this.position];
+    this.position++;
+    this.emit('entry', entry);
+    this.playNext(entry.elapsedMs);
+  }
+
+  private playNext(previousElapsedMs: number): void {
+    const entry = this.entries[this.position];
+    if (entry == undefined) {
+      this.emit('finished');
+      return;
+    }
+    if (entry.kind == 'outgoing') {
+      this.waitingForFrame = true;
+      return;
+    }
+    if (entry.kind == 'connected') {
+      //Wait for the client to reconnect
+      return;
+    }
+
+    const speed = this.options.speed ?? Infinity;
+    const delayMs = speed == Infinity ? 0 : Math.max(0, (entry.elapsedMs - previousElapsedMs) / speed);
+    this.delayTimeoutHandle = setTimeout(() => {
+      this.delayTimeoutHandle = undefined;
+      if (entry.kind == 'disconnected') {
+        this.closeSocket();
+      } else {
+        this.sendIncoming(entry);
+      }
+      this.advance();
+    }, delayMs);
+  }
+
+  /**
+   * Sends an incoming frame of the recording. The decrypted payloads are encrypted again with the keys of the replayer.
+   */
+  private sendIncoming(entry: RecordingEntry): void {
+    if (this.socket?.readyState != SocketReadyState.OPEN || entry.frame == undefined) {
+      return;
+    }
+    if (entry.frame.type != 'ENCRYPTED') {
+      this.socket.send(JSON.stringify(entry.frame));
+      return;
+    }
+
+    let payload = entry.payload as ReceivedEncryptedFrameContent | undefined;
+    let key = this.sessionKey;
+    if (payload != undefined && 'challenge' in payload) {
+      //A new session key is used instead of the redacted one, the challenge is encrypted using the API Secret Key
+      this.sessionKey = randomBytes(32).toString('base64');
+      payload = { challenge: { ...payload.challenge, sessionKey: this.sessionKey } } as ChallengeFrame;
+      key = Buffer.from(this.options.apiSecretKey, 'hex').toString('base64');
+    }
+    const frame = apicrypto.remootioApiConstructEncrypedFrame(
+      JSON.stringify(payload ?? {}),
+      this.options.apiSecretKey,
+      this.options.apiAuthKey,
+      key ?? randomBytes(32).toString('base64')
+    ) as EncryptedFrame;
+    if (payload == undefined) {
+      //The recorded frame couldn't be decrypted, so a frame with an invalid MAC is sent instead
+      frame.mac = randomBytes(32).toString('base64');
+    }
+    this.socket.send(JSON.stringify(frame));
+  }
+}
@@ -0,0 +1,402 @@
+/**
+ * This module implements an in-process fake Remootio device that speaks the Remootio websocket API.
+ * It can be used for testing and offline development without the physical device. It handles the HELLO, PING and AUTH frames,
+ * the encrypted authentication challenge, the actions sent in ENCRYPTED frames, and it can send events and ERROR frames.
+ */
+
+import WebSocket = require('ws');
+import { EventEmitter } from 'events';
+import { randomBytes } from 'crypto';
+import * as apicrypto from './apicrypto';
+import {
+  ActionTypes,
+  ChallengeFrame,
+  ErrorFrame,
+  EventTypeNames,
+  EventTypes,
+  ReceivedEncryptedFrameContent,
+  ReceivedFrames,
+  RemootioAction,
+  RemootioActionResponse,
+  SensorStates,
+  SentFrames
+} from './frames';
+import { createSocketPair, RemootioSocket, SocketReadyState } from './transport';
+
+export interface RemootioDeviceSimulatorOptions {
+  apiSecretKey: string; //API Secret Key of the simulated device (hexstring representing a 256 bit long value)
+  apiAuthKey: string; //API Auth Key of the simulated device (hexstring representing a 256 bit long value)
+  host?: string; //The address the simulator listens on (defaults to 127.0.0.1)
+  port?: number; //The port the simulator listens on (defaults to 0, so a free port is picked)
+  state?: SensorStates; //The initial gate status (defaults to 'closed')
+  travelTimeMs?: number; //The time it takes for the gate to open or close after the output is triggered (defaults to 100 ms)
+  apiVersion?: 1 | 2; //The API version reported in the SERVER_HELLO frame (defaults to 2)
+  serialNumber?: string; //The serial number reported in the SERVER_HELLO frame
+  remootioVersion?: 'remootio-1' | 'remootio-2'; //The device version reported in the SERVER_HELLO frame
+}
+
+interface SimulatorSession {
+  socket: RemootioSocket;
+  sessionKey?: string; //base64 encoded
+  lastActionId?: number;
+  authenticated: boolean;
+}
+
+interface RemootioDeviceSimulatorEvents {
+  listening: (port: number) => void;
+  clientconnected: () => void;
+  clientdisconnected: () => void;
+  frame: (frame: SentFrames, decryptedPayload?: RemootioAction) => void;
+  action: (action: RemootioAction['action']) => void;
+}
+
+export declare interface RemootioDeviceSimulator {
+  on<E extends keyof RemootioDeviceSimulatorEvents>(event: E, listener: RemootioDeviceSimulatorEvents[E]): this;
+  emit<E extends keyof RemootioDeviceSimulatorEvents>(
+    event: E,
+    ...args: Parameters<RemootioDeviceSimulatorEvents[E]>
+  ): boolean;
+}
+
+/**
+ * RemootioDeviceSimulator is a websocket server that behaves like a Remootio device.
+ *
+ * *** Methods ***
+ * @method start() - starts listening, resolves with the port the simulator listens on
+ * @method stop() - closes all connections and stops listening
+ * @method setState(state) - changes the gate status and sends a StateChange event to the authenticated clients
+ * @method sendEvent(type, data) - sends an arbitrary event (e.g. LeftOpen, DoorbellPushed) to the authenticated clients
+ * @method sendErrorFrame(errorMessage) - sends an ERROR frame to all clients
+ * @method disconnectClients() - closes the connection of all clients
+ * @method createSocket() - creates an in-memory socket connected to the simulator, pass it to connect({ createSocket: simulator.createSocket }) to connect without a network connection
+ *
+ * *** Properties ***
+ * @property port - the port the simulator listens on
+ * @property state - the current gate status
+ * @property respondToActions - if false, the simulator doesn't respond to actions (useful for testing timeouts)
+ * @property failActions - if true, the simulator responds to every action with success: false
+ */
+export class RemootioDeviceSimulator extends EventEmitter {
+  public respondToActions: boolean;
+  public failActions: boolean;
+  private options: RemootioDeviceSimulatorOptions;
+  private server?: WebSocket.Server;
+  private sessions: Set<SimulatorSession>;
+  private currentState: SensorStates;
+  private eventCounter: number;
+  private startTime: number;
+  private travelTimeoutHandle?: ReturnType<typeof setTimeout>;
+
+  constructor(options: RemootioDeviceSimulatorOptions) {
+    super();
+    this.options = options;
+    this.respondToActions = true;
+    this.failActions = false;
+    this.sessions = new Set();
+    this.currentState = options.state ?? 'closed';
+    this.eventCounter = 0;
+    this.startTime = Date.now();
+  }
+
+  /**
+   * Starts the websocket server. Resolves with the port the simulator listens on.
+   */
+  start(): Promise<number> {
+    return new Promise((resolve, reject) => {
+      const server = new WebSocket.Server({ host: this.options.host ?? '127.0.0.1', port: this.options.port ?? 0 });
+      this.server = server;
+      this.startTime = Date.now();
+      server.once('error', reject);
+      server.once('listening', () => {
+        server.removeListener('error', reject);
+        this.emit('listening', this.port);
+        resolve(this.port);
+      });
+      server.on('connection', (socket: WebSocket) => this.handleConnection(socket));
+    });
+  }
+
+  /**
+   * Closes the connection of all clients and stops the websocket server
+   */
+  stop(): Promise<void> {
+    if (this.travelTimeoutHandle != undefined) {
+      clearTimeout(this.travelTimeoutHandle);
+      this.travelTimeoutHandle = undefined;
+    }
+    this.disconnectClients();
+    return new Promise((resolve) => {
+      if (this.server == undefined) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      this.server = undefined;
+    });
+  }
+
+  /**
+   * Closes the connection of all connected clients (e.g. to simulate a network error)
+   */
+  disconnectClients(): void {
+    this.sessions.forEach((session) => (session.socket.terminate ?? session.socket.close).call(session.socket));
+  }
+
+  /**
+   * Creates an in-memory socket connected to the simulator (the simulator doesn't need to be started for this).
+   * It can be passed to the connect() method of the RemootioDevice class as connect({ createSocket: simulator.createSocket })
+   */
+  createSocket = (): RemootioSocket => {
+    const [clientSocket, serverSocket] = createSocketPair();
+    this.handleConnection(serverSocket);
+    return clientSocket;
+  };
+
+  /**
+   * Changes the gate status and sends a StateChange event to the authenticated clients if the status has changed
+   * @param {string} state - the new gate status 'open', 'closed' or 'no sensor'
+   */
+  setState(state: SensorStates): void {
+    if (state != this.currentState) {
+      this.currentState = state;
+      this.sendEvent('StateChange');
+    }
+  }
+
+  /**
+   * Sends an event in an ENCRYPTED frame to all authenticated clients
+   * @param {string} type - type of the event e.g. 'LeftOpen'
+   * @param {Object} [data] - the data field of the event (e.g. {timeOpen100ms: 3000} for a LeftOpen event)
+   */
+  sendEvent(type: EventTypeNames, data?: Record<string, unknown>): void {
+    this.eventCounter++;
+    const payload = {
+      event: {
+        cnt: this.eventCounter,
+        type: type,
+        state: this.currentState,
+        t100ms: this.t100ms,
+        ...(data != undefined ? { data: data } : {})
+      }
+    } as EventTypes;
+    this.sessions.forEach((session) => {
+      if (session.authenticated) {
+        this.sendEncrypted(session, payload);
+      }
+    });
+  }
+
+  /**
+   * Sends an ERROR frame to all connected clients
+   * @param {string} errorMessage - the error message e.g. 'connection timeout'
+   */
+  sendErrorFrame(errorMessage: ErrorFrame['errorMessage']): void {
+    this.sessions.forEach((session) => this.send(session, { type: 'ERROR', errorMessage: errorMessage }));
+  }
+
+  //Get method for the port property
+  get port(): number {
+    const address = this.server?.address();
+    if (address != undefined && typeof address != 'string') {
+      return address.port;
+    }
+    return this.options.port ?? 0;
+  }
+
+  //Get method for the state property
+  get state(): SensorStates {
+    return this.currentState;
+  }
+
+  //The uptime of the simulated device in 100 ms units
+  private get t100ms(): number {
+    return Math.floor((Date.now() - this.startTime) / 100);
+  }
+
+  private handleConnection(socket: RemootioSocket): void {
+    const session: SimulatorSession = { socket: socket, authenticated: false };
+    this.sessions.add(session);
+    this.emit('clientconnected');
+
+    socket.onmessage = (event: { data: unknown }) => {
+      let frame: SentFrames;
+      try {
+        frame = JSON.parse(String(event.data));
+      } catch (e) {
+        this.send(session, { type: 'ERROR', errorMessage: 'json error' });
+        return;
+      }
+      this.handleFrame(session, frame);
+    };
+
+    socket.onclose = () => {
+      this.sessions.delete(session);
+      this.emit('clientdisconnected');
+    };
+  }
+
+  private handleFrame(session: SimulatorSession, frame: SentFrames): void {
+    switch (frame?.type) {
+      case 'PING':
+        this.emit('frame', frame);
+        this.send(session, { type: 'PONG' });
+        break;
+      case 'HELLO':
+        this.emit('frame', frame);
+        if (this.options.apiVersion == 1) {
+          this.send(session, { type: 'SERVER_HELLO', apiVersion: 1, message: 'Remootio websocket API' });
+        } else {
+          this.send(session, {
+            type: 'SERVER_HELLO',
+            apiVersion: 2,
+            message: 'Remootio websocket API',
+            serialNumber: this.options.serialNumber ?? '0000000000',
+            remootioVersion: this.options.remootioVersion ?? 'remootio-2'
+          });
+        }
+        break;
+      case 'AUTH':
+        this.emit('frame', frame);
+        if (session.authenticated) {
+          this.send(session, { type: 'ERROR', errorMessage: 'already authenticated' });
+          return;
+        }
+        session.sessionKey = randomBytes(32).toString('base64');
+        session.lastActionId = randomBytes(4).readUInt32BE(0) % 0x7fffffff;
+        //The CHALLENGE is encrypted using the API Secret Key as the session is not authenticated yet
+        this.sendEncrypted(
+          session,
+          { challenge: { sessionKey: session.sessionKey, initialActionId: session.lastActionId } } as ChallengeFrame,
+          Buffer.from(this.options.apiSecretKey, 'hex').toString('base64')
+        );
+        break;
+      case 'ENCRYPTED':
+        this.handleEncryptedFrame(session, frame);
+        break;
+      default:
+        this.send(session, { type: 'ERROR', errorMessage: 'input error' });
+    }
+  }
+
+  private handleEncryptedFrame(session: SimulatorSession, frame: SentFrames): void {
+    if (frame.type != 'ENCRYPTED' || session.sessionKey == undefined || session.lastActionId == undefined) {
+      this.send(session, { type: 'ERROR', errorMessage: 'authentication error' });
+      return;
+    }
+    const payload = (apicrypto.remootioApiDecryptEncrypedFrame(
+      frame,
+      this.options.apiSecretKey,
+      this.options.apiAuthKey,
+      session.sessionKey
+    ) as unknown) as RemootioAction | undefined;
+    if (payload == undefined || payload.action == undefined) {
+      this.send(session, { type: 'ERROR', errorMessage: 'authentication error' });
+      return;
+    }
+    this.emit('frame', frame, payload);
+
+    const action = payload.action;
+    if (!session.authenticated && action.type != 'QUERY') {
+      //Only the QUERY action of the authentication flow can be sent before the session is authenticated
+      this.send(session, { type: 'ERROR', errorMessage: 'authentication error' });
+      return;
+    }
+    const expectedId = (session.lastActionId + 1) % 0x7fffffff;
+    if (action.id != expectedId) {
+      this.send(session, { type: 'ERROR', errorMessage: 'input error' });
+      return;
+    }
+    session.lastActionId = action.id;
+    //The first valid QUERY action finishes the authentication flow
+    session.authenticated = true;
+    this.emit('action', action);
+
+    if (this.respondToActions) {
+      this.respondToAction(session, action);
+    }
+  }
+
+  private respondToAction(session: SimulatorSession, action: RemootioAction['action']): void {
+    const state = this.currentState;
+    let relayTriggered = false;
+    let errorCode = '';
+    if (!this.failActions) {
+      switch (action.type) {
+        case 'TRIGGER':
+        case 'TRIGGER_SECONDARY':
+          relayTriggered = true;
+          break;
+        case 'OPEN':
+        case 'CLOSE':
+          if (state == 'no sensor') {
+            errorCode = 'no sensor';
+          } else {
+            relayTriggered =
+              (action.type == 'OPEN' && state == 'closed') || (action.type == 'CLOSE' && state == 'open');
+          }
+          break;
+      }
+    } else {
+      errorCode = 'error';
+    }
+
+    const response: RemootioActionResponse = {
+      response: {
+        type: action.type as ActionTypes,
+        id: action.id,
+        success: errorCode == '',
+        state: state,
+        t100ms: this.t100ms,
+        relayTriggered: relayTriggered,
+        errorCode: errorCode
+      }
+    };
+    this.sendEncrypted(session, response);
+
+    if (relayTriggered) {
+      this.sendEvent(action.type == 'TRIGGER_SECONDARY' ? 'SecondaryRelayTrigger' : 'RelayTrigger', {
+        keyNr: 0,
+        keyType: 'api key',
+        via: 'wifi'
+      });
+      if (action.type != 'TRIGGER_SECONDARY' && state != 'no sensor') {
+        this.scheduleStateChange(state == 'open' ? 'closed' : 'open');
+      }
+    }
+    if (action.type == 'RESTART' && errorCode == '') {
+      //The device restarts, so its uptime starts from zero again
+      setImmediate(() => {
+        this.disconnectClients();
+        this.startTime = Date.now();
+      });
+    }
+  }
+
+  private scheduleStateChange(state: SensorStates): void {
+    if (this.travelTimeoutHandle != undefined) {
+      clearTimeout(this.travelTimeoutHandle);
+    }
+    this.travelTimeoutHandle = setTimeout(() => {
+      this.travelTimeoutHandle = undefined;
+      this.setState(state);
+    }, this.options.travelTimeMs ?? 100);
+  }
+
+  private sendEncrypted(session: SimulatorSession, payload: ReceivedEncryptedFrameContent, key?: string): void {
+    const frame = apicrypto.remootioApiConstructEncrypedFrame(
+      JSON.stringify(payload),
+      this.options.apiSecretKey,
+      this.options.apiAuthKey,
+      key ?? session.sessionKey
+    );
+    if (frame != undefined) {
+      this.send(session, frame);
+    }
+  }
+
+  private send(session: SimulatorSession, frame: ReceivedFrames): void {
+    if (session.socket.readyState == SocketReadyState.OPEN) {
+      session.socket.send(JSON.stringify(frame));
+    }
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * This module implements the async iterable event streams returned by the events() method of the RemootioDevice class, e.g.
+ * for await (const event of device.events({ types: ['StateChange', 'LeftOpen'] })) { ... }
+ *
+ * The events are buffered until they are read. The buffer is bounded: if the consumer is slower than the device, the oldest events are dropped
+ * (see droppedEventCount), so a stalled consumer can't exhaust the memory. The stream ends (after the buffered events are read) when
+ * the signal is aborted, the consumer breaks out of the loop, disconnect() is called, or the connection is lost and the client won't reconnect.
+ */
+
+import { RemootioEvent } from './events';
+import { EventTypeNames } from './frames';
+
+export interface EventStreamOptions<T extends EventTypeNames = EventTypeNames> {
+  types?: T[]; //Only the events of these types are streamed (defaults to every event)
+  signal?: AbortSignal; //The stream ends when the signal is aborted
+  bufferSize?: number; //The maximum number of the events waiting to be read, the oldest ones are dropped above it (defaults to 1000)
+}
+
+/**
+ * RemootioEventStream is an async iterator of the normalized events of a RemootioDevice. Create it using device.events(options).
+ *
+ * *** Methods ***
+ * @method next() - resolves with the next event, or with done: true once the stream ended and the buffered events were read
+ * @method return() - ends the stream (called by for await when the loop is left early)
+ *
+ * *** Properties ***
+ * @property droppedEventCount - the number of the events dropped because the buffer was full
+ * @property ended - shows if the stream ended
+ */
+export class RemootioEventStream<E extends RemootioEvent = RemootioEvent> implements AsyncIterableIterator<E> {
+  private types?: EventTypeNames[];
+  private signal?: AbortSignal;
+  private bufferSize: number;
+  private buffer: E[];
+  private pendingReads: ((result: IteratorResult<E>) => void)[]; //the next() calls waiting for an event
+  private isEnded: boolean;
+  private dropped: number;
+  private onEnd: (stream: RemootioEventStream<E>) => void;
+
+  /**
+   * @param {Object} options - {types, signal, bufferSize}
+   * @param {Function} onEnd - called once with the stream when it ends, so the device stops pushing events to it.
+   * It can be called by the constructor already (if the signal is aborted)
+   */
+  constructor(options: EventStreamOptions, onEnd: (stream: RemootioEventStream<E>) => void) {
+    this.types = options.types;
+    this.signal = options.signal;
+    this.bufferSize = options.bufferSize ?? 1000;
+    this.buffer = [];
+    this.pendingReads = [];
+    this.isEnded = false;
+    this.dropped = 0;
+    this.onEnd = onEnd;
+    if (this.signal?.aborted) {
+      this.end();
+    } else {
+      this.signal?.addEventListener('abort', this.end);
+    }
+  }
+
+  /**
+   * Adds an event to the stream if its type is streamed
+   */
+  push(event: RemootioEvent): void {
+    if (this.isEnded || (this.types != undefined && !this.types.includes(event.type))) {
+      return;
+    }
+    const pendingRead = this.pendingReads.shift();
+    if (pendingRead != undefined) {
+      pendingRead({ value: event as E, done: false });
+      return;
+    }
+    this.buffer.push(event as E);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+      this.dropped++;
+    }
+  }
+
+  /**
+   * Ends the stream, the buffered events can still be read
+   */
+  end = (): void => {
+    if (this.isEnded) {
+      return;
+    }
+    this.isEnded = true;
+    this.signal?.removeEventListener('abort', this.end);
+    this.onEnd(this);
+    const pendingReads = this.pendingReads;
+    this.pendingReads = [];
+    pendingReads.forEach((pendingRead) => pendingRead({ value: undefined, done: true }));
+  };
+
+  next(): Promise<IteratorResult<E>> {
+    const event = this.buffer.shift();
+    if (event != undefined) {
+      return Promise.resolve({ value: event, done: false });
+    }
+    if (this.isEnded) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise((resolve) => this.pendingReads.push(resolve));
+  }
+
+  return(): Promise<IteratorResult<E>> {
+    this.end();
+    this.buffer = [];
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  [Symbol.asyncIterator](): AsyncIterableIterator<E> {
+    return this;
+  }
+
+  //Get method for the droppedEventCount property
+  get droppedEventCount(): number {
+    return this.dropped;
+  }
+
+  //Get method for the ended property
+  get ended(): boolean {
+    return this.isEnded;
+  }
+}
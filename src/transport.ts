@@ -0,0 +1,114 @@
+/**
+ * This module defines the minimal socket interface the RemootioDevice class uses to talk to the Remootio device.
+ * It's a subset of the WebSocket API, so a WebSocket of the ws package, the WebSocket of the browsers or any other object implementing it can be used.
+ * The socket is created by a factory function, so you can customize the connection (e.g. use wss:// through a proxy, pass an agent or custom headers).
+ */
+
+import WebSocket = require('ws');
+
+//The values of the readyState property of the sockets (the same as the WebSocket constants)
+export const SocketReadyState = {
+  CONNECTING: 0,
+  OPEN: 1,
+  CLOSING: 2,
+  CLOSED: 3
+} as const;
+
+/**
+ * The socket used by the RemootioDevice class. The RemootioDevice sets the onopen, onmessage, onclose and onerror handlers
+ * and uses the data field of the event passed to onmessage (the stringified frame).
+ */
+export interface RemootioSocket {
+  readonly readyState: number;
+  onopen: ((event: any) => void) | null;
+  onmessage: ((event: any) => void) | null;
+  onclose: ((event: any) => void) | null;
+  onerror: ((event: any) => void) | null;
+  send(data: string): void;
+  close(): void;
+  terminate?(): void; //Closes the connection immediately (if the socket supports it), used when the connection is broken
+}
+
+/**
+ * Creates a socket connected to the url e.g. ws://192.168.1.155:8080/
+ */
+export type RemootioSocketFactory = (url: string) => RemootioSocket;
+
+/**
+ * The default socket factory, it creates a WebSocket using the ws package
+ */
+export const createWebSocket: RemootioSocketFactory = (url: string) => new WebSocket(url);
+
+/**
+ * The in-memory sockets created by createSocketPair
+ */
+class InMemorySocket implements RemootioSocket {
+  readyState: number;
+  onopen: ((event: any) => void) | null;
+  onmessage: ((event: any) => void) | null;
+  onclose: ((event: any) => void) | null;
+  onerror: ((event: any) => void) | null;
+  peer?: InMemorySocket;
+
+  constructor() {
+    this.readyState = SocketReadyState.CONNECTING;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+  }
+
+  send(data: string): void {
+    if (this.readyState != SocketReadyState.OPEN) {
+      throw new Error('The socket is not open');
+    }
+    const peer = this.peer;
+    //The messages are delivered asynchronously, like on a real connection
+    setImmediate(() => {
+      if (peer?.readyState == SocketReadyState.OPEN) {
+        peer.onmessage?.({ data: data });
+      }
+    });
+  }
+
+  close(): void {
+    this.closeConnection();
+  }
+
+  terminate(): void {
+    this.closeConnection();
+  }
+
+  open(): void {
+    if (this.readyState == SocketReadyState.CONNECTING) {
+      this.readyState = SocketReadyState.OPEN;
+      this.onopen?.({});
+    }
+  }
+
+  private closeConnection(): void {
+    [this, this.peer].forEach((socket) => {
+      if (socket != undefined && socket.readyState != SocketReadyState.CLOSED) {
+        socket.readyState = SocketReadyState.CLOSED;
+        setImmediate(() => socket.onclose?.({}));
+      }
+    });
+  }
+}
+
+/**
+ * Creates two connected in-memory sockets: the messages sent on one of them are received by the other one, and closing one of them closes both.
+ * The sockets open asynchronously. It can be used for tests e.g. to connect a RemootioDevice to the RemootioDeviceSimulator without a network connection.
+ * @returns {Array} - [clientSocket, serverSocket]
+ */
+export function createSocketPair(): [RemootioSocket, RemootioSocket] {
+  const client = new InMemorySocket();
+  const server = new InMemorySocket();
+  client.peer = server;
+  server.peer = client;
+  setImmediate(() => {
+    server.open();
+    client.open();
+  });
+  return [client, server];
+}
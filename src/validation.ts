@@ -0,0 +1,87 @@
+/**
+ * This module validates the options of the RemootioDevice class. It's kept apart from config.ts, so the RemootioDevice class doesn't load the file
+ * and YAML loaders of the config files.
+ */
+
+import RemootioDevice = require('./index');
+import { InvalidConfigError } from './errors';
+import { logLevels } from './logging';
+
+const hexKeyRe = /^[0-9A-Fa-f]{64}$/;
+
+function isPositiveNumber(value: unknown): boolean {
+  return typeof value == 'number' && value > 0 && !Number.isNaN(value);
+}
+
+/**
+ * Checks the options of a RemootioDevice
+ * @param {Object} options - the options to check
+ * @throws {InvalidConfigError} - if an option is missing or invalid, error.field is the name of the option
+ */
+export function validateDeviceOptions(options: RemootioDevice.Options): void {
+  if (typeof options != 'object' || options == null) {
+    throw new InvalidConfigError('options', 'The options must be an object');
+  }
+  if (options.url == undefined && (typeof options.host != 'string' || options.host == '')) {
+    throw new InvalidConfigError('host', 'The host of the device is missing');
+  }
+  if (options.host != undefined && typeof options.host != 'string') {
+    throw new InvalidConfigError('host', 'The host must be a string');
+  }
+  (['apiSecretKey', 'apiAuthKey'] as const).forEach((field) => {
+    const key = options[field];
+    if (typeof key != 'string' || !hexKeyRe.test(key)) {
+      throw new InvalidConfigError(field, field + ' must be a hexstring representing a 256bit long byteArray');
+    }
+  });
+  if (options.port != undefined && !(Number.isInteger(options.port) && options.port > 0 && options.port <= 65535)) {
+    throw new InvalidConfigError('port', 'Invalid port ' + options.port);
+  }
+  if (options.url != undefined && (typeof options.url != 'string' || options.url == '')) {
+    throw new InvalidConfigError('url', 'The url must be a non-empty string');
+  }
+  (['pingIntervalMs', 'pingTimeoutMs', 'actionTimeoutMs', 'actionExpireAfterMs'] as const).forEach((field) => {
+    if (options[field] != undefined && !isPositiveNumber(options[field])) {
+      throw new InvalidConfigError(field, field + ' must be a positive number of milliseconds');
+    }
+  });
+  if (options.autoReconnect != undefined && typeof options.autoReconnect != 'boolean') {
+    validateReconnectOptions(options.autoReconnect);
+  }
+  (['helloOnConnect', 'resyncOnMissedEvents', 'traceFrames'] as const).forEach((field) => {
+    if (options[field] != undefined && typeof options[field] != 'boolean') {
+      throw new InvalidConfigError(field, field + ' must be a boolean');
+    }
+  });
+  if (options.createSocket != undefined && typeof options.createSocket != 'function') {
+    throw new InvalidConfigError('createSocket', 'createSocket must be a function');
+  }
+  if (options.logger != undefined && typeof options.logger != 'object') {
+    throw new InvalidConfigError('logger', 'The logger must be an object');
+  }
+  if (options.logLevel != undefined && !logLevels.includes(options.logLevel)) {
+    throw new InvalidConfigError('logLevel', 'logLevel must be one of ' + logLevels.join(', '));
+  }
+}
+
+function validateReconnectOptions(reconnectOptions: RemootioDevice.ReconnectOptions): void {
+  if (typeof reconnectOptions != 'object' || reconnectOptions == null) {
+    throw new InvalidConfigError('autoReconnect', 'autoReconnect must be a boolean or a reconnect policy object');
+  }
+  const { initialDelayMs, multiplier, maxDelayMs, jitter, maxAttempts } = reconnectOptions;
+  if (initialDelayMs != undefined && !(typeof initialDelayMs == 'number' && initialDelayMs >= 0)) {
+    throw new InvalidConfigError('autoReconnect.initialDelayMs', 'initialDelayMs must be a non-negative number');
+  }
+  if (multiplier != undefined && !(typeof multiplier == 'number' && multiplier >= 1)) {
+    throw new InvalidConfigError('autoReconnect.multiplier', 'multiplier must be a number not less than 1');
+  }
+  if (maxDelayMs != undefined && !(typeof maxDelayMs == 'number' && maxDelayMs >= 0)) {
+    throw new InvalidConfigError('autoReconnect.maxDelayMs', 'maxDelayMs must be a non-negative number');
+  }
+  if (jitter != undefined && !(typeof jitter == 'number' && jitter >= 0 && jitter <= 1)) {
+    throw new InvalidConfigError('autoReconnect.jitter', 'jitter must be a number between 0 and 1');
+  }
+  if (maxAttempts != undefined && !(typeof maxAttempts == 'number' && maxAttempts >= 0)) {
+    throw new InvalidConfigError('autoReconnect.maxAttempts', 'maxAttempts must be a non-negative number');
+  }
+}